@@ -0,0 +1,47 @@
+/**
+ * Migration 011 follow-up: compute the SimHash of documents stored before text fingerprints.
+ * Run after 011_add_text_fingerprints.sql:
+ *   docker-compose run --rm backend node backfill-simhash.js
+ * Texts too short for a SimHash keep a NULL simhash (they can only match by text hash).
+ */
+
+const { executeQuery, pool } = require('./database');
+const { computeSimHash } = require('./text-fingerprint');
+
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+const BATCH_SIZE = Number(process.env.MIGRATION_BATCH_SIZE || 200);
+
+async function main() {
+  console.log('=== SIMHASH BACKFILL ===');
+  const startTime = Date.now();
+  let lastId = 0;
+  let updated = 0;
+
+  for (;;) {
+    const rows = await executeQuery(
+      `SELECT id, extracted_text FROM documents WHERE simhash IS NULL AND id > ? ORDER BY id LIMIT ${BATCH_SIZE}`,
+      [lastId]
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      lastId = row.id;
+      const simhash = computeSimHash(row.extracted_text);
+      if (!simhash) continue;
+      await executeQuery('UPDATE documents SET simhash = ? WHERE id = ?', [simhash, row.id]);
+      updated++;
+    }
+    console.log(`🔄 ${updated} fingerprints computed (last id ${lastId})`);
+  }
+
+  console.log(`✅ SimHash backfill done: ${updated} documents in ${Date.now() - startTime}ms`);
+}
+
+main()
+  .catch(error => {
+    console.error('❌ SimHash backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,95 @@
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+const RAG_CHUNK_CHARS = Number(process.env.RAG_CHUNK_CHARS || 1500);
+const RAG_CHUNK_OVERLAP_CHARS = Number(process.env.RAG_CHUNK_OVERLAP_CHARS || 200);
+const RAG_MAX_CHUNKS = Number(process.env.RAG_MAX_CHUNKS || 64);
+
+/**
+ * Split page texts into overlapping retrieval chunks that remember their page range.
+ * Sentences are kept whole when possible; the last sentences of a chunk (up to
+ * overlapChars) are repeated at the start of the next one. A text needing more than
+ * maxChunks chunks keeps maxChunks of them spread from its start to its end (renumbered).
+ * @param {string[]} pages - Text of each page (index 0 = page 1)
+ * @param {Object} [options]
+ * @param {number} [options.maxChars]
+ * @param {number} [options.overlapChars]
+ * @param {number} [options.maxChunks]
+ * @returns {Array<{chunk_index: number, page_start: number, page_end: number, text: string}>}
+ */
+function buildChunks(pages, {
+  maxChars = RAG_CHUNK_CHARS,
+  overlapChars = RAG_CHUNK_OVERLAP_CHARS,
+  maxChunks = RAG_MAX_CHUNKS
+} = {}) {
+  // Flatten pages into sentences tagged with their page number
+  const sentences = [];
+  pages.forEach((pageText, index) => {
+    const parts = String(pageText || '').split(/(?<=[.!?])\s+/);
+    for (const part of parts) {
+      let sentence = part.trim();
+      // Very long sentence fallback: hard split
+      while (sentence.length > maxChars) {
+        sentences.push({ text: sentence.slice(0, maxChars), page: index + 1 });
+        sentence = sentence.slice(maxChars);
+      }
+      if (sentence) sentences.push({ text: sentence, page: index + 1 });
+    }
+  });
+
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+
+  const flush = () => {
+    chunks.push({
+      chunk_index: chunks.length,
+      page_start: current[0].page,
+      page_end: current[current.length - 1].page,
+      text: current.map(s => s.text).join(' ')
+    });
+
+    // Carry the tail of this chunk over as overlap
+    const overlap = [];
+    let overlapLength = 0;
+    for (let i = current.length - 1; i > 0; i--) {
+      if (overlapLength + current[i].text.length > overlapChars) break;
+      overlap.unshift(current[i]);
+      overlapLength += current[i].text.length + 1;
+    }
+    current = overlap;
+    currentLength = overlapLength;
+  };
+
+  for (const sentence of sentences) {
+    if (current.length > 0 && currentLength + sentence.text.length > maxChars) {
+      flush();
+    }
+    current.push(sentence);
+    currentLength += sentence.text.length + 1;
+  }
+
+  // Last chunk, unless it only holds overlap already present in the previous one
+  const overlapOnly = chunks.length > 0 && currentLength > 0 &&
+    chunks[chunks.length - 1].text.endsWith(current.map(s => s.text).join(' '));
+  if (current.length > 0 && !overlapOnly) {
+    flush();
+  }
+
+  return spreadChunks(chunks, maxChunks);
+}
+
+// maxChunks chunks evenly spaced over the whole list (first and last included), renumbered
+function spreadChunks(chunks, maxChunks) {
+  if (chunks.length <= maxChunks) return chunks;
+  console.warn(`✂️ ${chunks.length} chunks over the limit of ${maxChunks}: keeping ${maxChunks} spread across the text`);
+  const step = maxChunks > 1 ? (chunks.length - 1) / (maxChunks - 1) : 0;
+  return Array.from({ length: maxChunks }, (_, i) => ({
+    ...chunks[Math.round(i * step)],
+    chunk_index: i
+  }));
+}
+
+module.exports = {
+  buildChunks
+};
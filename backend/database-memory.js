@@ -0,0 +1,463 @@
+/**
+ * In-memory implementation of the database.js functions, selected with DB_DRIVER=memory.
+ * Same signatures and row shapes as the MySQL queries, so the whole /analyze -> RAG flow runs
+ * without MySQL (tests, demos). Data is lost when the process exits; raw SQL (executeQuery)
+ * and the similarity cache are not available.
+ */
+const { documentLabel, chunkLabel, addVector, removeVector } = require('./vector-index');
+
+// Fields returned for a document in search results
+const pickSearchFields = doc => ({
+  id: doc.id,
+  filename: doc.filename,
+  file_hash: doc.file_hash,
+  mime_type: doc.mime_type,
+  ai_summary: doc.ai_summary,
+  language: doc.language,
+  created_at: doc.created_at
+});
+
+/**
+ * @param {Object} shared - Helpers and constants of database.js (pure functions, no MySQL access)
+ */
+function createMemoryDatabase({
+  embeddingModel,
+  sortColumns,
+  snippetChars,
+  scoreDocumentChunks,
+  calculateCosineSimilarity,
+  buildQueryHash,
+  matchesFilters
+}) {
+  const tables = {
+    documents: [],
+    document_chunks: [],
+    conversations: [],
+    messages: [],
+    rag_settings: new Map(),
+    rag_settings_audit: []
+  };
+  const lastIds = { documents: 0, document_chunks: 0, conversations: 0, messages: 0, rag_settings_audit: 0 };
+  const nextId = table => ++lastIds[table];
+
+  const findDocument = id => tables.documents.find(doc => doc.id === Number(id)) || null;
+  const chunksOf = documentId => tables.document_chunks
+    .filter(chunk => chunk.document_id === documentId)
+    .sort((a, b) => a.chunk_index - b.chunk_index);
+
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+  async function testConnection() {
+    console.log('✅ Using the in-memory database (DB_DRIVER=memory)');
+    return true;
+  }
+
+  async function executeQuery(sql) {
+    throw new Error(`Raw SQL is not available with DB_DRIVER=memory: ${sql.trim().split('\n')[0]}`);
+  }
+
+  async function getDocumentByHash(fileHash, language = null) {
+    const doc = tables.documents.find(d => d.file_hash === fileHash && (!language || d.language === language));
+    if (!doc) return null;
+    const { text_hash, simhash, embedding_windows, tags, ...row } = doc;
+    return { ...row };
+  }
+
+  async function getDocumentByTextHash(textHash, language) {
+    const doc = tables.documents
+      .filter(d => d.text_hash === textHash && d.language === language)
+      .sort((a, b) => b.created_at - a.created_at || b.id - a.id)[0];
+    if (!doc) return null;
+    const { id, filename, file_hash, ai_summary, created_at } = doc;
+    return { id, filename, file_hash, ai_summary, language: doc.language, created_at };
+  }
+
+  async function getDocumentFingerprints(language) {
+    return tables.documents
+      .filter(doc => doc.language === language && doc.simhash)
+      .map(doc => ({ id: doc.id, simhash: doc.simhash }));
+  }
+
+  async function getDocumentById(id) {
+    const doc = findDocument(id);
+    if (!doc) return null;
+    const { text_hash, simhash, embedding, ...row } = doc;
+    return { ...row };
+  }
+
+  async function insertDocument(document) {
+    const now = new Date();
+    const doc = {
+      id: nextId('documents'),
+      filename: document.filename,
+      file_hash: document.file_hash,
+      file_size: document.file_size,
+      mime_type: document.mime_type,
+      extracted_text: document.extracted_text,
+      text_hash: document.text_hash || null,
+      simhash: document.simhash || null,
+      ai_summary: document.ai_summary,
+      embedding: document.embedding ? [...document.embedding] : null,
+      embedding_model: document.embedding_model,
+      embedding_windows: document.embedding_windows || 1,
+      language: document.language || 'fr',
+      detected_language: document.detected_language || null,
+      tags: null,
+      created_at: now,
+      updated_at: now
+    };
+    tables.documents.push(doc);
+    addVector(documentLabel(doc.id), doc.id, doc.embedding);
+    return doc.id;
+  }
+
+  async function insertDocumentChunks(documentId, chunks, chunkEmbeddingModel) {
+    if (!chunks || chunks.length === 0) return 0;
+    for (const chunk of chunks) {
+      tables.document_chunks.push({
+        id: nextId('document_chunks'),
+        document_id: documentId,
+        chunk_index: chunk.chunk_index,
+        page_start: chunk.page_start,
+        page_end: chunk.page_end,
+        chunk_text: chunk.text,
+        embedding: [...chunk.embedding],
+        embedding_model: chunkEmbeddingModel,
+        created_at: new Date()
+      });
+      addVector(chunkLabel(documentId, chunk.chunk_index), documentId, chunk.embedding);
+    }
+    return chunks.length;
+  }
+
+  async function listDocuments({ page = 1, page_size = 20, sort = 'created_at', order = 'desc', filters = {} } = {}) {
+    const sortColumn = sortColumns.includes(sort) ? sort : 'created_at';
+    const direction = order === 'asc' ? 1 : -1;
+    const pageSize = Math.max(1, Number(page_size) || 20);
+    const offset = (Math.max(1, Number(page) || 1) - 1) * pageSize;
+
+    const matching = tables.documents
+      .filter(doc => matchesFilters(doc, filters))
+      .sort((a, b) => direction * (compare(a[sortColumn], b[sortColumn]) || a.id - b.id));
+    const documents = matching.slice(offset, offset + pageSize).map(doc => ({
+      id: doc.id,
+      filename: doc.filename,
+      file_hash: doc.file_hash,
+      file_size: doc.file_size,
+      mime_type: doc.mime_type,
+      language: doc.language,
+      detected_language: doc.detected_language,
+      tags: doc.tags,
+      embedding_model: doc.embedding_model,
+      embedding_windows: doc.embedding_windows,
+      created_at: doc.created_at,
+      updated_at: doc.updated_at,
+      summary_snippet: doc.ai_summary ? doc.ai_summary.slice(0, snippetChars) : doc.ai_summary,
+      chunk_count: chunksOf(doc.id).length
+    }));
+    return { documents, total: matching.length };
+  }
+
+  async function updateDocument(id, changes) {
+    const doc = findDocument(id);
+    const fields = ['filename', 'tags', 'ai_summary'].filter(field => changes[field] !== undefined);
+    if (fields.length === 0 || !doc) return false;
+    for (const field of fields) {
+      doc[field] = field === 'tags' ? [...changes.tags] : changes[field];
+    }
+    doc.updated_at = new Date();
+    return true;
+  }
+
+  async function deleteDocument(id) {
+    const doc = findDocument(id);
+    if (!doc) return false;
+
+    tables.documents = tables.documents.filter(d => d !== doc);
+    removeVector(documentLabel(doc.id));
+    for (const chunk of chunksOf(doc.id)) {
+      removeVector(chunkLabel(doc.id, chunk.chunk_index));
+    }
+    tables.document_chunks = tables.document_chunks.filter(chunk => chunk.document_id !== doc.id);
+    // conversations.document_id is ON DELETE SET NULL
+    for (const conversation of tables.conversations) {
+      if (conversation.document_id === doc.id) conversation.document_id = null;
+    }
+    return true;
+  }
+
+  async function getDocumentChunks(documentId) {
+    return chunksOf(Number(documentId)).map(({ created_at, ...chunk }) => ({ ...chunk }));
+  }
+
+  async function getCorpusPassages(filters = {}) {
+    const passages = [];
+    for (const doc of tables.documents.filter(d => matchesFilters(d, { embedding_model: embeddingModel, ...filters }))) {
+      const chunks = chunksOf(doc.id);
+      if (chunks.length === 0) {
+        if (doc.ai_summary === null || doc.ai_summary === undefined) continue;
+        passages.push({
+          document_id: doc.id,
+          chunk_index: null,
+          page_start: null,
+          page_end: null,
+          chunk_text: doc.ai_summary,
+          embedding: doc.embedding,
+          filename: doc.filename
+        });
+        continue;
+      }
+      for (const chunk of chunks) {
+        passages.push({
+          document_id: doc.id,
+          chunk_index: chunk.chunk_index,
+          page_start: chunk.page_start,
+          page_end: chunk.page_end,
+          chunk_text: chunk.chunk_text,
+          embedding: chunk.embedding,
+          filename: doc.filename
+        });
+      }
+    }
+    return passages;
+  }
+
+  // Stand-in for MySQL FULLTEXT: number of occurrences of the query words (3 letters or more)
+  async function searchDocumentsFulltext(query, limit = 10, filters = {}) {
+    const words = String(query).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 3);
+    return tables.documents
+      .filter(doc => matchesFilters(doc, filters))
+      .map(doc => {
+        const text = `${doc.extracted_text || ''} ${doc.ai_summary || ''}`.toLowerCase();
+        const keyword_score = words.reduce((score, word) => score + text.split(word).length - 1, 0);
+        return { ...pickSearchFields(doc), keyword_score };
+      })
+      .filter(row => row.keyword_score > 0)
+      .sort((a, b) => b.keyword_score - a.keyword_score)
+      .slice(0, Math.max(1, Number(limit) || 10));
+  }
+
+  async function loadIndexVectors() {
+    const documents = tables.documents.filter(doc => doc.embedding_model === embeddingModel);
+    return documents.flatMap(doc => [
+      { label: documentLabel(doc.id), documentId: doc.id, embedding: doc.embedding },
+      ...chunksOf(doc.id).map(chunk => ({
+        label: chunkLabel(doc.id, chunk.chunk_index),
+        documentId: doc.id,
+        embedding: chunk.embedding
+      }))
+    ]);
+  }
+
+  async function getIndexWatermark() {
+    const documents = tables.documents.filter(doc => doc.embedding_model === embeddingModel);
+    const total = (await loadIndexVectors()).length;
+    const maxId = Math.max(0, ...documents.map(doc => doc.id));
+    const lastUpdate = Math.max(0, ...documents.map(doc => new Date(doc.updated_at).getTime()));
+    return `${total}:${maxId}:${lastUpdate}`;
+  }
+
+  async function countDocumentsByEmbeddingModel() {
+    const counts = {};
+    for (const doc of tables.documents) {
+      const model = doc.embedding_model || 'unknown';
+      counts[model] = (counts[model] || 0) + 1;
+    }
+    return counts;
+  }
+
+  const needsReembed = (doc, model) => !doc.embedding_model || doc.embedding_model !== model;
+
+  async function listDocumentsToReembed(model, afterId = 0, limit = 20) {
+    return tables.documents
+      .filter(doc => needsReembed(doc, model) && doc.id > afterId)
+      .sort((a, b) => a.id - b.id)
+      .slice(0, Math.max(1, Number(limit) || 20))
+      .map(({ id, filename, extracted_text, embedding_model }) => ({ id, filename, extracted_text, embedding_model }));
+  }
+
+  async function countDocumentsToReembed(model) {
+    return tables.documents.filter(doc => needsReembed(doc, model)).length;
+  }
+
+  const hasSummaryMarker = (doc, markers) => markers.some(marker => (doc.ai_summary || '').includes(marker));
+
+  async function listDocumentsWithSummaryMarkers(markers, afterId = 0, limit = 20) {
+    return tables.documents
+      .filter(doc => hasSummaryMarker(doc, markers) && doc.id > afterId)
+      .sort((a, b) => a.id - b.id)
+      .slice(0, Math.max(1, Number(limit) || 20))
+      .map(({ id, filename, extracted_text, ai_summary, language }) => ({ id, filename, extracted_text, ai_summary, language }));
+  }
+
+  async function countDocumentsWithSummaryMarkers(markers) {
+    return tables.documents.filter(doc => hasSummaryMarker(doc, markers)).length;
+  }
+
+  async function updateDocumentEmbeddings(documentId, { embedding, windowCount = 1, chunks = [], model }) {
+    const doc = findDocument(documentId);
+    if (!doc) return;
+    Object.assign(doc, { embedding: [...embedding], embedding_model: model, embedding_windows: windowCount });
+    for (const { chunk_index, embedding: chunkEmbedding } of chunks) {
+      const chunk = chunksOf(doc.id).find(c => c.chunk_index === chunk_index);
+      if (chunk) Object.assign(chunk, { embedding: [...chunkEmbedding], embedding_model: model });
+    }
+
+    if (model === embeddingModel) {
+      addVector(documentLabel(doc.id), doc.id, embedding);
+      for (const chunk of chunks) {
+        addVector(chunkLabel(doc.id, chunk.chunk_index), doc.id, chunk.embedding);
+      }
+    }
+  }
+
+  // Exact scoring of every candidate, as scoreSimilarDocuments does after its shortcuts
+  async function findSimilarDocuments(embedding, threshold = 0.85, limit = 5, filters = {}, queryChunkEmbeddings = null) {
+    const queryEmbeddings = queryChunkEmbeddings && queryChunkEmbeddings.length > 0
+      ? queryChunkEmbeddings
+      : [embedding];
+
+    const results = [];
+    for (const doc of tables.documents.filter(d => matchesFilters(d, { embedding_model: embeddingModel, ...filters }))) {
+      const chunks = chunksOf(doc.id);
+      const { similarity, bestChunk } = chunks.length > 0
+        ? scoreDocumentChunks(queryEmbeddings, chunks)
+        : { similarity: calculateCosineSimilarity(embedding, doc.embedding), bestChunk: null };
+      if (similarity >= threshold) {
+        results.push({ ...pickSearchFields(doc), similarity_score: similarity, best_chunk: bestChunk });
+      }
+    }
+    results.sort((a, b) => b.similarity_score - a.similarity_score);
+    return results.slice(0, limit);
+  }
+
+  async function createConversation({ document_id = null, title }) {
+    const now = new Date();
+    const id = nextId('conversations');
+    tables.conversations.push({ id, document_id, title, created_at: now, updated_at: now });
+    return id;
+  }
+
+  async function getConversationById(id) {
+    const conversation = tables.conversations.find(c => c.id === Number(id));
+    return conversation ? { ...conversation } : null;
+  }
+
+  async function listConversations({ document_id = null } = {}) {
+    return tables.conversations
+      .filter(conversation => !document_id || conversation.document_id === Number(document_id))
+      .sort((a, b) => b.updated_at - a.updated_at || b.id - a.id)
+      .slice(0, 50)
+      .map(conversation => ({ ...conversation }));
+  }
+
+  async function insertMessage(conversationId, { role, content, citations = null }) {
+    const id = nextId('messages');
+    tables.messages.push({ id, conversation_id: Number(conversationId), role, content, citations, created_at: new Date() });
+    const conversation = tables.conversations.find(c => c.id === Number(conversationId));
+    if (conversation) conversation.updated_at = new Date();
+    return id;
+  }
+
+  async function insertMessages(conversationId, messages) {
+    const ids = [];
+    for (const message of messages) ids.push(await insertMessage(conversationId, message));
+    return ids;
+  }
+
+  async function getConversationMessages(conversationId) {
+    return tables.messages
+      .filter(message => message.conversation_id === Number(conversationId))
+      .map(message => ({ ...message }));
+  }
+
+  async function getRagSetting(key) {
+    const setting = tables.rag_settings.get(key);
+    return setting ? setting.setting_value : null;
+  }
+
+  async function updateRagSetting(key, value) {
+    tables.rag_settings.set(key, { setting_key: key, setting_value: value, updated_at: new Date() });
+  }
+
+  async function getAllRagSettings() {
+    return [...tables.rag_settings.values()].map(setting => ({ ...setting }));
+  }
+
+  async function insertRagSettingAudit({ setting_key, old_value, new_value, changed_by }) {
+    tables.rag_settings_audit.push({
+      id: nextId('rag_settings_audit'),
+      setting_key,
+      old_value,
+      new_value,
+      changed_by,
+      changed_at: new Date()
+    });
+  }
+
+  async function getRagSettingsAudit(limit = 20) {
+    return [...tables.rag_settings_audit]
+      .reverse()
+      .slice(0, Math.max(1, Number(limit) || 20))
+      .map(({ id, ...change }) => change);
+  }
+
+  async function getDatabaseStats() {
+    return {
+      total_documents: tables.documents.length,
+      avg_similarity: 0,
+      cache_entries: 0
+    };
+  }
+
+  return {
+    pool: null,
+    testConnection,
+    executeQuery,
+    getDocumentByHash,
+    getDocumentByTextHash,
+    getDocumentFingerprints,
+    getDocumentById,
+    DOCUMENT_SORT_COLUMNS: sortColumns,
+    listDocuments,
+    updateDocument,
+    deleteDocument,
+    insertDocument,
+    insertDocumentChunks,
+    getDocumentChunks,
+    getCorpusPassages,
+    searchDocumentsFulltext,
+    loadIndexVectors,
+    getIndexWatermark,
+    countDocumentsByEmbeddingModel,
+    listDocumentsToReembed,
+    countDocumentsToReembed,
+    listDocumentsWithSummaryMarkers,
+    countDocumentsWithSummaryMarkers,
+    updateDocumentEmbeddings,
+    findSimilarDocuments,
+    buildQueryHash,
+    // Nothing is cached in memory
+    invalidateSimilarityCache: async () => {},
+    invalidateSimilarityCacheForDocument: async () => {},
+    invalidateSimilarityCacheForNewDocument: async () => {},
+    scoreDocumentChunks,
+    calculateCosineSimilarity,
+    createConversation,
+    getConversationById,
+    listConversations,
+    insertMessage,
+    insertMessages,
+    getConversationMessages,
+    getRagSetting,
+    updateRagSetting,
+    getAllRagSettings,
+    insertRagSettingAudit,
+    getRagSettingsAudit,
+    getDatabaseStats
+  };
+}
+
+module.exports = {
+  createMemoryDatabase
+};
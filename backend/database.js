@@ -1,6 +1,26 @@
+const crypto = require('crypto');
 const mysql = require('mysql2/promise');
+const {
+  documentLabel,
+  chunkLabel,
+  addVector,
+  removeVector,
+  isVectorIndexReady,
+  findCandidateDocuments
+} = require('./vector-index');
+const { encodeFloat32, encodeInt8, decodeInt8, decodeEmbedding } = require('./embedding-codec');
 require('dotenv').config();
 
+// Embedding model of new vectors: searches only compare vectors of this model
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'nomic-embed-text';
+
+// int8 copies of the embeddings: stored next to the Float32 vectors and used for a fast first
+// similarity pass, whose shortlist is then scored exactly
+const EMBEDDING_INT8 = process.env.EMBEDDING_INT8 !== 'false';
+const INT8_SHORTLIST = Number(process.env.INT8_SHORTLIST || 50);
+// Quantization error allowance when comparing first-pass scores to the threshold
+const INT8_MARGIN = Number(process.env.INT8_MARGIN || 0.02);
+
 // Database configuration
 const dbConfig = {
   host: process.env.DB_HOST || 'localhost',
@@ -14,7 +34,7 @@ const dbConfig = {
   queueLimit: 0
 };
 
-// Create connection pool
+// Create connection pool (not used with DB_DRIVER=memory, see the end of this file)
 const pool = mysql.createPool(dbConfig);
 
 // Test database connection
@@ -48,26 +68,91 @@ async function executeQuery(sql, params = []) {
   }
 }
 
-// Get a single document by hash
-async function getDocumentByHash(fileHash) {
+// Between migration 006 and 007 the embedding columns are still JSON: vectors are written there as JSON
+// and as Float32 to embedding_f32 (such rows are skipped by migrate-embeddings.js), which 007 renames.
+// Only the final state is remembered, so 007 can be applied while the backend runs.
+let embeddingCutoverDone = false;
+
+async function isBeforeEmbeddingCutover() {
+  if (embeddingCutoverDone) return false;
+  const results = await executeQuery(`
+    SELECT COUNT(*) AS total FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'documents' AND COLUMN_NAME = 'embedding_f32'
+  `);
+  embeddingCutoverDone = Number(results[0].total) === 0;
+  return !embeddingCutoverDone;
+}
+
+// Embedding columns written for a vector, and their values (see isBeforeEmbeddingCutover)
+function embeddingColumns(beforeCutover) {
+  return beforeCutover ? ['embedding', 'embedding_f32', 'embedding_int8'] : ['embedding', 'embedding_int8'];
+}
+
+function embeddingValues(vector, beforeCutover) {
+  const int8 = EMBEDDING_INT8 ? encodeInt8(vector) : null;
+  return beforeCutover
+    ? [JSON.stringify(Array.from(vector)), encodeFloat32(vector), int8]
+    : [encodeFloat32(vector), int8];
+}
+
+// Get a single document by hash (and summary language, when given)
+async function getDocumentByHash(fileHash, language = null) {
   const sql = `
     SELECT id, filename, file_hash, file_size, mime_type, 
-           extracted_text, ai_summary, embedding, embedding_model,
-           created_at, updated_at
+           extracted_text, ai_summary, embedding, embedding_model, language,
+           detected_language, created_at, updated_at
     FROM documents 
-    WHERE file_hash = ?
+    WHERE file_hash = ?${language ? ' AND language = ?' : ''}
   `;
-  const results = await executeQuery(sql, [fileHash]);
+  const results = await executeQuery(sql, language ? [fileHash, language] : [fileHash]);
+  return results.length > 0 ? { ...results[0], embedding: decodeEmbedding(results[0].embedding) } : null;
+}
+
+// Get a document whose normalized extracted text is the same (text hash), in a summary language
+async function getDocumentByTextHash(textHash, language) {
+  const sql = `
+    SELECT id, filename, file_hash, ai_summary, language, created_at
+    FROM documents
+    WHERE text_hash = ? AND language = ?
+    ORDER BY created_at DESC
+    LIMIT 1
+  `;
+  const results = await executeQuery(sql, [textHash, language]);
+  return results.length > 0 ? results[0] : null;
+}
+
+// SimHash fingerprints of the documents summarized in a language (near-duplicate check)
+async function getDocumentFingerprints(language) {
+  return executeQuery(
+    'SELECT id, simhash FROM documents WHERE language = ? AND simhash IS NOT NULL',
+    [language]
+  );
+}
+
+// Get a single document by id
+async function getDocumentById(id) {
+  const sql = `
+    SELECT id, filename, file_hash, file_size, mime_type, 
+           extracted_text, ai_summary, embedding_model, embedding_windows, language,
+           detected_language, tags, created_at, updated_at
+    FROM documents 
+    WHERE id = ?
+  `;
+  const results = await executeQuery(sql, [id]);
   return results.length > 0 ? results[0] : null;
 }
 
 // Insert a new document
 async function insertDocument(document) {
+  const beforeCutover = await isBeforeEmbeddingCutover();
+  const columns = [
+    'filename', 'file_hash', 'file_size', 'mime_type',
+    'extracted_text', 'text_hash', 'simhash', 'ai_summary', ...embeddingColumns(beforeCutover),
+    'embedding_model', 'embedding_windows', 'language', 'detected_language'
+  ];
   const sql = `
-    INSERT INTO documents (
-      filename, file_hash, file_size, mime_type, 
-      extracted_text, ai_summary, embedding, embedding_model
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO documents (${columns.join(', ')})
+    VALUES (${columns.map(() => '?').join(', ')})
   `;
   
   const params = [
@@ -76,28 +161,761 @@ async function insertDocument(document) {
     document.file_size,
     document.mime_type,
     document.extracted_text,
+    document.text_hash || null,
+    document.simhash || null,
     document.ai_summary,
-    JSON.stringify(document.embedding),
-    document.embedding_model
+    ...embeddingValues(document.embedding, beforeCutover),
+    document.embedding_model,
+    document.embedding_windows || 1,
+    document.language || 'fr',
+    document.detected_language || null
   ];
   
   const result = await executeQuery(sql, params);
+  addVector(documentLabel(result.insertId), result.insertId, document.embedding);
+  return result.insertId;
+}
+
+// Insert the retrieval chunks of a document (one row per chunk, with its page range)
+async function insertDocumentChunks(documentId, chunks, embeddingModel) {
+  if (!chunks || chunks.length === 0) return 0;
+
+  const beforeCutover = await isBeforeEmbeddingCutover();
+  const columns = [
+    'document_id', 'chunk_index', 'page_start', 'page_end',
+    'chunk_text', ...embeddingColumns(beforeCutover), 'embedding_model'
+  ];
+  const placeholders = chunks.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+  const sql = `
+    INSERT INTO document_chunks (${columns.join(', ')})
+    VALUES ${placeholders}
+  `;
+
+  const params = [];
+  for (const chunk of chunks) {
+    params.push(
+      documentId,
+      chunk.chunk_index,
+      chunk.page_start,
+      chunk.page_end,
+      chunk.text,
+      ...embeddingValues(chunk.embedding, beforeCutover),
+      embeddingModel
+    );
+  }
+
+  const result = await executeQuery(sql, params);
+  for (const chunk of chunks) {
+    addVector(chunkLabel(documentId, chunk.chunk_index), documentId, chunk.embedding);
+  }
+  return result.affectedRows;
+}
+
+// Columns the document library can be sorted on
+const DOCUMENT_SORT_COLUMNS = ['created_at', 'updated_at', 'filename', 'file_size'];
+const DOCUMENT_SNIPPET_CHARS = 300;
+
+// One page of the document library (no extracted text), with the total for pagination
+// filters: as buildDocumentFilters, including `filename` (contains)
+async function listDocuments({ page = 1, page_size = 20, sort = 'created_at', order = 'desc', filters = {} } = {}) {
+  const sortColumn = DOCUMENT_SORT_COLUMNS.includes(sort) ? sort : 'created_at';
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const pageSize = Math.max(1, Number(page_size) || 20);
+  const offset = (Math.max(1, Number(page) || 1) - 1) * pageSize;
+  const { where, params } = buildDocumentFilters(filters);
+
+  const sql = `
+    SELECT id, filename, file_hash, file_size, mime_type, language, detected_language,
+           tags, embedding_model, embedding_windows, created_at, updated_at,
+           LEFT(ai_summary, ${DOCUMENT_SNIPPET_CHARS}) AS summary_snippet,
+           (SELECT COUNT(*) FROM document_chunks c WHERE c.document_id = documents.id) AS chunk_count
+    FROM documents
+    ${where}
+    ORDER BY ${sortColumn} ${direction}, id ${direction}
+    LIMIT ${pageSize} OFFSET ${offset}
+  `;
+  const documents = await executeQuery(sql, params);
+  const totals = await executeQuery(`SELECT COUNT(*) AS total FROM documents ${where}`, params);
+  return {
+    documents: documents.map(doc => ({ ...doc, chunk_count: Number(doc.chunk_count) })),
+    total: Number(totals[0].total)
+  };
+}
+
+// Update the editable fields of a document: { filename, tags, ai_summary } (only those given)
+async function updateDocument(id, changes) {
+  const assignments = [];
+  const params = [];
+  if (changes.filename !== undefined) {
+    assignments.push('filename = ?');
+    params.push(changes.filename);
+  }
+  if (changes.tags !== undefined) {
+    assignments.push('tags = ?');
+    params.push(JSON.stringify(changes.tags));
+  }
+  if (changes.ai_summary !== undefined) {
+    assignments.push('ai_summary = ?');
+    params.push(changes.ai_summary);
+  }
+  if (assignments.length === 0) return false;
+
+  const result = await executeQuery(`UPDATE documents SET ${assignments.join(', ')} WHERE id = ?`, [...params, id]);
+  return result.affectedRows > 0;
+}
+
+// Delete a document with its chunks (cascade), cached similarity results and indexed vectors
+async function deleteDocument(id) {
+  const chunks = await executeQuery('SELECT chunk_index FROM document_chunks WHERE document_id = ?', [id]);
+  await invalidateSimilarityCacheForDocument(id);
+
+  const result = await executeQuery('DELETE FROM documents WHERE id = ?', [id]);
+  if (result.affectedRows === 0) return false;
+
+  removeVector(documentLabel(id));
+  for (const chunk of chunks) {
+    removeVector(chunkLabel(id, chunk.chunk_index));
+  }
+  return true;
+}
+
+// Get the chunks of a document, in reading order
+async function getDocumentChunks(documentId) {
+  const sql = `
+    SELECT id, document_id, chunk_index, page_start, page_end, chunk_text, embedding, embedding_model
+    FROM document_chunks
+    WHERE document_id = ?
+    ORDER BY chunk_index
+  `;
+  const rows = await executeQuery(sql, [documentId]);
+  return rows.map(row => ({ ...row, embedding: decodeEmbedding(row.embedding) }));
+}
+
+// Create a chat conversation (document_id may be null)
+async function createConversation({ document_id = null, title }) {
+  const sql = 'INSERT INTO conversations (document_id, title) VALUES (?, ?)';
+  const result = await executeQuery(sql, [document_id, title]);
   return result.insertId;
 }
 
-// Find similar documents using cosine similarity
-async function findSimilarDocuments(embedding, threshold = 0.85, limit = 5) {
+// Get a single conversation by id
+async function getConversationById(id) {
+  const sql = `
+    SELECT id, document_id, title, created_at, updated_at
+    FROM conversations
+    WHERE id = ?
+  `;
+  const results = await executeQuery(sql, [id]);
+  return results.length > 0 ? results[0] : null;
+}
+
+// List the most recently active conversations (optionally those of one document)
+async function listConversations({ document_id = null } = {}) {
+  const sql = `
+    SELECT id, document_id, title, created_at, updated_at
+    FROM conversations
+    ${document_id ? 'WHERE document_id = ?' : ''}
+    ORDER BY updated_at DESC
+    LIMIT 50
+  `;
+  return executeQuery(sql, document_id ? [document_id] : []);
+}
+
+// Append a message to a conversation and mark the conversation as active
+async function insertMessage(conversationId, { role, content, citations = null }) {
+  const sql = `
+    INSERT INTO messages (conversation_id, role, content, citations)
+    VALUES (?, ?, ?, ?)
+  `;
+  const result = await executeQuery(sql, [
+    conversationId,
+    role,
+    content,
+    citations ? JSON.stringify(citations) : null
+  ]);
+  await executeQuery('UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [conversationId]);
+  return result.insertId;
+}
+
+// Several messages in one INSERT, so they are all stored or none is (ids in the same order)
+async function insertMessages(conversationId, messages) {
+  const sql = `
+    INSERT INTO messages (conversation_id, role, content, citations)
+    VALUES ${messages.map(() => '(?, ?, ?, ?)').join(', ')}
+  `;
+  const result = await executeQuery(sql, messages.flatMap(({ role, content, citations = null }) => [
+    conversationId,
+    role,
+    content,
+    citations ? JSON.stringify(citations) : null
+  ]));
+  await executeQuery('UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [conversationId]);
+  // A multi-row INSERT gets consecutive ids, insertId being the first one
+  return messages.map((message, i) => result.insertId + i);
+}
+
+// Get the messages of a conversation, oldest first
+async function getConversationMessages(conversationId) {
+  const sql = `
+    SELECT id, conversation_id, role, content, citations, created_at
+    FROM messages
+    WHERE conversation_id = ?
+    ORDER BY id
+  `;
+  return executeQuery(sql, [conversationId]);
+}
+
+// Escape LIKE wildcards so user input matches literally
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+// Build a WHERE clause from optional document filters
+// filters: { language, mime_type, date_from, date_to, filename, embedding_model, ids } (dates as
+// 'YYYY-MM-DD', date_to inclusive, filename matches when it contains the given text)
+// (prefix is the table alias to use when the documents table is joined)
+function buildDocumentFilters(filters = {}, prefix = '') {
+  const conditions = [];
+  const params = [];
+  if (filters.language) {
+    conditions.push(`${prefix}language = ?`);
+    params.push(filters.language);
+  }
+  if (filters.mime_type) {
+    conditions.push(`${prefix}mime_type = ?`);
+    params.push(filters.mime_type);
+  }
+  if (filters.date_from) {
+    conditions.push(`${prefix}created_at >= ?`);
+    params.push(filters.date_from);
+  }
+  if (filters.date_to) {
+    conditions.push(`${prefix}created_at < DATE_ADD(?, INTERVAL 1 DAY)`);
+    params.push(filters.date_to);
+  }
+  if (filters.embedding_model) {
+    conditions.push(`${prefix}embedding_model = ?`);
+    params.push(filters.embedding_model);
+  }
+  if (filters.filename) {
+    conditions.push(`${prefix}filename LIKE ?`);
+    params.push(`%${escapeLike(filters.filename)}%`);
+  }
+  if (filters.ids) {
+    conditions.push(`${prefix}id IN (${filters.ids.map(() => '?').join(', ')})`);
+    params.push(...filters.ids);
+  }
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+// Same filters as buildDocumentFilters, on a document row in memory
+// (filename contains, case-insensitive like the MySQL collation)
+function documentMatchesFilters(doc, filters = {}) {
+  if (filters.language && doc.language !== filters.language) return false;
+  if (filters.mime_type && doc.mime_type !== filters.mime_type) return false;
+  if (filters.date_from && doc.created_at < new Date(filters.date_from)) return false;
+  if (filters.date_to) {
+    const end = new Date(filters.date_to);
+    end.setDate(end.getDate() + 1);
+    if (doc.created_at >= end) return false;
+  }
+  if (filters.embedding_model && doc.embedding_model !== filters.embedding_model) return false;
+  if (filters.filename && !doc.filename.toLowerCase().includes(String(filters.filename).toLowerCase())) return false;
+  if (filters.ids && !filters.ids.map(Number).includes(doc.id)) return false;
+  return true;
+}
+
+// Passages of every stored document embedded with the active model, for corpus-wide question answering.
+// Documents stored before chunking contribute their summary as a single passage (no page range),
+// when they have one.
+async function getCorpusPassages(filters = {}) {
+  const { where, params } = buildDocumentFilters({ embedding_model: EMBEDDING_MODEL, ...filters }, 'd.');
+  const chunkSql = `
+    SELECT c.document_id, c.chunk_index, c.page_start, c.page_end, c.chunk_text, c.embedding, d.filename
+    FROM document_chunks c
+    JOIN documents d ON d.id = c.document_id
+    ${where}
+  `;
+  const legacySql = `
+    SELECT d.id AS document_id, NULL AS chunk_index, NULL AS page_start, NULL AS page_end,
+           d.ai_summary AS chunk_text, d.embedding, d.filename
+    FROM documents d
+    ${where ? `${where} AND` : 'WHERE'} NOT EXISTS (SELECT 1 FROM document_chunks c WHERE c.document_id = d.id)
+      AND d.ai_summary IS NOT NULL
+  `;
+  const chunks = await executeQuery(chunkSql, params);
+  const legacy = await executeQuery(legacySql, params);
+  return chunks.concat(legacy).map(row => ({ ...row, embedding: decodeEmbedding(row.embedding) }));
+}
+
+// Keyword search on extracted text and summary (MySQL FULLTEXT relevance, highest first)
+async function searchDocumentsFulltext(query, limit = 10, filters = {}) {
+  const { where, params } = buildDocumentFilters(filters);
+  const sql = `
+    SELECT id, filename, file_hash, mime_type, ai_summary, language, created_at,
+           MATCH(extracted_text, ai_summary) AGAINST (? IN NATURAL LANGUAGE MODE) AS keyword_score
+    FROM documents
+    ${where ? `${where} AND` : 'WHERE'} MATCH(extracted_text, ai_summary) AGAINST (? IN NATURAL LANGUAGE MODE)
+    ORDER BY keyword_score DESC
+    LIMIT ${Math.max(1, Number(limit) || 10)}
+  `;
+  return executeQuery(sql, [query, ...params, query]);
+}
+
+// Every embedding to put in the vector index (document and chunk embeddings of the active model)
+async function loadIndexVectors() {
+  const documents = await executeQuery('SELECT id, embedding FROM documents WHERE embedding_model = ?', [EMBEDDING_MODEL]);
+  const chunks = await executeQuery(`
+    SELECT c.document_id, c.chunk_index, c.embedding
+    FROM document_chunks c
+    JOIN documents d ON d.id = c.document_id
+    WHERE d.embedding_model = ?
+  `, [EMBEDDING_MODEL]);
+  return [
+    ...documents.map(doc => ({
+      label: documentLabel(doc.id),
+      documentId: doc.id,
+      embedding: decodeEmbedding(doc.embedding)
+    })),
+    ...chunks.map(chunk => ({
+      label: chunkLabel(chunk.document_id, chunk.chunk_index),
+      documentId: chunk.document_id,
+      embedding: decodeEmbedding(chunk.embedding)
+    }))
+  ];
+}
+
+// State of the embeddings the vector index should hold: their number, the last document id and
+// the last document update. A delete followed by an insert moves the id, a re-embed the update time.
+async function getIndexWatermark() {
+  const results = await executeQuery(`
+    SELECT (SELECT COUNT(*) FROM documents WHERE embedding_model = ?)
+         + (SELECT COUNT(*) FROM document_chunks c JOIN documents d ON d.id = c.document_id
+            WHERE d.embedding_model = ?) AS total,
+           (SELECT MAX(id) FROM documents WHERE embedding_model = ?) AS max_id,
+           (SELECT MAX(updated_at) FROM documents WHERE embedding_model = ?) AS last_update
+  `, [EMBEDDING_MODEL, EMBEDDING_MODEL, EMBEDDING_MODEL, EMBEDDING_MODEL]);
+  const { total, max_id, last_update } = results[0];
+  return `${Number(total)}:${max_id || 0}:${last_update ? new Date(last_update).getTime() : 0}`;
+}
+
+// Number of documents per embedding model
+async function countDocumentsByEmbeddingModel() {
+  const rows = await executeQuery(`
+    SELECT COALESCE(embedding_model, 'unknown') AS embedding_model, COUNT(*) AS documents
+    FROM documents
+    GROUP BY embedding_model
+  `);
+  return Object.fromEntries(rows.map(row => [row.embedding_model, Number(row.documents)]));
+}
+
+// Next documents not embedded with a model (id order, after afterId), for the re-embed job
+async function listDocumentsToReembed(model, afterId = 0, limit = 20) {
+  const sql = `
+    SELECT id, filename, extracted_text, embedding_model
+    FROM documents
+    WHERE (embedding_model IS NULL OR embedding_model <> ?) AND id > ?
+    ORDER BY id
+    LIMIT ${Math.max(1, Number(limit) || 20)}
+  `;
+  return executeQuery(sql, [model, afterId]);
+}
+
+async function countDocumentsToReembed(model) {
+  const results = await executeQuery(
+    'SELECT COUNT(*) AS total FROM documents WHERE embedding_model IS NULL OR embedding_model <> ?',
+    [model]
+  );
+  return Number(results[0].total);
+}
+
+// WHERE clause matching summaries that contain one of the markers
+function buildSummaryMarkersClause(markers) {
+  return {
+    clause: `(${markers.map(() => "ai_summary LIKE ?").join(' OR ')})`,
+    params: markers.map(marker => `%${escapeLike(marker)}%`)
+  };
+}
+
+// Next documents whose summary contains one of the markers (id order, after afterId), for the repair job
+async function listDocumentsWithSummaryMarkers(markers, afterId = 0, limit = 20) {
+  const { clause, params } = buildSummaryMarkersClause(markers);
+  const sql = `
+    SELECT id, filename, extracted_text, ai_summary, language
+    FROM documents
+    WHERE ${clause} AND id > ?
+    ORDER BY id
+    LIMIT ${Math.max(1, Number(limit) || 20)}
+  `;
+  return executeQuery(sql, [...params, afterId]);
+}
+
+async function countDocumentsWithSummaryMarkers(markers) {
+  const { clause, params } = buildSummaryMarkersClause(markers);
+  const results = await executeQuery(`SELECT COUNT(*) AS total FROM documents WHERE ${clause}`, params);
+  return Number(results[0].total);
+}
+
+// Replace the embeddings of a document and of its chunks (same text, new model).
+// chunks: [{ chunk_index, embedding }] for every stored chunk of the document
+async function updateDocumentEmbeddings(documentId, { embedding, windowCount = 1, chunks = [], model }) {
+  const beforeCutover = await isBeforeEmbeddingCutover();
+  const assignments = embeddingColumns(beforeCutover).map(column => `${column} = ?`).join(', ');
+  await executeQuery(
+    `UPDATE documents SET ${assignments}, embedding_model = ?, embedding_windows = ? WHERE id = ?`,
+    [...embeddingValues(embedding, beforeCutover), model, windowCount, documentId]
+  );
+  for (const chunk of chunks) {
+    await executeQuery(
+      `UPDATE document_chunks SET ${assignments}, embedding_model = ? WHERE document_id = ? AND chunk_index = ?`,
+      [...embeddingValues(chunk.embedding, beforeCutover), model, documentId, chunk.chunk_index]
+    );
+  }
+
+  // The vector index only holds vectors of the active model
+  if (model === EMBEDDING_MODEL) {
+    addVector(documentLabel(documentId), documentId, embedding);
+    for (const chunk of chunks) {
+      addVector(chunkLabel(documentId, chunk.chunk_index), documentId, chunk.embedding);
+    }
+  }
+  await invalidateSimilarityCache();
+}
+
+// Decoders of the two embedding columns (null when the int8 copy was not stored)
+const EMBEDDING_DECODERS = {
+  embedding: decodeEmbedding,
+  embedding_int8: value => (value ? decodeInt8(value) : null)
+};
+
+// Load chunk embeddings of the candidate documents, grouped by document id
+// (column: 'embedding' for Float32 vectors, 'embedding_int8' for the quantized copies)
+async function loadChunksByDocument(filters = {}, column = 'embedding') {
+  const { where, params } = buildDocumentFilters(filters, 'd.');
+  const sql = `
+    SELECT c.document_id, c.chunk_index, c.page_start, c.page_end, c.${column} AS embedding
+    FROM document_chunks c
+    JOIN documents d ON d.id = c.document_id
+    ${where}
+  `;
+  const rows = await executeQuery(sql, params);
+
+  const chunksByDocument = new Map();
+  for (const row of rows) {
+    if (!chunksByDocument.has(row.document_id)) chunksByDocument.set(row.document_id, []);
+    chunksByDocument.get(row.document_id).push({ ...row, embedding: EMBEDDING_DECODERS[column](row.embedding) });
+  }
+  return chunksByDocument;
+}
+
+// Score a document from its chunks: for each query chunk take the best matching document chunk,
+// then average over the query chunks (how much of the query is covered by the document).
+function scoreDocumentChunks(queryEmbeddings, docChunks) {
+  let total = 0;
+  let bestChunk = null;
+
+  for (const queryEmbedding of queryEmbeddings) {
+    let best = 0;
+    for (const chunk of docChunks) {
+      const similarity = calculateCosineSimilarity(queryEmbedding, chunk.embedding);
+      if (similarity > best) best = similarity;
+      if (!bestChunk || similarity > bestChunk.similarity_score) {
+        bestChunk = {
+          chunk_index: chunk.chunk_index,
+          page_start: chunk.page_start,
+          page_end: chunk.page_end,
+          similarity_score: similarity
+        };
+      }
+    }
+    total += best;
+  }
+
+  return { similarity: total / queryEmbeddings.length, bestChunk };
+}
+
+// Similarity of one document: chunk-to-chunk when it has chunks, else its document embedding
+function scoreDocument(embedding, queryEmbeddings, docEmbedding, docChunks) {
+  if (docChunks && docChunks.length > 0) {
+    return scoreDocumentChunks(queryEmbeddings, docChunks);
+  }
+  return { similarity: calculateCosineSimilarity(embedding, docEmbedding), bestChunk: null };
+}
+
+// First pass on the int8 copies: ids of the documents worth scoring exactly, best first.
+// Documents missing an int8 copy (stored with EMBEDDING_INT8=false) are always kept.
+async function shortlistWithInt8(embedding, queryEmbeddings, threshold, limit, filters) {
+  const startTime = Date.now();
+  const { where, params } = buildDocumentFilters(filters);
+  const docs = await executeQuery(`SELECT id, embedding_int8 FROM documents ${where}`, params);
+  const chunksByDocument = await loadChunksByDocument(filters, 'embedding_int8');
+
+  const scored = [];
+  const unquantized = [];
+  for (const doc of docs) {
+    const docChunks = chunksByDocument.get(doc.id);
+    const quantized = docChunks
+      ? docChunks.every(chunk => chunk.embedding)
+      : doc.embedding_int8 !== null;
+    if (!quantized) {
+      unquantized.push(doc.id);
+      continue;
+    }
+    const docEmbedding = doc.embedding_int8 ? decodeInt8(doc.embedding_int8) : null;
+    const { similarity } = scoreDocument(embedding, queryEmbeddings, docEmbedding, docChunks);
+    if (similarity >= threshold - INT8_MARGIN) scored.push({ id: doc.id, similarity });
+  }
+
+  scored.sort((a, b) => b.similarity - a.similarity);
+  const shortlist = scored.slice(0, Math.max(INT8_SHORTLIST, limit)).map(doc => doc.id).concat(unquantized);
+  console.log(`⚡ int8 first pass: ${docs.length} docs in ${Date.now() - startTime}ms, ${shortlist.length} kept for exact scoring`);
+  return shortlist;
+}
+
+// Hash of everything that determines the result of a similarity search (similarity_cache key)
+function buildQueryHash(embedding, { threshold, limit, filters = {}, queryChunkEmbeddings = null }) {
+  const hash = crypto.createHash('sha256');
+  const sortedFilters = Object.fromEntries(Object.keys(filters).sort().map(key => [key, filters[key]]));
+  hash.update(JSON.stringify({ threshold, limit, filters: sortedFilters }));
+  hash.update(encodeFloat32(embedding));
+  for (const chunkEmbedding of queryChunkEmbeddings || []) {
+    hash.update(encodeFloat32(chunkEmbedding));
+  }
+  return hash.digest('hex');
+}
+
+// Validated cache lifetime in hours (rag-settings requires this module, hence the late require)
+async function getCacheExpiryHours() {
+  const { getEffectiveSettings } = require('./rag-settings');
+  return (await getEffectiveSettings()).cache_expiry_hours;
+}
+
+// Cached results of a query, or null when there are none younger than cache_expiry_hours
+// (0 disables the cache). Document fields are read from documents, so edits show up.
+async function getCachedSimilarities(queryHash) {
+  try {
+    const expiryHours = await getCacheExpiryHours();
+    if (!(expiryHours > 0)) return null;
+
+    const rows = await executeQuery(`
+      SELECT c.document_id, c.similarity_score, c.best_chunk,
+             d.filename, d.file_hash, d.mime_type, d.ai_summary, d.language, d.created_at
+      FROM similarity_cache c
+      JOIN documents d ON d.id = c.document_id
+      WHERE c.query_hash = ? AND c.created_at > DATE_SUB(NOW(), INTERVAL ? HOUR)
+      ORDER BY c.similarity_score DESC
+    `, [queryHash, expiryHours]);
+    if (rows.length === 0) return null;
+
+    const results = new Map();
+    for (const row of rows) {
+      if (results.has(row.document_id)) continue;
+      results.set(row.document_id, {
+        id: row.document_id,
+        filename: row.filename,
+        file_hash: row.file_hash,
+        mime_type: row.mime_type,
+        ai_summary: row.ai_summary,
+        language: row.language,
+        created_at: row.created_at,
+        similarity_score: Number(row.similarity_score),
+        best_chunk: row.best_chunk
+      });
+    }
+    return [...results.values()];
+  } catch (error) {
+    console.error('⚠️ Similarity cache lookup failed:', error.message);
+    return null;
+  }
+}
+
+// Record the results of a query with its parameters (empty results are not cached: there is no row to store)
+async function cacheSimilarities(queryHash, results, { embedding, threshold, limit, filters, queryChunkEmbeddings }) {
+  if (results.length === 0) return;
+  try {
+    const chunkEmbeddings = queryChunkEmbeddings || [];
+    await executeQuery('DELETE FROM similarity_cache_queries WHERE query_hash = ?', [queryHash]);
+    await executeQuery(
+      `INSERT INTO similarity_cache_queries (query_hash, query_vectors, chunk_count, threshold, result_limit, filters)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        queryHash,
+        Buffer.concat([embedding, ...chunkEmbeddings].map(vector => encodeFloat32(vector))),
+        chunkEmbeddings.length,
+        threshold,
+        limit,
+        JSON.stringify(filters)
+      ]
+    );
+    const placeholders = results.map(() => '(?, ?, ?, ?)').join(', ');
+    const params = [];
+    for (const result of results) {
+      params.push(
+        queryHash,
+        result.id,
+        result.similarity_score,
+        result.best_chunk ? JSON.stringify(result.best_chunk) : null
+      );
+    }
+    await executeQuery(
+      `INSERT INTO similarity_cache (query_hash, document_id, similarity_score, best_chunk) VALUES ${placeholders}`,
+      params
+    );
+  } catch (error) {
+    console.error('⚠️ Failed to write similarity cache:', error.message);
+  }
+}
+
+// Drop the whole cache (the results of each query go with it)
+async function invalidateSimilarityCache() {
+  try {
+    await executeQuery('DELETE FROM similarity_cache_queries');
+  } catch (error) {
+    console.error('⚠️ Failed to invalidate similarity cache:', error.message);
+  }
+}
+
+// Drop the queries whose results contain a document (call before deleting it: their other
+// results may no longer be the top ones once it is gone)
+async function invalidateSimilarityCacheForDocument(documentId) {
+  try {
+    const affected = await executeQuery(
+      'SELECT DISTINCT query_hash FROM similarity_cache WHERE document_id = ?',
+      [documentId]
+    );
+    if (affected.length === 0) return;
+    await deleteCachedQueries(affected.map(row => row.query_hash));
+  } catch (error) {
+    console.error('⚠️ Failed to invalidate similarity cache:', error.message);
+  }
+}
+
+// Drop the queries a new document would enter: it passes their filters, reaches their threshold,
+// and their results were not full or it beats their last one. Call once its chunks are stored.
+// document: fields given to insertDocument; chunks: as given to insertDocumentChunks
+async function invalidateSimilarityCacheForNewDocument(documentId, document, chunks = []) {
+  try {
+    // Expired queries are never served again (the hourly event deletes them), no need to load them
+    const expiryHours = await getCacheExpiryHours();
+    if (!(expiryHours > 0)) return;
+
+    const queries = await executeQuery(`
+      SELECT q.query_hash, q.query_vectors, q.chunk_count, q.threshold, q.result_limit, q.filters,
+             COUNT(c.id) AS result_count, MIN(c.similarity_score) AS lowest_score
+      FROM similarity_cache_queries q
+      LEFT JOIN similarity_cache c ON c.query_hash = q.query_hash
+      WHERE q.created_at > DATE_SUB(NOW(), INTERVAL ? HOUR)
+      GROUP BY q.query_hash
+    `, [expiryHours]);
+    const row = { ...document, id: documentId, created_at: new Date() };
+
+    const affected = queries.filter(query => {
+      const filters = typeof query.filters === 'string' ? JSON.parse(query.filters) : query.filters;
+      if (!documentMatchesFilters(row, filters)) return false;
+
+      const vectors = decodeEmbedding(query.query_vectors);
+      const dimension = vectors.length / (query.chunk_count + 1);
+      const embedding = vectors.subarray(0, dimension);
+      const queryEmbeddings = query.chunk_count > 0
+        ? Array.from({ length: query.chunk_count }, (_, i) => vectors.subarray((i + 1) * dimension, (i + 2) * dimension))
+        : [embedding];
+      const { similarity } = scoreDocument(embedding, queryEmbeddings, document.embedding, chunks);
+
+      if (similarity < Number(query.threshold)) return false;
+      return Number(query.result_count) < query.result_limit || similarity > Number(query.lowest_score);
+    });
+
+    if (affected.length > 0) {
+      await deleteCachedQueries(affected.map(query => query.query_hash));
+    }
+    console.log(`💾 Similarity cache: ${affected.length}/${queries.length} cached queries cleared for document ${documentId}`);
+  } catch (error) {
+    console.error('⚠️ Failed to invalidate similarity cache:', error.message);
+  }
+}
+
+// Delete cached queries with their results
+async function deleteCachedQueries(hashes) {
+  if (hashes.length === 0) return;
+  await executeQuery(
+    `DELETE FROM similarity_cache_queries WHERE query_hash IN (${hashes.map(() => '?').join(', ')})`,
+    hashes
+  );
+}
+
+// Find similar documents, served from similarity_cache while the entries are fresh
+// (same parameters as scoreSimilarDocuments)
+async function findSimilarDocuments(embedding, threshold = 0.85, limit = 5, filters = {}, queryChunkEmbeddings = null) {
+  // Vectors of another model are not comparable (different space, often another dimension)
+  filters = { embedding_model: EMBEDDING_MODEL, ...filters };
+  const queryHash = buildQueryHash(embedding, { threshold, limit, filters, queryChunkEmbeddings });
+  const cached = await getCachedSimilarities(queryHash);
+  if (cached) {
+    console.log(`💾 Similarity cache hit: ${cached.length} documents`);
+    return cached;
+  }
+
+  const results = await scoreSimilarDocuments(embedding, threshold, limit, filters, queryChunkEmbeddings);
+  await cacheSimilarities(queryHash, results, { embedding, threshold, limit, filters, queryChunkEmbeddings });
+  return results;
+}
+
+// Ids of the documents passing search filters, to filter the vector index candidates with;
+// null when the filters only select the active model, which is all the index holds
+async function loadFilteredDocumentIds(filters) {
+  const restrictive = Object.keys(filters).some(key => filters[key] && !(key === 'embedding_model' && filters[key] === EMBEDDING_MODEL));
+  if (!restrictive) return null;
+  const { where, params } = buildDocumentFilters(filters);
+  const rows = await executeQuery(`SELECT id FROM documents ${where}`, params);
+  return new Set(rows.map(row => row.id));
+}
+
+// Score documents against a query using cosine similarity
+// filters: { language, mime_type, date_from, date_to, embedding_model } restrict the candidates (summaries are stored per language)
+// queryChunkEmbeddings: embeddings of the query's chunks; documents that have chunks are scored
+// chunk-to-chunk, documents stored before chunking fall back to their single document embedding
+async function scoreSimilarDocuments(embedding, threshold = 0.85, limit = 5, filters = {}, queryChunkEmbeddings = null) {
   try {
     // Performance optimization: Add timing logs
     const startTime = Date.now();
     console.log('🔍 Finding similar documents using JS-based similarity...');
     
+    const queryEmbeddings = queryChunkEmbeddings && queryChunkEmbeddings.length > 0
+      ? queryChunkEmbeddings
+      : [embedding];
+    
+    // Performance optimization: with the vector index, only score the documents owning the
+    // nearest vectors that pass the filters (exact rescoring below); without it, score every document
+    const allowedIds = isVectorIndexReady() ? await loadFilteredDocumentIds(filters) : null;
+    const candidateIds = findCandidateDocuments(
+      queryEmbeddings[0] === embedding ? queryEmbeddings : [embedding, ...queryEmbeddings],
+      { allowedIds }
+    );
+    if (candidateIds) {
+      console.log(`📐 Vector index candidates: ${candidateIds.size} documents`);
+      if (candidateIds.size === 0) return [];
+      filters = { ...filters, ids: [...candidateIds] };
+    }
+    
+    // Performance optimization: rank on the int8 copies first, then only load and score
+    // the Float32 vectors of the shortlisted documents
+    if (EMBEDDING_INT8) {
+      const shortlist = await shortlistWithInt8(embedding, queryEmbeddings, threshold, limit, filters);
+      if (shortlist.length === 0) return [];
+      filters = { ...filters, ids: shortlist };
+    }
+    
     // Performance optimization: Order by created_at DESC to check newest documents first
     // (newer documents are more likely to be similar to what user is uploading)
-    const getAllDocsSQL = 'SELECT id, filename, file_hash, ai_summary, created_at, embedding FROM documents ORDER BY created_at DESC';
+    const { where, params } = buildDocumentFilters(filters);
+    const getAllDocsSQL = `SELECT id, filename, file_hash, mime_type, ai_summary, language, created_at, embedding FROM documents ${where} ORDER BY created_at DESC`;
     const queryStartTime = Date.now();
-    const allDocs = await executeQuery(getAllDocsSQL);
-    console.log(`📊 DB Query Time: ${Date.now() - queryStartTime}ms, Documents: ${allDocs?.length || 0}`);
+    const allDocs = await executeQuery(getAllDocsSQL, params);
+    const chunksByDocument = await loadChunksByDocument(filters);
+    console.log(`📊 DB Query Time: ${Date.now() - queryStartTime}ms, Documents: ${allDocs?.length || 0}, Chunked: ${chunksByDocument.size}`);
     
     if (!allDocs || allDocs.length === 0) {
       console.log('📭 No documents in database for similarity comparison');
@@ -110,9 +928,9 @@ async function findSimilarDocuments(embedding, threshold = 0.85, limit = 5) {
     
     for (const doc of allDocs) {
       try {
-        // MySQL JSON column already returns JavaScript object/array, no need to JSON.parse
-        const docEmbedding = doc.embedding;
-        const similarity = calculateCosineSimilarity(embedding, docEmbedding);
+        const { similarity, bestChunk } = scoreDocument(
+          embedding, queryEmbeddings, decodeEmbedding(doc.embedding), chunksByDocument.get(doc.id)
+        );
         calculationsCount++;
         
         // Performance optimization: Only keep documents above threshold
@@ -121,19 +939,16 @@ async function findSimilarDocuments(embedding, threshold = 0.85, limit = 5) {
             id: doc.id,
             filename: doc.filename,
             file_hash: doc.file_hash,
+            mime_type: doc.mime_type,
             ai_summary: doc.ai_summary,
+            language: doc.language,
             created_at: doc.created_at,
-            similarity_score: similarity
+            similarity_score: similarity,
+            best_chunk: bestChunk
           });
-          
-          // Early termination: If we find a very high similarity (>0.95), stop searching
-          if (similarity > 0.95) {
-            console.log(`🎯 Found very high similarity (${similarity.toFixed(4)}), stopping search early`);
-            break;
-          }
         }
       } catch (parseError) {
-        console.error(`❌ Error parsing embedding for document ${doc.id}:`, parseError.message);
+        console.error(`❌ Error decoding embedding for document ${doc.id}:`, parseError.message);
       }
     }
     
@@ -153,9 +968,14 @@ async function findSimilarDocuments(embedding, threshold = 0.85, limit = 5) {
   }
 }
 
+// Plain arrays and typed arrays (Float32Array from BLOBs, Int8Array from quantized copies)
+function isVector(value) {
+  return Array.isArray(value) || (ArrayBuffer.isView(value) && !(value instanceof DataView));
+}
+
 // JavaScript implementation of cosine similarity
 function calculateCosineSimilarity(vec1, vec2) {
-  if (!Array.isArray(vec1) || !Array.isArray(vec2) || vec1.length !== vec2.length) {
+  if (!isVector(vec1) || !isVector(vec2) || vec1.length !== vec2.length) {
     return 0;
   }
   
@@ -193,6 +1013,29 @@ async function updateRagSetting(key, value) {
   await executeQuery(sql, [key, value]);
 }
 
+// Every stored RAG setting (rag-settings.js validates them)
+async function getAllRagSettings() {
+  return executeQuery('SELECT setting_key, setting_value, updated_at FROM rag_settings');
+}
+
+// Record a setting change in rag_settings_audit
+async function insertRagSettingAudit({ setting_key, old_value, new_value, changed_by }) {
+  await executeQuery(
+    'INSERT INTO rag_settings_audit (setting_key, old_value, new_value, changed_by) VALUES (?, ?, ?, ?)',
+    [setting_key, old_value, new_value, changed_by]
+  );
+}
+
+// Latest setting changes, most recent first
+async function getRagSettingsAudit(limit = 20) {
+  return executeQuery(`
+    SELECT setting_key, old_value, new_value, changed_by, changed_at
+    FROM rag_settings_audit
+    ORDER BY id DESC
+    LIMIT ${Math.max(1, Number(limit) || 20)}
+  `);
+}
+
 // Get database statistics
 async function getDatabaseStats() {
   try {
@@ -240,15 +1083,61 @@ async function getDatabaseStats() {
   }
 }
 
-module.exports = {
+const mysqlDatabase = {
   pool,
   testConnection,
   executeQuery,
   getDocumentByHash,
+  getDocumentByTextHash,
+  getDocumentFingerprints,
+  getDocumentById,
+  DOCUMENT_SORT_COLUMNS,
+  listDocuments,
+  updateDocument,
+  deleteDocument,
   insertDocument,
+  insertDocumentChunks,
+  getDocumentChunks,
+  getCorpusPassages,
+  searchDocumentsFulltext,
+  loadIndexVectors,
+  getIndexWatermark,
+  countDocumentsByEmbeddingModel,
+  listDocumentsToReembed,
+  countDocumentsToReembed,
+  listDocumentsWithSummaryMarkers,
+  countDocumentsWithSummaryMarkers,
+  updateDocumentEmbeddings,
   findSimilarDocuments,
+  buildQueryHash,
+  invalidateSimilarityCache,
+  invalidateSimilarityCacheForDocument,
+  invalidateSimilarityCacheForNewDocument,
+  scoreDocumentChunks,
   calculateCosineSimilarity,
+  createConversation,
+  getConversationById,
+  listConversations,
+  insertMessage,
+  insertMessages,
+  getConversationMessages,
   getRagSetting,
   updateRagSetting,
+  getAllRagSettings,
+  insertRagSettingAudit,
+  getRagSettingsAudit,
   getDatabaseStats
 };
+
+// DB_DRIVER=memory: the same functions on in-memory tables (tests and demos without MySQL)
+module.exports = process.env.DB_DRIVER === 'memory'
+  ? require('./database-memory').createMemoryDatabase({
+    embeddingModel: EMBEDDING_MODEL,
+    sortColumns: DOCUMENT_SORT_COLUMNS,
+    snippetChars: DOCUMENT_SNIPPET_CHARS,
+    scoreDocumentChunks,
+    calculateCosineSimilarity,
+    buildQueryHash,
+    matchesFilters: documentMatchesFilters
+  })
+  : mysqlDatabase;
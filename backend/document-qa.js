@@ -0,0 +1,131 @@
+const { getDocumentChunks, getCorpusPassages, calculateCosineSimilarity } = require('./database');
+const { findCandidateDocuments } = require('./vector-index');
+const { generateEmbedding, embedChunks } = require('./rag-service');
+
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+const RAG_ASK_TOP_K = Number(process.env.RAG_ASK_TOP_K || 4);
+const CITATION_EXCERPT_CHARS = 300;
+
+/**
+ * Rank chunks by similarity to the question and keep the best ones
+ * @param {number[]} questionEmbedding
+ * @param {Array} chunks - Rows of document_chunks (chunk_text, embedding, page range)
+ * @param {number} topK
+ * @returns {Array<{document_id, filename, chunk_index, page_start, page_end, text, similarity_score}>}
+ */
+function rankPassages(questionEmbedding, chunks, topK = RAG_ASK_TOP_K) {
+  const seen = new Set();
+  return chunks
+    .map(chunk => ({
+      document_id: chunk.document_id,
+      filename: chunk.filename,
+      chunk_index: chunk.chunk_index,
+      page_start: chunk.page_start,
+      page_end: chunk.page_end,
+      text: chunk.chunk_text,
+      similarity_score: calculateCosineSimilarity(questionEmbedding, chunk.embedding)
+    }))
+    // Legacy documents contribute their summary, which may be missing
+    .filter(passage => passage.text)
+    .sort((a, b) => b.similarity_score - a.similarity_score)
+    // The same file stored once per summary language has identical chunks: keep one of them
+    .filter(passage => {
+      if (seen.has(passage.text)) return false;
+      seen.add(passage.text);
+      return true;
+    })
+    .slice(0, topK);
+}
+
+/**
+ * Retrieve the passages of one document that are the most relevant to a question.
+ * Read-only: documents stored before chunking are chunked and embedded for this question only
+ * (nothing is written), and the document must already be embedded with the active model
+ * (see reembed.js).
+ * @param {Object} document - Row of documents (id, filename, extracted_text)
+ * @param {string} question
+ * @param {Object} [options]
+ * @param {number} [options.topK]
+ */
+async function retrieveDocumentPassages(document, question, { topK = RAG_ASK_TOP_K } = {}) {
+  let chunks = await getDocumentChunks(document.id);
+
+  if (chunks.length === 0) {
+    console.log(`🧩 Document ${document.id} has no stored chunks, chunking it for this question only...`);
+    const embedded = await embedChunks([document.extracted_text]);
+    chunks = embedded.map(chunk => ({ ...chunk, document_id: document.id, chunk_text: chunk.text }));
+  }
+
+  const questionEmbedding = await generateEmbedding(question);
+  return rankPassages(questionEmbedding, chunks.map(chunk => ({ ...chunk, filename: document.filename })), topK);
+}
+
+/**
+ * Retrieve the passages most relevant to a question across all stored documents.
+ * With the vector index, only the passages of the documents owning the nearest vectors are
+ * loaded and scored; without it, every passage is.
+ * @param {string} question
+ * @param {Object} [options]
+ * @param {number} [options.topK]
+ */
+async function retrieveCorpusPassages(question, { topK = RAG_ASK_TOP_K } = {}) {
+  const questionEmbedding = await generateEmbedding(question);
+
+  const candidateIds = findCandidateDocuments([questionEmbedding]);
+  if (candidateIds && candidateIds.size === 0) return [];
+  const candidates = await getCorpusPassages(candidateIds ? { ids: [...candidateIds] } : {});
+  if (candidates.length === 0) return [];
+
+  return rankPassages(questionEmbedding, candidates, topK);
+}
+
+/**
+ * Citations returned with an answer: one per passage given to the model, numbered as in the prompt.
+ * `cited` tells whether the answer references the passage ("[2]").
+ */
+function buildCitations(passages, answer = '') {
+  const referenced = new Set((String(answer).match(/\[(\d+)\]/g) || []).map(ref => Number(ref.slice(1, -1))));
+  return passages.map((passage, index) => ({
+    ref: index + 1,
+    document_id: passage.document_id,
+    filename: passage.filename,
+    chunk_index: passage.chunk_index,
+    page_start: passage.page_start,
+    page_end: passage.page_end,
+    similarity_score: passage.similarity_score,
+    excerpt: (passage.text || '').slice(0, CITATION_EXCERPT_CHARS),
+    cited: referenced.has(index + 1)
+  }));
+}
+
+/**
+ * Source documents of a corpus answer: one entry per document, with the citation numbers it backs
+ */
+function buildSources(citations) {
+  const sources = new Map();
+  for (const citation of citations) {
+    if (!sources.has(citation.document_id)) {
+      sources.set(citation.document_id, {
+        document_id: citation.document_id,
+        filename: citation.filename,
+        refs: [],
+        cited: false
+      });
+    }
+    const source = sources.get(citation.document_id);
+    source.refs.push(citation.ref);
+    source.cited = source.cited || citation.cited;
+  }
+  return [...sources.values()];
+}
+
+module.exports = {
+  RAG_ASK_TOP_K,
+  rankPassages,
+  retrieveDocumentPassages,
+  retrieveCorpusPassages,
+  buildCitations,
+  buildSources
+};
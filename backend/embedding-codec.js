@@ -0,0 +1,74 @@
+/**
+ * Binary encoding of embeddings for the BLOB columns of documents and document_chunks.
+ * Full vectors are stored as little-endian Float32 (4 bytes per dimension). The optional
+ * int8 copy keeps one byte per dimension, scaled so the largest component maps to 127:
+ * cosine similarity does not depend on the scale, so it is not stored.
+ */
+
+/**
+ * Encode a vector as a Float32 BLOB
+ * @param {number[]|Float32Array} vector
+ * @returns {Buffer}
+ */
+function encodeFloat32(vector) {
+  const floats = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+  return Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength);
+}
+
+/**
+ * Decode a Float32 BLOB (copied, so the result is aligned and independent of the row buffer)
+ * @param {Buffer} buffer
+ * @returns {Float32Array}
+ */
+function decodeFloat32(buffer) {
+  const bytes = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  return new Float32Array(bytes);
+}
+
+/**
+ * Quantize a vector to int8 (symmetric, one scale per vector)
+ * @param {number[]|Float32Array} vector
+ * @returns {Buffer}
+ */
+function encodeInt8(vector) {
+  let maxAbs = 0;
+  for (let i = 0; i < vector.length; i++) {
+    maxAbs = Math.max(maxAbs, Math.abs(vector[i]));
+  }
+  const quantized = new Int8Array(vector.length);
+  if (maxAbs > 0) {
+    for (let i = 0; i < vector.length; i++) {
+      quantized[i] = Math.round((vector[i] / maxAbs) * 127);
+    }
+  }
+  return Buffer.from(quantized.buffer);
+}
+
+/**
+ * Decode an int8 BLOB
+ * @param {Buffer} buffer
+ * @returns {Int8Array}
+ */
+function decodeInt8(buffer) {
+  return new Int8Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+/**
+ * Read an embedding column whatever its storage: Float32 BLOB, or JSON array
+ * (rows written before migration 006, as returned by mysql2 or as a string)
+ * @returns {Float32Array|null}
+ */
+function decodeEmbedding(value) {
+  if (value === null || value === undefined) return null;
+  if (Buffer.isBuffer(value)) return decodeFloat32(value);
+  if (typeof value === 'string') return Float32Array.from(JSON.parse(value));
+  return Float32Array.from(value);
+}
+
+module.exports = {
+  encodeFloat32,
+  decodeFloat32,
+  encodeInt8,
+  decodeInt8,
+  decodeEmbedding
+};
@@ -0,0 +1,338 @@
+/**
+ * Hierarchical Navigable Small World graph for approximate nearest-neighbour search
+ * (Malkov & Yashunin, 2016) over cosine similarity.
+ * Vectors are normalized on insertion so similarity is a dot product.
+ * Removed items are tombstoned: they keep routing searches but are never returned.
+ */
+
+const DEFAULT_OPTIONS = {
+  M: 16,               // neighbours per node on upper layers (2 * M on layer 0)
+  efConstruction: 200, // candidate list size while inserting
+  efSearch: 64,        // candidate list size while searching (at least k)
+  seed: 42             // level generator seed, so a rebuild gives the same graph
+};
+
+// Small deterministic PRNG (mulberry32)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalize(vector) {
+  const normalized = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < normalized.length; i++) norm += normalized[i] * normalized[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < normalized.length; i++) normalized[i] /= norm;
+  }
+  return normalized;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+// Insert into an array kept sorted by descending similarity
+function insertSorted(list, entry) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid].similarity > entry.similarity) low = mid + 1;
+    else high = mid;
+  }
+  list.splice(low, 0, entry);
+}
+
+/**
+ * Create an empty index
+ * @param {Object} [options] - { M, efConstruction, efSearch, seed }
+ */
+function createHnswIndex(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const levelMultiplier = 1 / Math.log(config.M);
+  const random = createRandom(config.seed);
+
+  // node: { label, data, vector, level, neighbors: number[][], deleted }
+  const nodes = [];
+  const nodeByLabel = new Map();
+  let entryPoint = -1;
+  let maxLevel = -1;
+  let deletedCount = 0;
+
+  const similarityTo = (vector, nodeIndex) => dot(vector, nodes[nodeIndex].vector);
+
+  // Best-first search on one layer; returns up to ef nodes sorted by descending similarity
+  function searchLayer(vector, entryPoints, ef, level) {
+    const visited = new Set(entryPoints);
+    const candidates = [];
+    const results = [];
+    for (const nodeIndex of entryPoints) {
+      const entry = { nodeIndex, similarity: similarityTo(vector, nodeIndex) };
+      insertSorted(candidates, entry);
+      insertSorted(results, entry);
+    }
+
+    while (candidates.length > 0) {
+      const current = candidates.shift();
+      if (results.length >= ef && current.similarity < results[results.length - 1].similarity) break;
+
+      for (const neighbor of nodes[current.nodeIndex].neighbors[level]) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const similarity = similarityTo(vector, neighbor);
+        if (results.length < ef || similarity > results[results.length - 1].similarity) {
+          const entry = { nodeIndex: neighbor, similarity };
+          insertSorted(candidates, entry);
+          insertSorted(results, entry);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+    return results;
+  }
+
+  // Neighbour selection heuristic: keep a candidate only if it is closer to the new node
+  // than to the neighbours already kept (spreads links in all directions), then fill up.
+  function selectNeighbors(candidates, maxNeighbors) {
+    const selected = [];
+    const skipped = [];
+    for (const candidate of candidates) {
+      if (selected.length >= maxNeighbors) break;
+      const dominated = selected.some(kept =>
+        dot(nodes[candidate.nodeIndex].vector, nodes[kept.nodeIndex].vector) > candidate.similarity
+      );
+      if (dominated) skipped.push(candidate);
+      else selected.push(candidate);
+    }
+    for (const candidate of skipped) {
+      if (selected.length >= maxNeighbors) break;
+      selected.push(candidate);
+    }
+    return selected.map(candidate => candidate.nodeIndex);
+  }
+
+  // Add a back link, pruning the neighbour list when it grows over the limit
+  function connect(nodeIndex, neighborIndex, level) {
+    const neighbors = nodes[neighborIndex].neighbors[level];
+    neighbors.push(nodeIndex);
+    const maxNeighbors = level === 0 ? config.M * 2 : config.M;
+    if (neighbors.length <= maxNeighbors) return;
+
+    const vector = nodes[neighborIndex].vector;
+    const candidates = neighbors
+      .map(index => ({ nodeIndex: index, similarity: similarityTo(vector, index) }))
+      .sort((a, b) => b.similarity - a.similarity);
+    nodes[neighborIndex].neighbors[level] = selectNeighbors(candidates, maxNeighbors);
+  }
+
+  /**
+   * Add (or replace) a vector
+   * @param {string} label - Unique key of the vector
+   * @param {number[]|Float32Array} vector
+   * @param {*} [data] - Returned with search results (e.g. the document id)
+   */
+  function add(label, vector, data = null) {
+    if (nodeByLabel.has(label)) remove(label);
+
+    const level = Math.floor(-Math.log(1 - random()) * levelMultiplier);
+    const nodeIndex = nodes.length;
+    nodes.push({
+      label,
+      data,
+      vector: normalize(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      deleted: false
+    });
+    nodeByLabel.set(label, nodeIndex);
+
+    if (entryPoint === -1) {
+      entryPoint = nodeIndex;
+      maxLevel = level;
+      return;
+    }
+
+    const newVector = nodes[nodeIndex].vector;
+    let current = [entryPoint];
+    for (let l = maxLevel; l > level; l--) {
+      current = [searchLayer(newVector, current, 1, l)[0].nodeIndex];
+    }
+    for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+      const candidates = searchLayer(newVector, current, config.efConstruction, l);
+      const neighbors = selectNeighbors(candidates, l === 0 ? config.M * 2 : config.M);
+      nodes[nodeIndex].neighbors[l] = neighbors;
+      for (const neighbor of neighbors) connect(nodeIndex, neighbor, l);
+      current = candidates.map(candidate => candidate.nodeIndex);
+    }
+
+    if (level > maxLevel) {
+      maxLevel = level;
+      entryPoint = nodeIndex;
+    }
+  }
+
+  /**
+   * Remove a vector (tombstone)
+   * @returns {boolean} false when the label is unknown
+   */
+  function remove(label) {
+    const nodeIndex = nodeByLabel.get(label);
+    if (nodeIndex === undefined) return false;
+    nodes[nodeIndex].deleted = true;
+    nodeByLabel.delete(label);
+    deletedCount++;
+    return true;
+  }
+
+  /**
+   * k nearest vectors
+   * @param {Function} [accept] - Called with the data of each vector; only accepted vectors are returned
+   * @returns {Array<{label: string, data: *, similarity: number}>} Most similar first
+   */
+  function search(vector, k = 10, ef = config.efSearch, accept = null) {
+    if (entryPoint === -1 || nodeByLabel.size === 0) return [];
+    const query = normalize(vector);
+
+    let current = [entryPoint];
+    for (let l = maxLevel; l > 0; l--) {
+      current = [searchLayer(query, current, 1, l)[0].nodeIndex];
+    }
+    const isResult = candidate => !nodes[candidate.nodeIndex].deleted && (!accept || accept(nodes[candidate.nodeIndex].data));
+
+    // Widen the search by the number of tombstones so deleted nodes do not eat the k results,
+    // then keep doubling it while rejected vectors do (until every reachable node was visited)
+    let width = Math.max(ef, k) + Math.min(deletedCount, k);
+    let candidates = searchLayer(query, current, width, 0);
+    while (accept && candidates.filter(isResult).length < k && candidates.length === width) {
+      width *= 2;
+      candidates = searchLayer(query, current, width, 0);
+    }
+
+    return candidates
+      .filter(isResult)
+      .slice(0, k)
+      .map(candidate => ({
+        label: nodes[candidate.nodeIndex].label,
+        data: nodes[candidate.nodeIndex].data,
+        similarity: candidate.similarity
+      }));
+  }
+
+  function has(label) {
+    return nodeByLabel.has(label);
+  }
+
+  function size() {
+    return nodeByLabel.size;
+  }
+
+  // Removed vectors still in the graph
+  function deletedSize() {
+    return deletedCount;
+  }
+
+  // New index holding only the vectors that were not removed (same options)
+  function compact() {
+    const steps = compactInBatches(Infinity);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+  }
+
+  /**
+   * compact() in steps: pauses after every `batchSize` insertions and returns the new index when done.
+   * Only the vectors present when it starts are copied; the caller replays changes made in between.
+   */
+  function* compactInBatches(batchSize = 200) {
+    const compacted = createHnswIndex(config);
+    const count = nodes.length;
+    for (let i = 0; i < count; i++) {
+      if (!nodes[i].deleted) compacted.add(nodes[i].label, nodes[i].vector, nodes[i].data);
+      if ((i + 1) % batchSize === 0) yield;
+    }
+    return compacted;
+  }
+
+  // Links to nodes at or after `count` are dropped, so a prefix of the graph is a valid graph
+  function nodeToJSON(node, count) {
+    return {
+      label: node.label,
+      data: node.data,
+      level: node.level,
+      deleted: node.deleted,
+      vector: Buffer.from(node.vector.buffer, node.vector.byteOffset, node.vector.byteLength).toString('base64'),
+      neighbors: node.neighbors.map(layer => layer.filter(neighbor => neighbor < count))
+    };
+  }
+
+  // Plain object for JSON persistence (vectors as base64 Float32 buffers)
+  function toJSON() {
+    return {
+      version: 1,
+      options: config,
+      entryPoint,
+      maxLevel,
+      nodes: nodes.map(node => nodeToJSON(node, nodes.length))
+    };
+  }
+
+  /**
+   * toJSON() as JSON text, in pieces of `batchSize` nodes, with the `extra` fields added.
+   * Only the nodes present when it starts are written, so vectors may be added between two pieces.
+   */
+  function* serialize(extra = {}, batchSize = 1000) {
+    const count = nodes.length;
+    const header = JSON.stringify({ version: 1, options: config, entryPoint, maxLevel, ...extra });
+    yield `${header.slice(0, -1)},"nodes":[`;
+    for (let start = 0; start < count; start += batchSize) {
+      const batch = nodes.slice(start, Math.min(start + batchSize, count)).map(node => nodeToJSON(node, count));
+      yield `${start > 0 ? ',' : ''}${JSON.stringify(batch).slice(1, -1)}`;
+    }
+    yield ']}';
+  }
+
+  // Load a persisted graph into this (empty) index
+  function restore(snapshot) {
+    for (const node of snapshot.nodes) {
+      const bytes = Buffer.from(node.vector, 'base64');
+      const vector = new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+      nodes.push({ ...node, vector });
+      if (node.deleted) deletedCount++;
+      else nodeByLabel.set(node.label, nodes.length - 1);
+    }
+    entryPoint = snapshot.entryPoint;
+    maxLevel = snapshot.maxLevel;
+    // Resume the level generator where a fresh build would be
+    for (let i = 0; i < nodes.length; i++) random();
+  }
+
+  return { add, remove, search, has, size, deletedSize, compact, compactInBatches, toJSON, serialize, restore };
+}
+
+/**
+ * Rebuild an index from toJSON() output
+ */
+function restoreHnswIndex(snapshot) {
+  if (!snapshot || snapshot.version !== 1) {
+    throw new Error('Unsupported vector index snapshot');
+  }
+  const index = createHnswIndex(snapshot.options);
+  index.restore(snapshot);
+  return index;
+}
+
+module.exports = {
+  createHnswIndex,
+  restoreHnswIndex
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 1);
+const JOB_RETENTION_MINUTES = Number(process.env.JOB_RETENTION_MINUTES || 60);
+
+// In-memory job store (jobs do not survive a restart)
+const jobs = new Map();
+const pendingJobs = [];
+let runningJobs = 0;
+
+/**
+ * Public view of a job (no task, no result payload)
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    message: job.message,
+    error: job.error,
+    ...job.meta,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    finished_at: job.finished_at
+  };
+}
+
+/**
+ * Queue a background job
+ * @param {string} type - Job type (e.g. 'analyze')
+ * @param {Function} task - async (reportProgress) => result
+ * @param {Object} meta - Extra fields exposed on the job (filename, action...)
+ * @param {Object} [options]
+ * @param {boolean} [options.queued] - false starts the job at once, outside JOB_CONCURRENCY
+ *   (long maintenance jobs that must not hold up analyses)
+ * @returns {Object} Public view of the queued job
+ */
+function createJob(type, task, meta = {}, { queued = true } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    progress: null,
+    message: 'queued',
+    error: null,
+    meta,
+    created_at: now,
+    updated_at: now,
+    finished_at: null,
+    task,
+    queued,
+    result: null
+  };
+
+  jobs.set(job.id, job);
+  if (queued) {
+    pendingJobs.push(job);
+    setImmediate(runNextJobs);
+  } else {
+    setImmediate(() => runJob(job));
+  }
+
+  return serializeJob(job);
+}
+
+/**
+ * Record a progress update coming from the pipeline
+ * @param {Object} job
+ * @param {Object} update - { status, current, total, message }
+ */
+function reportJobProgress(job, { status, current, total, message }) {
+  if (job.status === 'done' || job.status === 'failed') return;
+
+  job.status = status || job.status;
+  job.progress = current !== undefined && total !== undefined ? { current, total } : null;
+  job.message = message || job.status;
+  job.updated_at = new Date().toISOString();
+  console.log(`📋 Job ${job.id}: ${job.message}`);
+}
+
+async function runJob(job) {
+  if (job.queued) runningJobs++;
+  console.log(`\n=== JOB START ${job.id} (${job.type}) ===`);
+
+  try {
+    job.result = await job.task((update) => reportJobProgress(job, update));
+    job.status = 'done';
+    job.message = 'done';
+    console.log(`✅ Job ${job.id} completed`);
+  } catch (error) {
+    job.status = 'failed';
+    job.message = 'failed';
+    job.error = error.message;
+    console.error(`❌ Job ${job.id} failed:`, error.message);
+  } finally {
+    // Drop the task closure so the uploaded buffer can be garbage collected
+    job.task = null;
+    job.finished_at = job.updated_at = new Date().toISOString();
+    if (job.queued) {
+      runningJobs--;
+      setImmediate(runNextJobs);
+    }
+  }
+}
+
+function runNextJobs() {
+  while (runningJobs < JOB_CONCURRENCY && pendingJobs.length > 0) {
+    runJob(pendingJobs.shift());
+  }
+}
+
+/**
+ * Get the public view of a job, or null if unknown/expired
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? serializeJob(job) : null;
+}
+
+/**
+ * Get the result of a finished job, or null if not available
+ */
+function getJobResult(id) {
+  const job = jobs.get(id);
+  return job && job.status === 'done' ? job.result : null;
+}
+
+// Forget finished jobs after the retention period
+const cleanupTimer = setInterval(() => {
+  const cutoff = Date.now() - JOB_RETENTION_MINUTES * 60 * 1000;
+  for (const [id, job] of jobs) {
+    if (job.finished_at && new Date(job.finished_at).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}, 60 * 1000);
+cleanupTimer.unref();
+
+module.exports = {
+  createJob,
+  getJob,
+  getJobResult
+};
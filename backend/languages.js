@@ -0,0 +1,80 @@
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+// Output languages supported for summaries and descriptions.
+// Names are in French because the prompts themselves are written in French;
+// `tesseract` is the traineddata used to OCR documents written in that language.
+const SUPPORTED_LANGUAGES = {
+  fr: { name: 'français', tesseract: 'fra' },
+  en: { name: 'anglais', tesseract: 'eng' },
+  de: { name: 'allemand', tesseract: 'deu' }
+};
+
+// Frequent function words used to recognise each language
+const STOPWORDS = {
+  fr: ['le', 'la', 'les', 'des', 'du', 'un', 'une', 'et', 'est', 'que', 'qui', 'dans', 'pour', 'par', 'sur', 'au', 'aux', 'avec', 'ce', 'cette', 'sont', 'pas', 'ne', 'nous', 'vous', 'il', 'elle', 'leur', 'mais', 'ou'],
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'it', 'with', 'as', 'was', 'on', 'are', 'be', 'this', 'by', 'from', 'or', 'have', 'an', 'which', 'not', 'at', 'we', 'you', 'they', 'their', 'has', 'will'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'von', 'dem', 'sich', 'des', 'auf', 'für', 'im', 'auch', 'es', 'sie', 'wir', 'werden', 'wird', 'oder', 'aber', 'bei', 'nach', 'durch', 'einer']
+};
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words)])
+);
+const MIN_STOPWORD_HITS = 5;
+
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'fr';
+
+/**
+ * Normalize a language parameter ('EN', 'en-US', 'de_DE'...) to a supported code
+ * @returns {string|null} Supported code, or null when the language is not supported
+ */
+function normalizeLanguage(value) {
+  if (!value) return null;
+  const code = String(value).trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES[code] ? code : null;
+}
+
+/**
+ * Language name to use inside prompts ("anglais" for 'en')
+ */
+function getLanguageName(code) {
+  const language = SUPPORTED_LANGUAGES[code] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE];
+  return language.name;
+}
+
+/**
+ * Detect the language of extracted text from stopword frequencies
+ * @param {string} text
+ * @returns {{language: string, confidence: number}|null} null when there is too little text to decide
+ */
+function detectLanguage(text) {
+  const words = String(text || '').toLowerCase().match(/[a-zà-öø-ÿß]+/g) || [];
+  const hits = Object.fromEntries(Object.keys(STOPWORD_SETS).map(code => [code, 0]));
+
+  for (const word of words) {
+    for (const code of Object.keys(STOPWORD_SETS)) {
+      if (STOPWORD_SETS[code].has(word)) hits[code]++;
+    }
+  }
+
+  const total = Object.values(hits).reduce((sum, count) => sum + count, 0);
+  if (total < MIN_STOPWORD_HITS) return null;
+
+  const [language, best] = Object.entries(hits).sort((a, b) => b[1] - a[1])[0];
+  return { language, confidence: Number((best / total).toFixed(3)) };
+}
+
+/**
+ * Tesseract traineddata for a language code ('deu' for 'de')
+ */
+function getTesseractLanguage(code) {
+  return SUPPORTED_LANGUAGES[code] ? SUPPORTED_LANGUAGES[code].tesseract : null;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  getLanguageName,
+  detectLanguage,
+  getTesseractLanguage
+};
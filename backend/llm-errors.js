@@ -0,0 +1,83 @@
+/**
+ * Typed failures of Ollama calls (generation, image description, embeddings).
+ * Callers must never store the output of a stage that failed: a summary is either
+ * generated completely or replaced by an error message that is only shown to the user.
+ */
+
+// Message shown instead of a summary when generation failed (never stored)
+const LLM_FAILURE_MESSAGES = {
+  text: "Erreur lors de l'appel à Ollama.",
+  image: "Erreur lors de l'appel à Ollama pour l'image."
+};
+
+// Texts stored as summaries by earlier versions when Ollama failed (found by the repair job)
+const POISONED_SUMMARY_MARKERS = [
+  LLM_FAILURE_MESSAGES.text,
+  "Pas de réponse d'Ollama.",
+  ' - Processing Error: '
+];
+
+class LlmError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.code - 'unavailable', 'timeout', 'model_error', 'empty_response'
+   *   or 'circuit_open' (refused without calling Ollama, see ollama-client.js)
+   * @param {string|null} [details.stage] - Pipeline step that failed ('chunk 2/4', 'merge', 'embedding'...)
+   * @param {string|null} [details.model]
+   * @param {Error} [details.cause]
+   * @param {number|null} [details.retryAfterMs] - When calls are accepted again ('circuit_open')
+   */
+  constructor(message, { code, stage = null, model = null, cause, retryAfterMs = null } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'LlmError';
+    this.code = code;
+    this.stage = stage;
+    this.model = model;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function isLlmError(error) {
+  return error instanceof LlmError;
+}
+
+function classifyError(error) {
+  if (['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'].includes(error.code)) return 'timeout';
+  if (error.response) return 'model_error';
+  if (['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNRESET', 'EHOSTUNREACH'].includes(error.code)) return 'unavailable';
+  return 'model_error';
+}
+
+/**
+ * Wrap an axios / stream error in an LlmError. An LlmError keeps its code and takes the
+ * given stage: the outer caller knows which pipeline step failed ('merge' rather than 'generate').
+ */
+function toLlmError(error, { stage = null, model = null } = {}) {
+  if (isLlmError(error)) {
+    if (stage) error.stage = stage;
+    if (!error.model) error.model = model;
+    return error;
+  }
+  const status = error.response ? ` (HTTP ${error.response.status})` : '';
+  return new LlmError(`Ollama ${stage || 'call'} failed${status}: ${error.message}`, {
+    code: classifyError(error),
+    stage,
+    model,
+    cause: error
+  });
+}
+
+// Plain description of an LLM failure for responses and job results
+function describeLlmError(error) {
+  return { code: error.code, stage: error.stage, model: error.model, message: error.message };
+}
+
+module.exports = {
+  LLM_FAILURE_MESSAGES,
+  POISONED_SUMMARY_MARKERS,
+  LlmError,
+  isLlmError,
+  toLlmError,
+  describeLlmError
+};
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const { OLLAMA_HOST, llmPost } = require('./ollama-client');
+const { LlmError } = require('./llm-errors');
+
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+// 'ollama' (default), 'openai' for servers exposing the OpenAI-compatible API (llama.cpp server, vLLM...),
+// or 'fake' for deterministic answers without any model server (tests)
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'ollama';
+// Base URL of the OpenAI-compatible API, including the /v1 prefix
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'http://llamacpp:8080/v1';
+// Only needed by servers started with an API key (llama.cpp --api-key, vLLM --api-key)
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+// Dimension of the hash-based vectors of the fake provider
+const FAKE_EMBEDDING_DIMENSION = Number(process.env.FAKE_EMBEDDING_DIMENSION || 64);
+
+/**
+ * Read a streamed response line by line (NDJSON for Ollama, SSE for OpenAI-compatible servers)
+ * @param {Stream} stream - axios response data
+ * @param {Function} handleLine - Called with each line; may throw to abort the stream
+ * @returns {Promise<void>} Resolved once the stream ended
+ */
+function readLines(stream, handleLine) {
+  return new Promise((resolve, reject) => {
+    const decoder = new StringDecoder('utf8');
+    let buffered = '';
+
+    stream.on('data', (chunk) => {
+      buffered += decoder.write(chunk);
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      try {
+        lines.forEach(handleLine);
+      } catch (e) {
+        stream.destroy();
+        reject(e);
+      }
+    });
+    stream.on('end', () => {
+      try {
+        handleLine(buffered + decoder.end());
+        resolve();
+      } catch (e) {
+        reject(e);
+      }
+    });
+    stream.on('error', reject);
+  });
+}
+
+function checkEmbedding(embedding, providerName) {
+  if (!Array.isArray(embedding) || embedding.length === 0) {
+    throw new Error(`Invalid embedding response from ${providerName}`);
+  }
+  return embedding;
+}
+
+/**
+ * Provider for the Ollama API (/api/generate, /api/embeddings)
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl] - Defaults to OLLAMA_HOST
+ */
+function createOllamaProvider({ baseUrl = OLLAMA_HOST } = {}) {
+  // With onToken the call is streamed (NDJSON lines) and every token is forwarded as it arrives
+  async function postGenerate(body, { timeout, onToken, stage }) {
+    const url = `${baseUrl}/api/generate`;
+    if (!onToken) {
+      const res = await llmPost(url, { ...body, stream: false }, { timeout, stage, generation: true });
+      console.log(`Ollama response status: ${res.status}`);
+      return { response: res.data.response || '' };
+    }
+
+    const res = await llmPost(url, { ...body, stream: true }, { timeout, responseType: 'stream', stage, generation: true });
+    console.log(`Ollama response status: ${res.status} (streaming)`);
+    let response = '';
+    await readLines(res.data, (line) => {
+      if (!line.trim()) return;
+      const part = JSON.parse(line);
+      if (part.error) throw new Error(part.error);
+      if (part.response) {
+        response += part.response;
+        onToken(part.response);
+      }
+    });
+    return { response };
+  }
+
+  return {
+    name: 'ollama',
+    baseUrl,
+
+    generate({ model, prompt, temperature, maxTokens }, { timeout, onToken, stage = 'generate' } = {}) {
+      const options = { temperature, ...(maxTokens ? { num_predict: maxTokens } : {}) };
+      return postGenerate({ model, prompt, options }, { timeout, onToken, stage });
+    },
+
+    describeImage({ model, prompt, image, temperature, maxTokens }, { timeout, onToken, stage = 'describe' } = {}) {
+      const options = { temperature, ...(maxTokens ? { num_predict: maxTokens } : {}) };
+      return postGenerate({ model, prompt, images: [image], options }, { timeout, onToken, stage });
+    },
+
+    async embed(model, text, { timeout } = {}) {
+      const res = await llmPost(`${baseUrl}/api/embeddings`, { model, prompt: text }, { timeout, stage: 'embedding' });
+      console.log(`Embedding response status: ${res.status}`);
+      return checkEmbedding(res.data.embedding, 'Ollama');
+    }
+  };
+}
+
+/**
+ * Provider for the OpenAI-compatible API (/chat/completions, /embeddings) of llama.cpp server, vLLM...
+ * Images are sent as data URLs, which needs a multimodal model on the server side.
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl] - Defaults to OPENAI_BASE_URL
+ * @param {string} [config.apiKey] - Defaults to OPENAI_API_KEY
+ */
+function createOpenAiProvider({ baseUrl = OPENAI_BASE_URL, apiKey = OPENAI_API_KEY } = {}) {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  // With onToken the call is streamed (server-sent events) and every token is forwarded as it arrives
+  async function postChat(body, { timeout, onToken, stage }) {
+    const url = `${baseUrl}/chat/completions`;
+    if (!onToken) {
+      const res = await llmPost(url, { ...body, stream: false }, { timeout, stage, headers, generation: true });
+      console.log(`OpenAI-compatible response status: ${res.status}`);
+      const choice = res.data.choices && res.data.choices[0];
+      return { response: (choice && choice.message && choice.message.content) || '' };
+    }
+
+    const res = await llmPost(url, { ...body, stream: true }, { timeout, responseType: 'stream', stage, headers, generation: true });
+    console.log(`OpenAI-compatible response status: ${res.status} (streaming)`);
+    let response = '';
+    await readLines(res.data, (line) => {
+      if (!line.startsWith('data:')) return;
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+      const part = JSON.parse(data);
+      if (part.error) throw new Error(part.error.message || String(part.error));
+      const token = part.choices && part.choices[0] && part.choices[0].delta && part.choices[0].delta.content;
+      if (token) {
+        response += token;
+        onToken(token);
+      }
+    });
+    return { response };
+  }
+
+  return {
+    name: 'openai',
+    baseUrl,
+
+    generate({ model, prompt, temperature, maxTokens }, { timeout, onToken, stage = 'generate' } = {}) {
+      return postChat({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        ...(maxTokens ? { max_tokens: maxTokens } : {})
+      }, { timeout, onToken, stage });
+    },
+
+    describeImage({ model, prompt, image, temperature, maxTokens }, { timeout, onToken, stage = 'describe' } = {}) {
+      return postChat({
+        model,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${image}` } }
+          ]
+        }],
+        temperature,
+        ...(maxTokens ? { max_tokens: maxTokens } : {})
+      }, { timeout, onToken, stage });
+    },
+
+    async embed(model, text, { timeout } = {}) {
+      const res = await llmPost(`${baseUrl}/embeddings`, { model, input: text }, { timeout, stage: 'embedding', headers });
+      console.log(`Embedding response status: ${res.status}`);
+      const item = res.data.data && res.data.data[0];
+      return checkEmbedding(item && item.embedding, 'OpenAI-compatible server');
+    }
+  };
+}
+
+const shortHash = value => crypto.createHash('sha256').update(value).digest('hex').slice(0, 8);
+
+/**
+ * Deterministic provider without any model server: the same input always gives the same output.
+ * Answers follow the sectioned summary format (Titre / Résumé / Points clés / Conclusions);
+ * embeddings hash each word to a dimension, so texts sharing words get similar vectors.
+ * @param {Object} [config]
+ * @param {number} [config.dimension] - Defaults to FAKE_EMBEDDING_DIMENSION
+ */
+function createFakeProvider({ dimension = FAKE_EMBEDDING_DIMENSION } = {}) {
+  // Streamed like a real model: one token per word
+  function answer(response, onToken) {
+    if (onToken) {
+      for (const token of response.match(/\S+\s*/g) || []) onToken(token);
+    }
+    return Promise.resolve({ response });
+  }
+
+  const sectioned = (kind, hash) => [
+    `Titre: ${kind} ${hash}`,
+    `Résumé: Réponse déterministe du fournisseur de test (${kind.toLowerCase()} ${hash}).`,
+    'Points clés:',
+    `- Empreinte ${hash}`,
+    'Conclusions: Aucune, réponse générée sans modèle.'
+  ].join('\n');
+
+  return {
+    name: 'fake',
+    baseUrl: null,
+
+    generate({ model, prompt }, { onToken } = {}) {
+      return answer(sectioned('Document', shortHash(`${model}\n${prompt}`)), onToken);
+    },
+
+    describeImage({ model, prompt, image }, { onToken } = {}) {
+      return answer(sectioned('Image', shortHash(`${model}\n${prompt}\n${image}`)), onToken);
+    },
+
+    async embed(model, text) {
+      const vector = new Array(dimension).fill(0);
+      const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+      for (const word of words) {
+        const digest = crypto.createHash('sha256').update(word).digest();
+        vector[digest.readUInt32BE(0) % dimension] += digest[4] & 1 ? 1 : -1;
+      }
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      if (norm === 0) {
+        vector[0] = 1;
+        return vector;
+      }
+      return vector.map(value => value / norm);
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  ollama: createOllamaProvider,
+  openai: createOpenAiProvider,
+  // llama.cpp server speaks the OpenAI-compatible API
+  llamacpp: createOpenAiProvider,
+  fake: createFakeProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Provider selected by LLM_PROVIDER, created on first use.
+ * Every provider exposes:
+ * - generate({ model, prompt, temperature, maxTokens }, { timeout, onToken, stage }) => { response }
+ * - describeImage({ model, prompt, image (base64), temperature, maxTokens }, { timeout, onToken, stage }) => { response }
+ * - embed(model, text, { timeout }) => number[]
+ * Failures are thrown as they come (axios errors or LlmError); callers wrap them with toLlmError.
+ */
+function getLlmProvider() {
+  if (!activeProvider) {
+    const factory = PROVIDER_FACTORIES[LLM_PROVIDER];
+    if (!factory) {
+      throw new LlmError(`Unknown LLM_PROVIDER "${LLM_PROVIDER}" (expected ${Object.keys(PROVIDER_FACTORIES).join(', ')})`, {
+        code: 'model_error'
+      });
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+}
+
+module.exports = {
+  LLM_PROVIDER,
+  PROVIDER_FACTORIES,
+  createOllamaProvider,
+  createOpenAiProvider,
+  createFakeProvider,
+  getLlmProvider
+};
@@ -0,0 +1,52 @@
+/**
+ * Migration 006, step 2 of 3: convert the JSON embeddings to Float32 BLOBs (+ int8 copies).
+ * Run after 006_add_binary_embeddings.sql and before 007_drop_json_embeddings.sql:
+ *   docker-compose run --rm backend node migrate-embeddings.js
+ * Only rows not converted yet are read, so the script can be stopped and run again. Rows stored by the
+ * backend meanwhile already have their Float32 copy (see isBeforeEmbeddingCutover in database.js).
+ */
+
+const { executeQuery, pool } = require('./database');
+const { encodeFloat32, encodeInt8, decodeEmbedding } = require('./embedding-codec');
+
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+const BATCH_SIZE = Number(process.env.MIGRATION_BATCH_SIZE || 200);
+
+async function convertTable(table) {
+  let converted = 0;
+  for (;;) {
+    const rows = await executeQuery(
+      `SELECT id, embedding FROM ${table} WHERE embedding_f32 IS NULL ORDER BY id LIMIT ${BATCH_SIZE}`
+    );
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      const vector = decodeEmbedding(row.embedding);
+      await executeQuery(
+        `UPDATE ${table} SET embedding_f32 = ?, embedding_int8 = ? WHERE id = ?`,
+        [encodeFloat32(vector), encodeInt8(vector), row.id]
+      );
+    }
+    converted += rows.length;
+    console.log(`🔄 ${table}: ${converted} embeddings converted`);
+  }
+  return converted;
+}
+
+async function main() {
+  console.log('=== EMBEDDING MIGRATION (JSON -> Float32 BLOB) ===');
+  const startTime = Date.now();
+  const documents = await convertTable('documents');
+  const chunks = await convertTable('document_chunks');
+  console.log(`✅ Converted ${documents} documents and ${chunks} chunks in ${Date.now() - startTime}ms`);
+  console.log('➡️ Now apply database/migrations/007_drop_json_embeddings.sql');
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Embedding migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,173 @@
+const axios = require('axios');
+const { LlmError, toLlmError } = require('./llm-errors');
+
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://ollama_ai:11434';
+// Attempts after the first one for failures that may be transient (unreachable, timeout, HTTP 429/5xx)
+const OLLAMA_MAX_RETRIES = Number(process.env.OLLAMA_MAX_RETRIES ?? 2);
+// Backoff before retry n: random between 0 and min(OLLAMA_RETRY_MAX_MS, OLLAMA_RETRY_BASE_MS * 2^n) ("full jitter"),
+// so that requests failing together do not all come back at the same time
+const OLLAMA_RETRY_BASE_MS = Number(process.env.OLLAMA_RETRY_BASE_MS || 500);
+const OLLAMA_RETRY_MAX_MS = Number(process.env.OLLAMA_RETRY_MAX_MS || 8000);
+// Calls failing in a row (after their retries) that open the circuit, and how long it stays open
+const OLLAMA_BREAKER_THRESHOLD = Number(process.env.OLLAMA_BREAKER_THRESHOLD || 5);
+const OLLAMA_BREAKER_COOLDOWN_MS = Number(process.env.OLLAMA_BREAKER_COOLDOWN_MS || 30000);
+
+// Circuit breaker shared by every model server call of the process (whichever provider, see llm-providers.js):
+// closed = calls go through, open = calls fail at once, half_open = one trial call after the cooldown
+const breaker = {
+  state: 'closed',
+  consecutiveFailures: 0,
+  openedAt: null,
+  lastError: null,
+  trialInFlight: false
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function backoffDelay(attempt) {
+  return Math.random() * Math.min(OLLAMA_RETRY_MAX_MS, OLLAMA_RETRY_BASE_MS * 2 ** attempt);
+}
+
+// Failures worth retrying and counted by the breaker: Ollama down or overloaded.
+// Other errors (unknown model, bad request) would fail the same way again, and so would a generation
+// that ran out of time: the model is slow, not down, and a retry would wait the whole timeout again.
+function isTransient(error, { generation = false } = {}) {
+  if (error.code === 'unavailable') return true;
+  if (error.code === 'timeout') return !generation;
+  const status = error.cause && error.cause.response ? error.cause.response.status : null;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+function retryAfterMs() {
+  if (breaker.state !== 'open') return 0;
+  return Math.max(0, breaker.openedAt + OLLAMA_BREAKER_COOLDOWN_MS - Date.now());
+}
+
+/**
+ * Whether calls are currently refused (open circuit, cooldown not elapsed).
+ * Routes check it first to answer 503 before extracting or OCRing anything.
+ */
+function isOllamaCircuitOpen() {
+  return breaker.state === 'open' && retryAfterMs() > 0;
+}
+
+// Let the call through, or throw a 'circuit_open' LlmError
+function acquire(stage, model) {
+  if (breaker.state === 'open') {
+    if (retryAfterMs() > 0) {
+      throw new LlmError('Ollama circuit open: calls are refused until the cooldown ends', {
+        code: 'circuit_open',
+        stage,
+        model,
+        retryAfterMs: retryAfterMs()
+      });
+    }
+    breaker.state = 'half_open';
+    console.log('🔌 Ollama circuit half-open: trying one call');
+  }
+  if (breaker.state === 'half_open') {
+    if (breaker.trialInFlight) {
+      throw new LlmError('Ollama circuit half-open: a trial call is in progress', {
+        code: 'circuit_open',
+        stage,
+        model,
+        retryAfterMs: OLLAMA_RETRY_BASE_MS
+      });
+    }
+    breaker.trialInFlight = true;
+  }
+}
+
+function recordSuccess() {
+  if (breaker.state !== 'closed') console.log('🔌 Ollama circuit closed');
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.trialInFlight = false;
+}
+
+function recordFailure(error, { generation }) {
+  breaker.trialInFlight = false;
+  if (!isTransient(error, { generation })) return;
+  breaker.consecutiveFailures++;
+  breaker.lastError = { code: error.code, message: error.message, at: new Date().toISOString() };
+  if (breaker.state === 'half_open' || breaker.consecutiveFailures >= OLLAMA_BREAKER_THRESHOLD) {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+    console.error(`🔌 Ollama circuit open for ${OLLAMA_BREAKER_COOLDOWN_MS}ms after ${breaker.consecutiveFailures} failures: ${error.message}`);
+  }
+}
+
+/**
+ * POST to a model server with bounded retries and the circuit breaker.
+ * For streamed responses, only the request is retried: once tokens flow, a failure is the caller's.
+ * @param {string} url - Full URL, e.g. 'http://ollama_ai:11434/api/generate'
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {number} [options.timeout]
+ * @param {string} [options.responseType] - 'stream' for streamed generation
+ * @param {string} [options.stage] - Pipeline step, reported in errors
+ * @param {Object} [options.headers] - Extra headers (e.g. Authorization)
+ * @param {boolean} [options.generation] - Text generation call: a timeout is neither retried nor counted by the breaker
+ * @returns {Promise<Object>} axios response
+ * @throws {LlmError}
+ */
+async function llmPost(url, body, { timeout, responseType, stage = null, headers = {}, generation = false } = {}) {
+  const model = body.model || null;
+  acquire(stage, model);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.post(url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        timeout,
+        ...(responseType ? { responseType } : {})
+      });
+      recordSuccess();
+      return response;
+    } catch (rawError) {
+      const error = toLlmError(rawError, { stage, model });
+      if (attempt < OLLAMA_MAX_RETRIES && isTransient(error, { generation })) {
+        const delay = backoffDelay(attempt);
+        console.warn(`⚠️ Ollama ${stage || url} failed (${error.code}), retry ${attempt + 1}/${OLLAMA_MAX_RETRIES} in ${Math.round(delay)}ms`);
+        await sleep(delay);
+        continue;
+      }
+      recordFailure(error, { generation });
+      throw error;
+    }
+  }
+}
+
+/**
+ * POST to the Ollama API (OLLAMA_HOST), see llmPost
+ * @param {string} apiPath - e.g. '/api/generate'
+ */
+function ollamaPost(apiPath, body, options) {
+  return llmPost(`${OLLAMA_HOST}${apiPath}`, body, options);
+}
+
+function getOllamaStatus() {
+  return {
+    host: OLLAMA_HOST,
+    circuit: breaker.state,
+    consecutive_failures: breaker.consecutiveFailures,
+    opened_at: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    retry_after_seconds: Math.ceil(retryAfterMs() / 1000),
+    last_error: breaker.lastError,
+    max_retries: OLLAMA_MAX_RETRIES,
+    breaker_threshold: OLLAMA_BREAKER_THRESHOLD,
+    breaker_cooldown_ms: OLLAMA_BREAKER_COOLDOWN_MS
+  };
+}
+
+module.exports = {
+  OLLAMA_HOST,
+  llmPost,
+  ollamaPost,
+  isOllamaCircuitOpen,
+  getOllamaStatus
+};
@@ -1,20 +1,45 @@
 const crypto = require('crypto');
-const axios = require('axios');
 const {
   getDocumentByHash,
+  getDocumentByTextHash,
+  getDocumentFingerprints,
+  getDocumentById,
   insertDocument,
-  findSimilarDocuments,
-  getRagSetting
+  insertDocumentChunks,
+  invalidateSimilarityCacheForNewDocument,
+  findSimilarDocuments
 } = require('./database');
+const { DEFAULT_LANGUAGE } = require('./languages');
+const { buildChunks } = require('./chunking');
+const { computeTextHash, computeSimHash, findNearestSimHash } = require('./text-fingerprint');
+const { getEffectiveSettings } = require('./rag-settings');
+const { diffTexts } = require('./text-diff');
+const { toLlmError } = require('./llm-errors');
+const { getOllamaStatus } = require('./ollama-client');
+const { LLM_PROVIDER, getLlmProvider } = require('./llm-providers');
 
 // Configuration - Ensure env vars are loaded
 require('dotenv').config();
 
-const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://ollama_ai:11434';
 const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'nomic-embed-text';
 const RAG_ENABLED = process.env.RAG_ENABLED === 'true';
-const SIMILARITY_THRESHOLD = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.85;
-const MAX_SIMILAR_DOCUMENTS = parseInt(process.env.MAX_SIMILAR_DOCUMENTS) || 5;
+// Long texts are embedded in overlapping windows: the model ignores what exceeds its context
+const EMBEDDING_WINDOW_CHARS = Number(process.env.EMBEDDING_WINDOW_CHARS || 4000);
+const EMBEDDING_WINDOW_OVERLAP_CHARS = Number(process.env.EMBEDDING_WINDOW_OVERLAP_CHARS || 400);
+const EMBEDDING_MAX_WINDOWS = Number(process.env.EMBEDDING_MAX_WINDOWS || 16);
+const EMBEDDING_POOLING = process.env.EMBEDDING_POOLING === 'mean' ? 'mean' : 'weighted';
+// Which stored summaries an analysis may return instead of asking the model:
+// fresh = none, exact-only = same file or same text, similar = also near-duplicates and similar documents
+const REUSE_POLICIES = ['fresh', 'exact-only', 'similar'];
+const DEFAULT_REUSE_POLICY = 'similar';
+// How the summary of a similar document is reused: 'delta' = patched by the model with the
+// sentences that differ between the two texts, 'verbatim' = returned unchanged
+const SIMILAR_SUMMARY_MODE = process.env.SIMILAR_SUMMARY_MODE === 'verbatim' ? 'verbatim' : 'delta';
+// Beyond these differences a patch is not reliable: a new summary is generated instead
+const DELTA_MAX_CHANGE_RATIO = Number(process.env.DELTA_MAX_CHANGE_RATIO || 0.3);
+const DELTA_MAX_CHANGED_CHARS = Number(process.env.DELTA_MAX_CHANGED_CHARS || 6000);
+// Added to summaries stored as verbatim copies ("[Similar to: file.pdf]")
+const SIMILAR_PREFIX_PATTERN = /^\[Similar to: [^\]\n]*\]\s*/;
 
 /**
  * Generate SHA-256 hash of file content
@@ -24,7 +49,7 @@ function generateFileHash(buffer) {
 }
 
 /**
- * Generate embedding for text using Ollama embedding model
+ * Generate embedding for text with the embedding model of the configured LLM provider
  */
 async function generateEmbedding(text) {
   try {
@@ -34,25 +59,9 @@ async function generateEmbedding(text) {
     console.log(`Model: ${EMBEDDING_MODEL}`);
     console.log(`Text preview: ${text.slice(0, 200)}...`);
     
-    const response = await axios.post(
-      `${OLLAMA_HOST}/api/embeddings`,
-      {
-        model: EMBEDDING_MODEL,
-        prompt: text
-      },
-      {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 60000 // 1 minute timeout for embeddings
-      }
-    );
-    
-    console.log(`Embedding response status: ${response.status}`);
-    
-    if (!response.data.embedding || !Array.isArray(response.data.embedding)) {
-      throw new Error('Invalid embedding response from Ollama');
-    }
-    
-    const embedding = response.data.embedding;
+    const embedding = await getLlmProvider().embed(EMBEDDING_MODEL, text, {
+      timeout: 60000 // 1 minute timeout for embeddings
+    });
     const embeddingTime = Date.now() - embeddingStartTime;
     console.log(`✅ Generated embedding with ${embedding.length} dimensions in ${embeddingTime}ms`);
     console.log(`📊 Embedding sample: [${embedding.slice(0, 5).map(n => n.toFixed(4)).join(', ')}...]`);
@@ -62,22 +71,123 @@ async function generateEmbedding(text) {
   } catch (error) {
     console.error('Error generating embedding:', error.message);
     if (error.response) {
-      console.error('Ollama response status:', error.response.status);
-      console.error('Ollama response data:', error.response.data);
+      console.error('Provider response status:', error.response.status);
+      console.error('Provider response data:', error.response.data);
     }
-    throw new Error(`Failed to generate embedding: ${error.message}`);
+    throw toLlmError(error, { stage: 'embedding', model: EMBEDDING_MODEL });
+  }
+}
+
+/**
+ * Pool window embeddings into one document vector. Each window vector is normalized first,
+ * so windows count by their weight (text length) or equally (mean), not by their norm.
+ * @param {Array<number[]>} embeddings
+ * @param {number[]|null} [weights] - One weight per embedding, null for a plain mean
+ * @returns {number[]}
+ */
+function poolEmbeddings(embeddings, weights = null) {
+  const pooled = new Array(embeddings[0].length).fill(0);
+  let totalWeight = 0;
+  embeddings.forEach((embedding, index) => {
+    const weight = weights ? weights[index] : 1;
+    const norm = Math.sqrt(embedding.reduce((sum, value) => sum + value * value, 0)) || 1;
+    for (let i = 0; i < pooled.length; i++) {
+      pooled[i] += (embedding[i] / norm) * weight;
+    }
+    totalWeight += weight;
+  });
+  return pooled.map(value => value / (totalWeight || 1));
+}
+
+/**
+ * Embed the full text of a document: a single call when it fits in one window, otherwise
+ * the pooled embedding of overlapping windows (at most EMBEDDING_MAX_WINDOWS, spread over the whole text)
+ * @param {string} text
+ * @returns {Promise<{embedding: number[], windowCount: number}>}
+ */
+async function embedDocumentText(text) {
+  const windows = buildChunks([text], {
+    maxChars: EMBEDDING_WINDOW_CHARS,
+    overlapChars: EMBEDDING_WINDOW_OVERLAP_CHARS,
+    maxChunks: EMBEDDING_MAX_WINDOWS
+  });
+  if (windows.length <= 1) {
+    return { embedding: await generateEmbedding(text), windowCount: 1 };
+  }
+
+  console.log(`\n=== EMBEDDING ${windows.length} WINDOWS (${EMBEDDING_POOLING} pooling) ===`);
+  const embeddings = [];
+  for (const window of windows) {
+    embeddings.push(await generateEmbedding(window.text));
+  }
+  const weights = EMBEDDING_POOLING === 'weighted' ? windows.map(window => window.text.length) : null;
+  return { embedding: poolEmbeddings(embeddings, weights), windowCount: windows.length };
+}
+
+/**
+ * Split the document into page-aware chunks and embed each of them
+ * @param {string[]} pages - Text of each page
+ * @returns {Promise<Array>} Chunks ({ chunk_index, page_start, page_end, text }) with their embedding
+ */
+async function embedChunks(pages) {
+  const chunks = buildChunks(pages);
+  console.log(`\n=== EMBEDDING ${chunks.length} CHUNKS ===`);
+  
+  const embedded = [];
+  for (const chunk of chunks) {
+    const embedding = await generateEmbedding(chunk.text);
+    embedded.push({ ...chunk, embedding });
+  }
+  return embedded;
+}
+
+/**
+ * Store a document (with its text fingerprints) and its retrieval chunks,
+ * then drop the cached similarity queries it now belongs to
+ * @returns {Promise<number>} Id of the new document
+ */
+async function storeDocument(document, chunks = []) {
+  const documentId = await insertDocument({
+    text_hash: computeTextHash(document.extracted_text),
+    simhash: computeSimHash(document.extracted_text),
+    ...document
+  });
+  if (chunks.length > 0) {
+    await insertDocumentChunks(documentId, chunks, document.embedding_model);
+    console.log(`🧩 Stored ${chunks.length} chunks for document ${documentId}`);
   }
+  await invalidateSimilarityCacheForNewDocument(documentId, document, chunks);
+  return documentId;
 }
 
 // Cosine similarity is now handled in database.js
 
+// Whether a summary can be patched with this difference instead of being generated again
+function isPatchable(delta) {
+  return delta.changeRatio <= DELTA_MAX_CHANGE_RATIO && delta.changedChars <= DELTA_MAX_CHANGED_CHARS;
+}
+
 /**
  * Process document with RAG - main entry point (OPTIMIZED)
  * @param {Object} file - Uploaded file object
  * @param {string} extractedText - Extracted text from document
  * @param {string|null} aiSummary - AI summary (null if not generated yet for optimization)
+ * @param {Object} [options]
+ * @param {string} [options.language] - Summary language; cached summaries are only reused in the same language
+ * @param {string|null} [options.detectedLanguage] - Language detected in the document text (stored on the row)
+ * @param {string[]} [options.pages] - Text of each page, used to give chunks their page range
+ * @param {string} [options.reuse] - Reuse policy (see REUSE_POLICIES)
+ * @param {number|null} [options.threshold] - Similarity threshold for this request (default: similarity_threshold setting)
  */
-async function processDocumentWithRAG(file, extractedText, aiSummary = null) {
+async function processDocumentWithRAG(file, extractedText, aiSummary = null, {
+  language = DEFAULT_LANGUAGE,
+  detectedLanguage = null,
+  pages = null,
+  reuse = DEFAULT_REUSE_POLICY,
+  threshold: requestedThreshold = null
+} = {}) {
+  // Reported with every result, so clients can tell why a summary was (not) reused
+  let policy = { reusePolicy: reuse, similarityThreshold: requestedThreshold };
   try {
     if (!RAG_ENABLED) {
       console.log('RAG is disabled, proceeding with normal processing');
@@ -92,13 +202,33 @@ async function processDocumentWithRAG(file, extractedText, aiSummary = null) {
     console.log(`File: ${file.originalname}`);
     console.log(`Size: ${file.size} bytes`);
     console.log(`Type: ${file.mimetype}`);
+    console.log(`Language: ${language}`);
+    
+    const settings = await getEffectiveSettings();
+    const threshold = requestedThreshold ?? settings.similarity_threshold;
+    policy = { reusePolicy: reuse, similarityThreshold: threshold };
+    console.log(`Reuse policy: ${reuse}, threshold: ${threshold}${requestedThreshold !== null ? ' (request override)' : ''}`);
     
     // Step 1: Generate file hash
     const fileHash = generateFileHash(file.buffer);
     console.log(`File hash: ${fileHash}`);
     
-    // Step 2: Check if exact same file already exists
-    const existingDoc = await getDocumentByHash(fileHash);
+    // Step 2: Check if exact same file already exists (with a summary in the requested language)
+    const existingDoc = await getDocumentByHash(fileHash, language);
+    if (existingDoc && reuse === 'fresh') {
+      // Analyzed again, but the file is already stored: nothing new to store or embed
+      console.log(`🔄 Exact document found (ID: ${existingDoc.id}) but a fresh analysis was requested`);
+      return {
+        isFromRAG: false,
+        aiSummary,
+        similarDocuments: [],
+        exactMatch: false,
+        matchType: 'none',
+        existingDocumentId: existingDoc.id,
+        needsAiGeneration: aiSummary === null,
+        ...policy
+      };
+    }
     if (existingDoc) {
       console.log(`✅ Exact document found in database (ID: ${existingDoc.id})`);
       console.log(`📄 Returning cached summary from: ${existingDoc.created_at}`);
@@ -108,64 +238,195 @@ async function processDocumentWithRAG(file, extractedText, aiSummary = null) {
         aiSummary: existingDoc.ai_summary,
         similarDocuments: [],
         exactMatch: true,
+        matchType: 'file_hash',
         matchedDocument: {
           id: existingDoc.id,
           filename: existingDoc.filename,
           created_at: existingDoc.created_at
-        }
+        },
+        ...policy
+      };
+    }
+    
+    // Step 2b: Same text in different file bytes (re-exported PDF, new producer timestamp...)
+    const textHash = computeTextHash(extractedText);
+    const sameTextDoc = textHash && reuse !== 'fresh' ? await getDocumentByTextHash(textHash, language) : null;
+    if (sameTextDoc) {
+      console.log(`✅ Same extracted text found in database (ID: ${sameTextDoc.id}, ${sameTextDoc.filename})`);
+      
+      return {
+        isFromRAG: true,
+        aiSummary: sameTextDoc.ai_summary,
+        similarDocuments: [],
+        exactMatch: false,
+        matchType: 'text_hash',
+        matchedDocument: {
+          id: sameTextDoc.id,
+          filename: sameTextDoc.filename,
+          created_at: sameTextDoc.created_at
+        },
+        ...policy
+      };
+    }
+    
+    // Step 2c: Near-duplicate text (a few words changed), still without any embedding call
+    const simhash = reuse === 'similar' ? computeSimHash(extractedText) : null;
+    const nearest = simhash
+      ? findNearestSimHash(simhash, await getDocumentFingerprints(language), settings.simhash_max_distance)
+      : null;
+    let nearDuplicateDoc = nearest ? await getDocumentById(nearest.id) : null;
+    // The text differs (Step 2b), possibly only in amounts or dates: its summary is patched like in Step 5b
+    let nearDuplicateDelta = null;
+    if (nearDuplicateDoc && SIMILAR_SUMMARY_MODE === 'delta') {
+      nearDuplicateDelta = diffTexts(nearDuplicateDoc.extracted_text, extractedText);
+      if (!isPatchable(nearDuplicateDelta)) {
+        console.log(`📝 Near-duplicate document differs too much to patch its summary (${(nearDuplicateDelta.changeRatio * 100).toFixed(1)}% changed)`);
+        nearDuplicateDoc = null;
+      }
+    }
+    if (nearDuplicateDoc && !(nearDuplicateDelta && nearDuplicateDelta.changedChars > 0)) {
+      console.log(`✅ Near-duplicate text found in database (ID: ${nearDuplicateDoc.id}, SimHash distance ${nearest.distance})`);
+      
+      return {
+        isFromRAG: true,
+        aiSummary: nearDuplicateDoc.ai_summary,
+        similarDocuments: [],
+        exactMatch: false,
+        matchType: 'near_duplicate',
+        nearDuplicateDistance: nearest.distance,
+        matchedDocument: {
+          id: nearDuplicateDoc.id,
+          filename: nearDuplicateDoc.filename,
+          created_at: nearDuplicateDoc.created_at
+        },
+        ...policy
       };
     }
     
     // Step 3: Generate embedding for the extracted text
     console.log('\n=== GENERATING EMBEDDING FOR SIMILARITY SEARCH ===');
-    const embedding = await generateEmbedding(extractedText);
+    const { embedding, windowCount } = await embedDocumentText(extractedText);
+    const chunks = await embedChunks(pages && pages.length > 0 ? pages : [extractedText]);
+    
+    if (nearDuplicateDoc) {
+      // The summary is patched by the caller, which then stores the document (like a new summary)
+      console.log(`✅ Near-duplicate text found in database (ID: ${nearDuplicateDoc.id}, SimHash distance ${nearest.distance})`);
+      console.log(`🧩 ${nearDuplicateDelta.removed.length} sentences removed, ${nearDuplicateDelta.added.length} added: summary to patch`);
+      return {
+        isFromRAG: true,
+        aiSummary: nearDuplicateDoc.ai_summary.replace(SIMILAR_PREFIX_PATTERN, ''),
+        similarDocuments: [],
+        exactMatch: false,
+        matchType: 'near_duplicate',
+        nearDuplicateDistance: nearest.distance,
+        summaryMode: 'delta',
+        needsDeltaPatch: true,
+        delta: nearDuplicateDelta,
+        fileHash: fileHash,
+        embedding: embedding,
+        embeddingWindows: windowCount,
+        chunks: chunks,
+        matchedDocument: {
+          id: nearDuplicateDoc.id,
+          filename: nearDuplicateDoc.filename,
+          created_at: nearDuplicateDoc.created_at
+        },
+        ...policy
+      };
+    }
     
     // Step 4: Find similar documents
     console.log('\n=== SEARCHING FOR SIMILAR DOCUMENTS ===');
-    const threshold = await getRagSetting('similarity_threshold') || SIMILARITY_THRESHOLD;
-    const maxDocs = await getRagSetting('max_similar_documents') || MAX_SIMILAR_DOCUMENTS;
+    const maxDocs = settings.max_similar_documents;
     
     console.log(`Using threshold: ${threshold}, max documents: ${maxDocs}`);
     
     const similarDocs = await findSimilarDocuments(
       embedding, 
       parseFloat(threshold), 
-      parseInt(maxDocs)
+      parseInt(maxDocs),
+      { language },
+      chunks.map(chunk => chunk.embedding)
     );
     
     console.log(`Found ${similarDocs.length} similar documents`);
     
     // Step 5: Check if we have a very similar document
     const highestSimilarity = similarDocs.length > 0 ? similarDocs[0].similarity_score : 0;
-    const useExistingSummary = highestSimilarity >= parseFloat(threshold);
+    // Other policies still list the similar documents, but never return their summary
+    let useExistingSummary = reuse === 'similar' && highestSimilarity >= parseFloat(threshold);
+    
+    // Step 5b: Delta mode - compare with the text of the matched document
+    let delta = null;
+    if (useExistingSummary && SIMILAR_SUMMARY_MODE === 'delta') {
+      const matchedDoc = await getDocumentById(similarDocs[0].id);
+      delta = matchedDoc ? diffTexts(matchedDoc.extracted_text, extractedText) : null;
+      if (!delta || !isPatchable(delta)) {
+        console.log(`📝 Similar document differs too much to patch its summary (${delta ? `${(delta.changeRatio * 100).toFixed(1)}% changed` : 'text not found'})`);
+        useExistingSummary = false;
+      }
+    }
     
     if (useExistingSummary && similarDocs.length > 0) {
       const bestMatch = similarDocs[0];
+      const matchInfo = {
+        id: bestMatch.id,
+        filename: bestMatch.filename,
+        similarity_score: bestMatch.similarity_score,
+        created_at: bestMatch.created_at,
+        best_chunk: bestMatch.best_chunk
+      };
+      // The matched summary may itself be a verbatim copy: patch its text, not the reference
+      const baseSummary = delta ? bestMatch.ai_summary.replace(SIMILAR_PREFIX_PATTERN, '') : bestMatch.ai_summary;
       console.log(`🎯 High similarity found (${bestMatch.similarity_score.toFixed(4)})`);
       console.log(`📝 Using existing summary from: ${bestMatch.filename}`);
       
-      // Still store the new document but reference the similar one
-      await insertDocument({
+      if (delta && delta.changedChars > 0) {
+        // The summary is patched by the caller, which then stores the document (like a new summary)
+        console.log(`🧩 ${delta.removed.length} sentences removed, ${delta.added.length} added: summary to patch`);
+        return {
+          isFromRAG: true,
+          aiSummary: baseSummary,
+          similarDocuments: similarDocs,
+          exactMatch: false,
+          matchType: 'similar',
+          summaryMode: 'delta',
+          needsDeltaPatch: true,
+          delta,
+          fileHash: fileHash,
+          embedding: embedding,
+          embeddingWindows: windowCount,
+          chunks: chunks,
+          bestMatch: matchInfo,
+          ...policy
+        };
+      }
+      
+      // Still store the new document; a verbatim copy references the similar one
+      const documentId = await storeDocument({
         filename: file.originalname,
         file_hash: fileHash,
         file_size: file.size,
         mime_type: file.mimetype,
         extracted_text: extractedText,
-        ai_summary: `[Similar to: ${bestMatch.filename}]\n\n${bestMatch.ai_summary}`,
+        ai_summary: delta ? baseSummary : `[Similar to: ${bestMatch.filename}]\n\n${bestMatch.ai_summary}`,
         embedding: embedding,
-        embedding_model: EMBEDDING_MODEL
-      });
+        embedding_model: EMBEDDING_MODEL,
+        embedding_windows: windowCount,
+        language,
+        detected_language: detectedLanguage
+      }, chunks);
       
       return {
         isFromRAG: true,
-        aiSummary: bestMatch.ai_summary,
+        aiSummary: baseSummary,
         similarDocuments: similarDocs,
         exactMatch: false,
-        bestMatch: {
-          filename: bestMatch.filename,
-          similarity_score: bestMatch.similarity_score,
-          created_at: bestMatch.created_at
-        }
+        matchType: 'similar',
+        summaryMode: delta ? 'delta' : 'verbatim',
+        newDocumentId: documentId,
+        bestMatch: matchInfo,
+        ...policy
       };
     }
     
@@ -182,15 +443,19 @@ async function processDocumentWithRAG(file, extractedText, aiSummary = null) {
         aiSummary: null,
         similarDocuments: similarDocs,
         exactMatch: false,
+        matchType: 'none',
         fileHash: fileHash,
         embedding: embedding,
-        needsAiGeneration: true
+        embeddingWindows: windowCount,
+        chunks: chunks,
+        needsAiGeneration: true,
+        ...policy
       };
     } else {
       // AI summary provided, store the new document
       console.log('💾 Storing new document in RAG database');
       
-      const documentId = await insertDocument({
+      const documentId = await storeDocument({
         filename: file.originalname,
         file_hash: fileHash,
         file_size: file.size,
@@ -198,8 +463,11 @@ async function processDocumentWithRAG(file, extractedText, aiSummary = null) {
         extracted_text: extractedText,
         ai_summary: aiSummary,
         embedding: embedding,
-        embedding_model: EMBEDDING_MODEL
-      });
+        embedding_model: EMBEDDING_MODEL,
+        embedding_windows: windowCount,
+        language,
+        detected_language: detectedLanguage
+      }, chunks);
       
       console.log(`✅ Document stored with ID: ${documentId}`);
       console.log(`=== RAG PROCESSING COMPLETE ===\n`);
@@ -209,7 +477,9 @@ async function processDocumentWithRAG(file, extractedText, aiSummary = null) {
         aiSummary,
         similarDocuments: similarDocs,
         exactMatch: false,
-        newDocumentId: documentId
+        matchType: 'none',
+        newDocumentId: documentId,
+        ...policy
       };
     }
     
@@ -223,7 +493,8 @@ async function processDocumentWithRAG(file, extractedText, aiSummary = null) {
       isFromRAG: false,
       aiSummary,
       similarDocuments: [],
-      error: error.message
+      error: error.message,
+      ...policy
     };
   }
 }
@@ -235,17 +506,21 @@ async function getRagStatus() {
   // Get fresh environment variables
   const currentRagEnabled = process.env.RAG_ENABLED === 'true';
   const currentEmbeddingModel = process.env.EMBEDDING_MODEL || 'nomic-embed-text';
-  const currentSimilarityThreshold = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.85;
-  const currentMaxSimilarDocuments = parseInt(process.env.MAX_SIMILAR_DOCUMENTS) || 5;
+  // Thresholds come from rag_settings (editable through /rag/settings), not from env
+  const settings = await getEffectiveSettings();
   const currentOllamaHost = process.env.OLLAMA_HOST || 'http://ollama_ai:11434';
   
   // Basic status without potentially failing operations
   const basicStatus = {
     enabled: currentRagEnabled,
+    llm_provider: LLM_PROVIDER,
     ollama_host: currentOllamaHost,
     embedding_model: currentEmbeddingModel,
-    similarity_threshold: currentSimilarityThreshold,
-    max_similar_documents: currentMaxSimilarDocuments
+    similarity_threshold: settings.similarity_threshold,
+    max_similar_documents: settings.max_similar_documents,
+    settings,
+    // Retries and circuit breaker state (see ollama-client.js)
+    ollama: getOllamaStatus()
   };
   
   // Try database stats
@@ -257,6 +532,9 @@ async function getRagStatus() {
     basicStatus.database_stats = { error: dbError.message };
   }
   
+  const { getVectorIndexStatus } = require('./vector-index');
+  basicStatus.vector_index = getVectorIndexStatus();
+  
   // Try embedding test
   try {
     const testEmbedding = await generateEmbedding("Test text for RAG status check");
@@ -277,7 +555,14 @@ async function getRagStatus() {
 module.exports = {
   processDocumentWithRAG,
   generateEmbedding,
+  poolEmbeddings,
+  embedDocumentText,
+  embedChunks,
+  storeDocument,
   generateFileHash,
   getRagStatus,
-  RAG_ENABLED
+  EMBEDDING_MODEL,
+  RAG_ENABLED,
+  REUSE_POLICIES,
+  DEFAULT_REUSE_POLICY
 };
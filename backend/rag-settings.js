@@ -0,0 +1,165 @@
+const { getAllRagSettings, updateRagSetting, insertRagSettingAudit, getRagSettingsAudit } = require('./database');
+
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+// Effective settings are re-read from rag_settings after this delay (changes made by
+// another instance or in SQL); changes made through the API apply at once
+const SETTINGS_REFRESH_MS = Number(process.env.RAG_SETTINGS_REFRESH_MS || 30000);
+
+/**
+ * Settings editable through /rag/settings: type, allowed range and default
+ * (env var or built-in value, used while the database has no row for the setting)
+ */
+const SETTING_DEFINITIONS = {
+  similarity_threshold: {
+    type: 'number', min: 0, max: 1,
+    default: parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.85,
+    description: 'Minimum cosine similarity score to reuse the summary of a similar document'
+  },
+  max_similar_documents: {
+    type: 'integer', min: 1, max: 50,
+    default: parseInt(process.env.MAX_SIMILAR_DOCUMENTS) || 5,
+    description: 'Maximum number of similar documents to return'
+  },
+  cache_expiry_hours: {
+    type: 'integer', min: 0, max: 720,
+    default: 24,
+    description: 'Hours after which similarity cache entries expire (0 disables the cache)'
+  },
+  simhash_max_distance: {
+    type: 'integer', min: 0, max: 16,
+    default: Number(process.env.SIMHASH_MAX_DISTANCE || 3),
+    description: 'Largest SimHash distance (bits out of 64) counted as a near-duplicate'
+  },
+  ask_top_k: {
+    type: 'integer', min: 1, max: 20,
+    default: Number(process.env.RAG_ASK_TOP_K || 4),
+    description: 'Passages given to the model when answering a question'
+  }
+};
+
+let cachedSettings = null;
+let cachedAt = 0;
+
+/**
+ * Parse and check a setting value
+ * @returns {{ value: number }|{ error: string }}
+ */
+function validateSetting(key, rawValue) {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    return { error: `Paramètre inconnu : ${key}.` };
+  }
+  const value = Number(rawValue);
+  if (rawValue === null || rawValue === '' || typeof rawValue === 'boolean' || !Number.isFinite(value)) {
+    return { error: `${key} doit être un nombre.` };
+  }
+  if (definition.type === 'integer' && !Number.isInteger(value)) {
+    return { error: `${key} doit être un entier.` };
+  }
+  if (value < definition.min || value > definition.max) {
+    return { error: `${key} doit être compris entre ${definition.min} et ${definition.max}.` };
+  }
+  return { value };
+}
+
+/**
+ * Effective value of every setting with where it comes from ('database' or 'default').
+ * Invalid database values are ignored (default used); without database the defaults apply.
+ */
+async function loadSettings() {
+  const settings = {};
+  for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+    settings[key] = { value: definition.default, source: 'default', updated_at: null };
+  }
+
+  try {
+    const rows = await getAllRagSettings();
+    for (const row of rows) {
+      if (!SETTING_DEFINITIONS[row.setting_key]) continue;
+      const { value, error } = validateSetting(row.setting_key, row.setting_value);
+      if (error) {
+        console.warn(`⚠️ Ignoring invalid rag_settings value for ${row.setting_key}: ${row.setting_value}`);
+        continue;
+      }
+      settings[row.setting_key] = { value, source: 'database', updated_at: row.updated_at };
+    }
+  } catch (error) {
+    console.error('⚠️ Failed to load RAG settings, using defaults:', error.message);
+  }
+  return settings;
+}
+
+/**
+ * Effective settings with their source (cached for RAG_SETTINGS_REFRESH_MS)
+ */
+async function getSettingsDetails() {
+  if (!cachedSettings || Date.now() - cachedAt > SETTINGS_REFRESH_MS) {
+    cachedSettings = await loadSettings();
+    cachedAt = Date.now();
+  }
+  return cachedSettings;
+}
+
+/**
+ * Effective settings as plain values ({ similarity_threshold: 0.85, ... })
+ */
+async function getEffectiveSettings() {
+  const details = await getSettingsDetails();
+  return Object.fromEntries(Object.entries(details).map(([key, setting]) => [key, setting.value]));
+}
+
+/**
+ * Validate every change first, then save them with an audit row each and reload the settings
+ * @param {Object} changes - { setting_key: value }
+ * @param {string} changedBy - Where the change came from (recorded in rag_settings_audit)
+ * @returns {Promise<{ errors: string[] }|{ changed: Array }>}
+ */
+async function updateSettings(changes, changedBy) {
+  const errors = [];
+  const values = {};
+  for (const [key, rawValue] of Object.entries(changes)) {
+    const { value, error } = validateSetting(key, rawValue);
+    if (error) errors.push(error);
+    else values[key] = value;
+  }
+  if (errors.length > 0) return { errors };
+
+  const current = await loadSettings();
+  const changed = [];
+  for (const [key, value] of Object.entries(values)) {
+    const oldValue = current[key].value;
+    if (current[key].source === 'database' && oldValue === value) continue;
+
+    await updateRagSetting(key, String(value));
+    await insertRagSettingAudit({
+      setting_key: key,
+      old_value: String(oldValue),
+      new_value: String(value),
+      changed_by: changedBy
+    });
+    changed.push({ key, old_value: oldValue, new_value: value });
+    console.log(`⚙️ Setting ${key}: ${oldValue} -> ${value} (by ${changedBy})`);
+  }
+
+  cachedSettings = await loadSettings();
+  cachedAt = Date.now();
+  return { changed };
+}
+
+/**
+ * Latest setting changes, most recent first
+ */
+function getSettingsAudit(limit = 20) {
+  return getRagSettingsAudit(limit);
+}
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  validateSetting,
+  getSettingsDetails,
+  getEffectiveSettings,
+  updateSettings,
+  getSettingsAudit
+};
@@ -0,0 +1,54 @@
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+// Damping constant of reciprocal rank fusion (60 is the value from the original RRF paper)
+const RRF_K = Number(process.env.RRF_K || 60);
+
+/**
+ * Combine ranked result lists with reciprocal rank fusion: score = sum of 1 / (k + rank).
+ * Each fused result says which signal found it and at which rank.
+ * @param {Object<string, Array>} rankings - Result lists by signal name, best first ({ vector: [...], keyword: [...] });
+ *   items need an `id`, and `scoreField` gives their score in that list
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.scoreFields] - Score property of each list (e.g. { vector: 'similarity_score' })
+ * @param {number} [options.limit]
+ * @param {number} [options.k]
+ * @returns {Array} Items with rrf_score, signals ({ vector: { rank, score } | null, ... }) and matched_by
+ */
+function fuseRankings(rankings, { scoreFields = {}, limit = 10, k = RRF_K } = {}) {
+  const signalNames = Object.keys(rankings);
+  const fused = new Map();
+
+  for (const signal of signalNames) {
+    rankings[signal].forEach((item, index) => {
+      if (!fused.has(item.id)) {
+        fused.set(item.id, {
+          item,
+          rrf_score: 0,
+          signals: Object.fromEntries(signalNames.map(name => [name, null]))
+        });
+      }
+      const entry = fused.get(item.id);
+      entry.rrf_score += 1 / (k + index + 1);
+      entry.signals[signal] = {
+        rank: index + 1,
+        score: scoreFields[signal] ? Number(item[scoreFields[signal]]) : null
+      };
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.rrf_score - a.rrf_score)
+    .slice(0, limit)
+    .map(({ item, rrf_score: rrfScore, signals }) => ({
+      ...item,
+      rrf_score: rrfScore,
+      signals,
+      matched_by: signalNames.filter(name => signals[name] !== null)
+    }));
+}
+
+module.exports = {
+  RRF_K,
+  fuseRankings
+};
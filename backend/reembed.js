@@ -0,0 +1,105 @@
+const {
+  getDocumentChunks,
+  listDocumentsToReembed,
+  countDocumentsToReembed,
+  updateDocumentEmbeddings
+} = require('./database');
+const { generateEmbedding, embedDocumentText, EMBEDDING_MODEL } = require('./rag-service');
+const { createJob, getJob, getJobResult } = require('./job-queue');
+
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+const REEMBED_BATCH_SIZE = Number(process.env.REEMBED_BATCH_SIZE || 20);
+// Stop the job (it can be resumed) when the embedding model keeps failing, e.g. Ollama is down
+const REEMBED_MAX_CONSECUTIVE_FAILURES = 3;
+
+// Last re-embed job started by this process
+let reembedJobId = null;
+
+/**
+ * Re-embed a document and its stored chunks with the active embedding model.
+ * Only the vectors change: extracted text, chunks, pages and summary are kept.
+ * @param {Object} document - Row of documents (id, extracted_text)
+ */
+async function reembedDocument(document) {
+  const chunks = await getDocumentChunks(document.id);
+  const { embedding, windowCount } = await embedDocumentText(document.extracted_text);
+  const chunkEmbeddings = [];
+  for (const chunk of chunks) {
+    chunkEmbeddings.push({ chunk_index: chunk.chunk_index, embedding: await generateEmbedding(chunk.chunk_text) });
+  }
+  await updateDocumentEmbeddings(document.id, { embedding, windowCount, chunks: chunkEmbeddings, model: EMBEDDING_MODEL });
+}
+
+/**
+ * Job task: re-embed every document stored under another model, in id order.
+ * Converted documents are no longer selected, so a stopped job resumes where it was when restarted.
+ */
+async function reembedAllDocuments(reportProgress) {
+  const total = await countDocumentsToReembed(EMBEDDING_MODEL);
+  const failed = [];
+  let processed = 0;
+  let consecutiveFailures = 0;
+  let lastId = 0;
+  reportProgress({ status: 'reembedding', current: 0, total, message: `0/${total} documents re-embedded` });
+
+  for (;;) {
+    const batch = await listDocumentsToReembed(EMBEDDING_MODEL, lastId, REEMBED_BATCH_SIZE);
+    if (batch.length === 0) break;
+
+    for (const document of batch) {
+      lastId = document.id;
+      try {
+        await reembedDocument(document);
+        consecutiveFailures = 0;
+      } catch (error) {
+        console.error(`❌ Failed to re-embed document ${document.id}:`, error.message);
+        failed.push({ id: document.id, filename: document.filename, error: error.message });
+        consecutiveFailures++;
+        if (consecutiveFailures >= REEMBED_MAX_CONSECUTIVE_FAILURES) {
+          throw new Error(`Re-embedding stopped after ${consecutiveFailures} consecutive failures: ${error.message}`);
+        }
+      }
+      processed++;
+      reportProgress({
+        status: 'reembedding',
+        current: processed,
+        total: Math.max(total, processed),
+        message: `${processed - failed.length}/${total} documents re-embedded`
+      });
+    }
+  }
+
+  return { embedding_model: EMBEDDING_MODEL, processed, reembedded: processed - failed.length, failed };
+}
+
+/**
+ * Start the re-embed job, unless one is already running
+ * @returns {{ job: Object, started: boolean }}
+ */
+function startReembedJob() {
+  const current = getReembedJob();
+  if (current && current.status !== 'done' && current.status !== 'failed') {
+    return { job: current, started: false };
+  }
+  // Outside the analysis queue: it can take hours and must not hold up uploads
+  const job = createJob('reembed', reembedAllDocuments, { embedding_model: EMBEDDING_MODEL }, { queued: false });
+  reembedJobId = job.id;
+  return { job, started: true };
+}
+
+/**
+ * Public view of the last re-embed job (with its result once done), or null
+ */
+function getReembedJob() {
+  const job = reembedJobId ? getJob(reembedJobId) : null;
+  if (!job) return null;
+  return job.status === 'done' ? { ...job, result: getJobResult(job.id) } : job;
+}
+
+module.exports = {
+  reembedDocument,
+  startReembedJob,
+  getReembedJob
+};
@@ -3,7 +3,6 @@ const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const pdfParse = require('pdf-parse');
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const tesseract = require('node-tesseract-ocr');
@@ -12,15 +11,70 @@ const { execFile } = require('child_process');
 const sharp = require('sharp');
 
 // RAG system imports
-const { testConnection, insertDocument } = require('./database');
-const { processDocumentWithRAG, getRagStatus } = require('./rag-service');
+const {
+  testConnection,
+  getDocumentById,
+  DOCUMENT_SORT_COLUMNS,
+  listDocuments,
+  updateDocument,
+  deleteDocument,
+  createConversation,
+  getConversationById,
+  listConversations,
+  insertMessage,
+  insertMessages,
+  getConversationMessages,
+  loadIndexVectors,
+  getIndexWatermark,
+  countDocumentsByEmbeddingModel,
+  countDocumentsToReembed
+} = require('./database');
+const { initVectorIndex } = require('./vector-index');
+const {
+  processDocumentWithRAG,
+  storeDocument,
+  getRagStatus,
+  EMBEDDING_MODEL,
+  REUSE_POLICIES,
+  DEFAULT_REUSE_POLICY
+} = require('./rag-service');
+const { createJob, getJob, getJobResult } = require('./job-queue');
+const { startReembedJob, getReembedJob } = require('./reembed');
+const { countPoisonedDocuments, startRepairJob, getRepairJob } = require('./summary-repair');
+const {
+  SETTING_DEFINITIONS,
+  validateSetting,
+  getSettingsDetails,
+  getEffectiveSettings,
+  updateSettings,
+  getSettingsAudit
+} = require('./rag-settings');
+const { fuseRankings } = require('./rank-fusion');
+const { parseStructuredSummary, validateStructuredSummary } = require('./summary-format');
+const { LLM_FAILURE_MESSAGES, LlmError, isLlmError, toLlmError, describeLlmError } = require('./llm-errors');
+const { OLLAMA_HOST, isOllamaCircuitOpen, getOllamaStatus } = require('./ollama-client');
+const { LLM_PROVIDER, getLlmProvider } = require('./llm-providers');
+const {
+  retrieveDocumentPassages,
+  retrieveCorpusPassages,
+  buildCitations,
+  buildSources
+} = require('./document-qa');
+const {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  getLanguageName,
+  detectLanguage,
+  getTesseractLanguage
+} = require('./languages');
 
 const app = express();
 
 // Configure request timeout to prevent aborted requests
 app.use((req, res, next) => {
   // Set request timeout to 10 minutes for analyze endpoint
-  if (req.path === '/analyze') {
+  if (req.path === '/analyze' || req.path === '/analyze/stream') {
     req.setTimeout(600000, () => {
       console.log('⚠️ Request timeout for /analyze endpoint');
       if (!res.headersSent) {
@@ -37,7 +91,6 @@ app.use(express.json());
 const upload = multer({ storage: multer.memoryStorage() });
 
 // Use configurable Ollama host (falls back to docker service name)
-const OLLAMA_HOST = process.env.OLLAMA_HOST || 'http://ollama:11434';
 const SUMMARY_CHUNK_CHARS = Number(process.env.SUMMARY_CHUNK_CHARS || 4000);  // Increased for better efficiency
 const SUMMARY_MAX_CHUNKS = Number(process.env.SUMMARY_MAX_CHUNKS || 4);    // Reduced max chunks
 const OCR_MAX_PAGES = Number(process.env.OCR_MAX_PAGES || 8);
@@ -45,10 +98,12 @@ const OCR_LANGS = process.env.OCR_LANGS || 'fra+eng';
 const OCR_PSM = String(process.env.OCR_PSM || '6');
 const OCR_DPI = Number(process.env.OCR_DPI || 300);
 const OCR_MIN_TEXT_CHARS = Number(process.env.OCR_MIN_TEXT_CHARS || 80);
+const OUTPUT_FORMATS = ['text', 'json'];
+const ANALYZE_SYNC_MAX_BYTES = Number(process.env.ANALYZE_SYNC_MAX_BYTES || 10 * 1024 * 1024); // larger files must use mode=async
 
 // Build a structured summary prompt for consistent, concise output
 function buildPdfSummaryPrompt({ language, textSnippet, instruction }) {
-  const lang = language || 'fr';
+  const lang = getLanguageName(language);
   const baseInstruction = instruction || '';
   return (
     `Tu es un assistant expert en résumés de documents.
@@ -63,6 +118,7 @@ Contraintes:
 - Pas de préambule, pas d'explications sur ta méthode
 - Pas de contenu hors sujet, pas de balises supplémentaires
 - Style clair et professionnel
+- Toute la réponse en ${lang}, même si le contexte additionnel ou le contenu sont dans une autre langue
 
 ${baseInstruction ? `Contexte additionnel:\n${baseInstruction}\n` : ''}
 Contenu à résumer (extrait):\n${textSnippet}`
@@ -70,7 +126,7 @@ Contenu à résumer (extrait):\n${textSnippet}`
 }
 
 function buildImageSummaryPrompt({ language, basePrompt }) {
-  const lang = language || 'fr';
+  const lang = getLanguageName(language);
   const instruction = basePrompt || '';
   return (
     `Tu es un expert en description et synthèse d'images.
@@ -85,12 +141,80 @@ Contraintes:
 - Pas de préambule
 - Pas de spéculation non justifiée
 - Style factuel et concis
+- Toute la réponse en ${lang}, même si la consigne est dans une autre langue
 
 ${instruction ? `Consigne:\n${instruction}\n` : ''}
 Décris l'image et produis ensuite la synthèse avec les sections ci-dessus.`
   );
 }
 
+// Build the prompt updating the summary of a similar document with the sentences that changed
+// in the new document (delta mode: amounts, dates or parties of a new version of a contract...)
+function buildSummaryPatchPrompt({ language, summary, delta }) {
+  const lang = getLanguageName(language);
+  const listSentences = sentences => sentences.length > 0 ? sentences.map(sentence => `- ${sentence}`).join('\n') : '(aucun)';
+  return (
+    `Tu mets à jour le résumé d'un document à partir du résumé d'une version très proche.
+Réponds uniquement en ${lang}, au même format que le résumé existant:
+
+Titre:
+Résumé (3-6 phrases):
+Points clés (puces courtes):
+Conclusions / Recommandations:
+
+Contraintes:
+- Reprends le résumé existant et corrige uniquement ce que les modifications changent (montants, dates, noms, durées, clauses...)
+- Supprime du résumé les informations qui ne figurent plus dans le document
+- N'ajoute aucune information absente du résumé existant ou des passages ajoutés
+- Pas de préambule, pas d'explication des changements
+
+Résumé existant:
+${summary}
+
+Passages supprimés (présents seulement dans l'ancienne version):
+${listSentences(delta.removed)}
+
+Passages ajoutés (présents seulement dans le nouveau document):
+${listSentences(delta.added)}`
+  );
+}
+
+// Build a question answering prompt restricted to numbered passages of a document
+// (and to the previous messages when the question is part of a conversation).
+// With withFilenames, each passage is labelled with its source file (corpus-wide questions).
+function buildAnswerPrompt({ language, question, passages, sourceLabel, history = [], withFilenames = false }) {
+  const lang = getLanguageName(language);
+  const conversation = history
+    .map(message => `${message.role === 'user' ? 'Utilisateur' : 'Assistant'}: ${message.content}`)
+    .join('\n\n');
+  const excerpts = passages
+    .map((passage, index) => {
+      let location;
+      if (passage.page_start === null || passage.page_start === undefined) {
+        location = 'résumé';
+      } else if (passage.page_start === passage.page_end) {
+        location = `page ${passage.page_start}`;
+      } else {
+        location = `pages ${passage.page_start}-${passage.page_end}`;
+      }
+      const source = withFilenames ? `${passage.filename}, ${location}` : location;
+      return `[${index + 1}] (${source})\n${passage.text}`;
+    })
+    .join('\n\n');
+  return (
+    `Tu es un assistant qui répond à des questions sur des documents.
+Réponds uniquement en ${lang}, à partir des extraits numérotés ci-dessous.
+
+Contraintes:
+- N'utilise aucune information absente des extraits${history.length > 0 ? " ou de l'historique de la conversation" : ''}
+- Cite les extraits utilisés avec leur numéro entre crochets, par exemple [1] ou [2][3]
+- Si les extraits ne permettent pas de répondre, dis-le clairement
+- Réponse concise, sans préambule
+
+${passages.length > 0 ? `Extraits${sourceLabel ? ` de ${sourceLabel}` : ''}:\n${excerpts}\n\n` : ''}${conversation ? `Historique de la conversation:\n${conversation}\n\n` : ''}Question: ${question}`
+  );
+}
+
 // ----------------------------
 // Text utilities and pipeline
 // ----------------------------
@@ -108,6 +232,40 @@ function normalizeExtractedText(raw) {
   return text;
 }
 
+// Same text layout as pdf-parse's default page renderer (new line when the baseline changes)
+function renderPdfPage(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then((textContent) => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
+/**
+ * Extract the text of a PDF, keeping the text of each page (used to give RAG chunks a page range)
+ * @returns {Promise<{pdfData: Object, text: string, pages: string[]}>}
+ */
+async function extractPdfText(buffer) {
+  const pages = [];
+  // pdf-parse renders pages sequentially, so pushing keeps page order
+  const pdfData = await pdfParse(buffer, {
+    pagerender: (pageData) => renderPdfPage(pageData).then((text) => {
+      pages.push(text);
+      return text;
+    })
+  });
+  return {
+    pdfData,
+    text: normalizeExtractedText(pdfData.text),
+    pages: pages.map(normalizeExtractedText)
+  };
+}
+
 function splitIntoSentenceChunks(text, maxChars) {
   if (text.length <= maxChars) return [text];
   const sentences = text.split(/(?<=[.!?])\s+/);
@@ -134,18 +292,18 @@ function splitIntoSentenceChunks(text, maxChars) {
   return chunks;
 }
 
-async function summarizeChunk(model, text, instruction) {
+async function summarizeChunk(model, text, instruction, { onToken, language = DEFAULT_LANGUAGE } = {}) {
   console.log(`\n=== SUMMARIZE CHUNK ===`);
   console.log(`Chunk length: ${text.length} characters`);
   console.log(`Chunk preview: ${text.slice(0, 200)}...`);
   
-  const prompt = buildPdfSummaryPrompt({ language: 'fr', textSnippet: text, instruction });
+  const prompt = buildPdfSummaryPrompt({ language, textSnippet: text, instruction });
   
   console.log(`\n=== PROMPT SENT TO OLLAMA ===`);
   console.log(prompt);
   console.log(`=== END PROMPT ===\n`);
   
-  const result = await generateText(model, prompt);
+  const result = await generateText(model, prompt, { onToken });
   
   console.log(`\n=== OLLAMA RESPONSE ===`);
   console.log(result);
@@ -154,7 +312,7 @@ async function summarizeChunk(model, text, instruction) {
   return result;
 }
 
-async function summarizeLongText(model, fullText, instruction) {
+async function summarizeLongText(model, fullText, instruction, { onProgress = () => {}, onToken, language = DEFAULT_LANGUAGE } = {}) {
   console.log(`\n=== SUMMARIZE LONG TEXT ===`);
   console.log(`Full text length: ${fullText.length} characters`);
   console.log(`Full text preview: ${fullText.slice(0, 300)}...`);
@@ -163,31 +321,38 @@ async function summarizeLongText(model, fullText, instruction) {
   console.log(`Split into ${chunks.length} chunks`);
   
   if (chunks.length === 1) {
-    return summarizeChunk(model, chunks[0], instruction);
+    onProgress({ status: 'summarizing', phase: 'chunk', current: 1, total: 1, message: 'summarizing chunk 1/1' });
+    try {
+      return await summarizeChunk(model, chunks[0], instruction, { onToken, language });
+    } catch (chunkError) {
+      throw toLlmError(chunkError, { stage: 'chunk 1/1', model });
+    }
   }
   
   const partials = [];
   for (const [index, chunk] of chunks.entries()) {
     console.log(`\nProcessing chunk ${index + 1}/${chunks.length}`);
+    onProgress({ status: 'summarizing', phase: 'chunk', current: index + 1, total: chunks.length, message: `summarizing chunk ${index + 1}/${chunks.length}` });
     try {
       const chunkStartTime = Date.now();
-      const summary = await summarizeChunk(model, chunk, instruction);
+      const summary = await summarizeChunk(model, chunk, instruction, { onToken, language });
       const chunkProcessTime = Date.now() - chunkStartTime;
       console.log(`✅ Chunk ${index + 1} processed in ${chunkProcessTime}ms`);
       partials.push(summary);
     } catch (chunkError) {
       console.error(`❌ Error processing chunk ${index + 1}:`, chunkError.message);
-      // Add a fallback summary for failed chunks
-      partials.push(`[Chunk ${index + 1} - Processing Error: ${chunk.slice(0, 200)}...]`);
+      // A summary missing a chunk would be stored as if it were complete: fail the whole summary
+      throw toLlmError(chunkError, { stage: `chunk ${index + 1}/${chunks.length}`, model });
     }
   }
   
   console.log(`\n=== MERGING PARTIAL SUMMARIES ===`);
   console.log(`Number of partial summaries: ${partials.length}`);
+  onProgress({ status: 'summarizing', phase: 'merge', current: chunks.length, total: chunks.length, message: 'merging partial summaries' });
   
   const mergePrompt =
     `Tu vas fusionner des résumés partiels en un résumé final unique, clair et non redondant.\n\n` +
-    `Contraintes:\n- En français\n- Titre, Résumé (3–6 phrases), Points clés (puces), Conclusions / Recommandations\n` +
+    `Contraintes:\n- En ${getLanguageName(language)}\n- Titre, Résumé (3–6 phrases), Points clés (puces), Conclusions / Recommandations\n` +
     `- Supprime les doublons et harmonise le style\n\n` +
     `Résumés partiels:\n${partials.map((p, i) => `\n[Partie ${i + 1}]\n${p}`).join('\n')}\n\n` +
     `Produit uniquement le résumé final (sans explication).`;
@@ -196,7 +361,12 @@ async function summarizeLongText(model, fullText, instruction) {
   console.log(mergePrompt);
   console.log(`=== END MERGE PROMPT ===\n`);
   
-  const finalResult = await generateText(model, mergePrompt);
+  let finalResult;
+  try {
+    finalResult = await generateText(model, mergePrompt, { onToken });
+  } catch (mergeError) {
+    throw toLlmError(mergeError, { stage: 'merge', model });
+  }
   
   console.log(`\n=== FINAL MERGED RESPONSE ===`);
   console.log(finalResult);
@@ -205,6 +375,40 @@ async function summarizeLongText(model, fullText, instruction) {
   return finalResult;
 }
 
+/**
+ * Patch the summary of a similar document with the differences of the new one (delta mode).
+ * Throws an LlmError, so that the caller can generate a full summary instead.
+ */
+async function patchSummary(model, summary, delta, { onProgress = () => {}, onToken, language = DEFAULT_LANGUAGE } = {}) {
+  console.log(`\n=== PATCH SIMILAR SUMMARY ===`);
+  console.log(`Removed sentences: ${delta.removed.length}, added sentences: ${delta.added.length}`);
+  onProgress({ status: 'summarizing', phase: 'patch', current: 1, total: 1, message: 'patching similar summary' });
+
+  const prompt = buildSummaryPatchPrompt({ language, summary, delta });
+  console.log(`\n=== PATCH PROMPT SENT TO OLLAMA ===`);
+  console.log(prompt);
+  console.log(`=== END PATCH PROMPT ===\n`);
+
+  let data;
+  try {
+    data = await getLlmProvider().generate(
+      { model, prompt, temperature: 0.2 },
+      { timeout: 300000, onToken, stage: 'patch' }
+    );
+  } catch (error) {
+    throw toLlmError(error, { stage: 'patch', model });
+  }
+  if (!data.response || !data.response.trim()) {
+    throw emptyResponseError('patch', model);
+  }
+  return data.response;
+}
+
+// A call that succeeded without text, named after the configured provider (LLM_PROVIDER)
+function emptyResponseError(stage, model) {
+  return new LlmError(`Empty response from ${getLlmProvider().name}`, { code: 'empty_response', stage, model });
+}
+
 // Preprocess images to speed up multimodal inference
 async function preprocessImageForVision(imageBuffer) {
   try {
@@ -220,64 +424,55 @@ async function preprocessImageForVision(imageBuffer) {
   }
 }
 
-async function generateText(model, prompt) {
+async function generateText(model, prompt, { onToken } = {}) {
   try {
     console.log(`\n[Generate] model=${model}`);
     console.log("Prompt preview:", prompt.slice(0, 200));
     
-    const res = await axios.post(
-      `${OLLAMA_HOST}/api/generate`,
-      { model, prompt, stream: false, options: { temperature: 0.2 } },
-      { 
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 300000  // 5 minutes timeout for text generation
-      }
+    const data = await getLlmProvider().generate(
+      { model, prompt, temperature: 0.2 },
+      { timeout: 300000, onToken }  // 5 minutes timeout for text generation
     );
     
-    console.log(`Ollama response status: ${res.status}`);
-    console.log(`Ollama response data keys: ${Object.keys(res.data)}`);
-    
-    return res.data.response || "Pas de réponse d'Ollama.";
+    if (!data.response || !data.response.trim()) {
+      throw emptyResponseError('generate', model);
+    }
+    return data.response;
   } catch (err) {
     console.error('Erreur Generate:', err.message);
     if (err.response) {
       console.error('Error response data:', err.response.data);
       console.error('Error response status:', err.response.status);
     }
-    return "Erreur lors de l'appel à Ollama.";
+    throw toLlmError(err, { stage: 'generate', model });
   }
 }
 
 /**
- * Appelle l'endpoint /api/generate d'Ollama pour décrire une image.
+ * Décrit une image avec le fournisseur LLM configuré (LLM_PROVIDER, voir llm-providers.js).
  * - model: 'llava'
  * - prompt: instruction (depuis .env)
- * - images: [base64]
+ * - base64Image: image prétraitée
+ * onToken reçoit la description au fil de sa génération. Avant de passer à IMG_FALLBACK_MODEL,
+ * onProgress reçoit une phase 'fallback' : le client repart d'un texte vide, la sortie partielle
+ * du modèle en échec ne se mélange pas à celle du modèle de secours.
  */
-async function describeImage(model, prompt, base64Image) {
+async function describeImage(model, prompt, base64Image, { onToken, onProgress = () => {} } = {}) {
   try {
-    const payload = { model, prompt, images: [base64Image], stream: false };
     console.log(`\n[Describe Image] model=${model}`);
     console.log("Prompt:", prompt.slice(0, 100));
     console.log("Image base64 length:", base64Image.length);
     
     console.log("Making request to Ollama...");
-    const res = await axios.post(
-      `${OLLAMA_HOST}/api/generate`,
-      { ...payload, options: { temperature: 0.2, num_predict: 120 } },
-      { 
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 180000
-      }
+    const data = await getLlmProvider().describeImage(
+      { model, prompt, image: base64Image, temperature: 0.2, maxTokens: 120 },
+      { timeout: 180000, onToken }
     );
     
-    console.log("Ollama response status:", res.status);
-    console.log("Ollama response keys:", Object.keys(res.data));
-    
-    if (res.data.response && res.data.response.trim().length > 0) {
-      console.log("Response preview:", res.data.response.slice(0, 200));
-      console.log("Full response length:", res.data.response.length);
-      return res.data.response;
+    if (data.response && data.response.trim().length > 0) {
+      console.log("Response preview:", data.response.slice(0, 200));
+      console.log("Full response length:", data.response.length);
+      return data.response;
     } else {
       console.log("Empty or missing response; attempting fallback vision model...");
       throw new Error('EMPTY_RESPONSE');
@@ -291,28 +486,36 @@ async function describeImage(model, prompt, base64Image) {
       const fallbackModel = process.env.IMG_FALLBACK_MODEL || 'moondream';
       if (model !== fallbackModel) {
         console.log(`Trying fallback model: ${fallbackModel}`);
-        const res2 = await axios.post(
-          `${OLLAMA_HOST}/api/generate`,
-          { model: fallbackModel, prompt, images: [base64Image], stream: false, options: { temperature: 0.2, num_predict: 160 } },
-          { headers: { 'Content-Type': 'application/json' }, timeout: 120000 }
+        onProgress({ status: 'describing', phase: 'fallback', current: 1, total: 1, message: `describing image with ${fallbackModel}` });
+        const data2 = await getLlmProvider().describeImage(
+          { model: fallbackModel, prompt, image: base64Image, temperature: 0.2, maxTokens: 160 },
+          { timeout: 120000, onToken }
         );
-        if (res2.data?.response && res2.data.response.trim().length > 0) {
-          console.log("Fallback model response preview:", res2.data.response.slice(0, 200));
-          return res2.data.response;
+        if (data2?.response && data2.response.trim().length > 0) {
+          console.log("Fallback model response preview:", data2.response.slice(0, 200));
+          return data2.response;
         }
       }
     } catch (e2) {
       console.error('Fallback model failed:', e2.message);
     }
 
-    return "Erreur lors de l'appel à Ollama pour l'image.";
+    throw err.message === 'EMPTY_RESPONSE'
+      ? emptyResponseError('describe', model)
+      : toLlmError(err, { stage: 'describe', model });
   }
 }
 
 /**
  * Extract text from PDF using OCR for scanned documents
+ * @param {Buffer} pdfBuffer
+ * @param {Object} [options]
+ * @param {number} [options.totalPages] - Page count from pdf-parse, used for progress reporting
+ * @param {Function} [options.onProgress] - Receives { status: 'ocr', current, total, message }
+ * @param {string} [options.langs] - Tesseract traineddata, e.g. 'fra+eng' (defaults to OCR_LANGS)
+ * @returns {Promise<{text: string, pages: string[]}>} Normalized text, and the text of each page
  */
-async function extractTextWithOCR(pdfBuffer) {
+async function extractTextWithOCR(pdfBuffer, { totalPages, onProgress = () => {}, langs = OCR_LANGS } = {}) {
   const tempDir = path.join(__dirname, 'uploads', 'temp');
   if (fs.existsSync(tempDir)) {
     fs.readdirSync(tempDir).forEach(f => fs.unlinkSync(path.join(tempDir, f)));
@@ -335,17 +538,20 @@ async function extractTextWithOCR(pdfBuffer) {
     });
     
     // Convert first few pages (limit to avoid long processing)
-    const maxPages = OCR_MAX_PAGES;
+    const maxPages = totalPages ? Math.min(totalPages, OCR_MAX_PAGES) : OCR_MAX_PAGES;
     let allText = '';
+    let pageTexts = [];
     const ocrConfig = {
-      lang: OCR_LANGS,
+      lang: langs,
       oem: 1,
       psm: Number(OCR_PSM),
     };
+    console.log(`OCR languages: ${langs}`);
     
     for (let pageNum = 1; pageNum <= maxPages; pageNum++) {
       try {
         console.log(`Processing page ${pageNum}...`);
+        onProgress({ status: 'ocr', current: pageNum, total: maxPages, message: `ocr page ${pageNum}/${maxPages}` });
         
         const result = await convert(pageNum, { responseType: "buffer" });
         
@@ -389,6 +595,7 @@ async function extractTextWithOCR(pdfBuffer) {
         }
         
         allText += bestText + '\n\n';
+        pageTexts.push(normalizeExtractedText(bestText));
         console.log(`Page ${pageNum} OCR completed, total text so far: ${allText.length} chars`);
         
       } catch (pageErr) {
@@ -420,26 +627,33 @@ async function extractTextWithOCR(pdfBuffer) {
         .sort();
       
       let fbText = '';
-      const ocrConfig = { lang: OCR_LANGS, oem: 1, psm: Number(OCR_PSM) };
+      const fbPageTexts = [];
+      const ocrConfig = { lang: langs, oem: 1, psm: Number(OCR_PSM) };
       
-      for (const f of files) {
+      for (const [index, f] of files.entries()) {
+        onProgress({ status: 'ocr', current: index + 1, total: files.length, message: `ocr page ${index + 1}/${files.length} (fallback)` });
         try {
           const img = fs.readFileSync(path.join(tempDir, f));
           const buf = await sharp(img).grayscale().normalize().threshold(170).toBuffer();
           const t = await tesseract.recognize(buf, ocrConfig);
           fbText += t + '\n\n';
+          fbPageTexts.push(normalizeExtractedText(t));
           console.log(`Fallback OCR for ${f}: ${t.length} characters`);
         } catch (e) {
           console.log(`Fallback OCR failed for ${f}:`, e.message);
         }
       }
       
-      normalized = normalizeExtractedText(fbText) || normalized;
+      const fbNormalized = normalizeExtractedText(fbText);
+      if (fbNormalized) {
+        normalized = fbNormalized;
+        pageTexts = fbPageTexts;
+      }
       console.log(`Fallback OCR result length: ${normalized.length} characters`);
       console.log(`Fallback OCR preview: ${normalized.slice(0, 300)}`);
     }
     
-    return normalized;
+    return { text: normalized, pages: pageTexts };
     
   } catch (err) {
     console.error('OCR Error:', err.message);
@@ -448,10 +662,10 @@ async function extractTextWithOCR(pdfBuffer) {
 }
 
 // OCR for a single image buffer (PNG/JPG)
-async function extractTextFromImageBuffer(imageBuffer) {
+async function extractTextFromImageBuffer(imageBuffer, langs = OCR_LANGS) {
   try {
     const ocrConfig = {
-      lang: OCR_LANGS,
+      lang: langs,
       oem: 1,
       psm: Number(OCR_PSM),
     };
@@ -471,6 +685,34 @@ async function extractTextFromImageBuffer(imageBuffer) {
   }
 }
 
+/**
+ * Run OCR, detect the document language from that first pass, and re-run tesseract with the
+ * matching traineddata when the detected language is not already part of OCR_LANGS.
+ * @param {Function} ocr - async (langs) => { text, pages }
+ * @returns {Promise<{text: string, pages: string[], detection: Object|null}>}
+ */
+async function ocrWithLanguageDetection(ocr) {
+  const firstPass = await ocr(OCR_LANGS);
+  const detection = detectLanguage(firstPass.text);
+  console.log(`🌐 Detected language after first OCR pass: ${detection ? `${detection.language} (${detection.confidence})` : 'unknown'}`);
+
+  const traineddata = detection && getTesseractLanguage(detection.language);
+  if (!traineddata || OCR_LANGS.split('+').includes(traineddata)) {
+    return { ...firstPass, detection };
+  }
+
+  console.log(`🌐 Re-running OCR with ${traineddata} traineddata...`);
+  try {
+    const secondPass = await ocr(traineddata);
+    if (secondPass.text.trim().length > 0) {
+      return { ...secondPass, detection: detectLanguage(secondPass.text) || detection };
+    }
+  } catch (err) {
+    console.error(`OCR with ${traineddata} failed, keeping first pass:`, err.message);
+  }
+  return { ...firstPass, detection };
+}
+
 /**
  * Check if PDF appears to be scanned (low text content ratio)
  */
@@ -506,8 +748,283 @@ app.get('/rag/status', async (req, res) => {
   }
 });
 
-// Search similar documents endpoint
+// Re-embed every document stored under another model than EMBEDDING_MODEL (background job)
+app.post('/rag/reembed', async (req, res) => {
+  try {
+    const remaining = await countDocumentsToReembed(EMBEDDING_MODEL);
+    const { job, started } = startReembedJob();
+    if (!started) {
+      return res.status(409).json({ error: "Une ré-indexation est déjà en cours.", job });
+    }
+    console.log(`🔁 Re-embed job ${job.id} started: ${remaining} documents to embed with ${EMBEDDING_MODEL}`);
+    res.status(202).json({ success: true, embedding_model: EMBEDDING_MODEL, remaining, job });
+  } catch (error) {
+    console.error('Error starting re-embed job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du lancement de la ré-indexation',
+      details: error.message
+    });
+  }
+});
+
+// Documents per embedding model and progress of the last re-embed job
+app.get('/rag/reembed', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      embedding_model: EMBEDDING_MODEL,
+      documents_by_model: await countDocumentsByEmbeddingModel(),
+      remaining: await countDocumentsToReembed(EMBEDDING_MODEL),
+      job: getReembedJob()
+    });
+  } catch (error) {
+    console.error('Error getting re-embed status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération de la ré-indexation',
+      details: error.message
+    });
+  }
+});
+
+// Regenerate a stored summary for the repair job (throws an LlmError when Ollama fails again)
+function regenerateStoredSummary(document) {
+  const instruction = process.env.PROMPT_PDF || process.env.PDF_PROMPT_PREFIX || '';
+  const model = process.env.MODEL_PDF || 'llama3.2:1b';
+  return summarizeLongText(model, document.extracted_text, instruction, { language: document.language || DEFAULT_LANGUAGE });
+}
+
+// Regenerate the summaries stored with an Ollama error message (background job)
+app.post('/rag/repair', async (req, res) => {
+  try {
+    const poisoned = await countPoisonedDocuments();
+    const { job, started } = startRepairJob(regenerateStoredSummary);
+    if (!started) {
+      return res.status(409).json({ error: "Une réparation est déjà en cours.", job });
+    }
+    console.log(`🩹 Repair job ${job.id} started: ${poisoned} summaries to regenerate`);
+    res.status(202).json({ success: true, poisoned, job });
+  } catch (error) {
+    console.error('Error starting repair job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors du lancement de la réparation',
+      details: error.message
+    });
+  }
+});
+
+// Number of poisoned summaries and progress of the last repair job
+app.get('/rag/repair', async (req, res) => {
+  try {
+    res.json({ success: true, poisoned: await countPoisonedDocuments(), job: getRepairJob() });
+  } catch (error) {
+    console.error('Error getting repair status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération de la réparation',
+      details: error.message
+    });
+  }
+});
+
+// Effective RAG settings with their allowed range, origin (database or default) and latest changes
+app.get('/rag/settings', async (req, res) => {
+  try {
+    const details = await getSettingsDetails();
+    const settings = {};
+    for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+      settings[key] = { ...details[key], ...definition };
+    }
+
+    let history = [];
+    try {
+      history = await getSettingsAudit();
+    } catch (auditError) {
+      console.error('⚠️ Failed to load settings history:', auditError.message);
+    }
+
+    res.json({ success: true, settings, history });
+  } catch (error) {
+    console.error('Error getting RAG settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des paramètres',
+      details: error.message
+    });
+  }
+});
+
+// Change RAG settings ({ similarity_threshold: 0.9, ... }); applied to the next requests without restart
+app.put('/rag/settings', async (req, res) => {
+  const changes = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({
+      error: `Aucun paramètre fourni (${Object.keys(SETTING_DEFINITIONS).join(', ')}).`
+    });
+  }
+  // The backend has no authentication: the client address is recorded, it does not identify a person
+  const changedBy = String(req.ip || 'unknown').slice(0, 100);
+
+  try {
+    const result = await updateSettings(changes, changedBy);
+    if (result.errors) {
+      return res.status(400).json({ error: result.errors.join(' '), errors: result.errors });
+    }
+    res.json({ success: true, changed: result.changed, settings: await getEffectiveSettings() });
+  } catch (error) {
+    console.error('Error updating RAG settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la mise à jour des paramètres',
+      details: error.message
+    });
+  }
+});
+
+const SEARCH_SNIPPET_CHARS = 300;
+const SEARCH_MAX_LIMIT = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+const HYBRID_CANDIDATES = Number(process.env.HYBRID_CANDIDATES || 50); // results taken from each signal before fusion
+
+/**
+ * Copy date_from / date_to into filters
+ * @returns {string|null} Error message when a date is not YYYY-MM-DD
+ */
+function parseDateFilters(source, filters) {
+  for (const key of ['date_from', 'date_to']) {
+    if (!source[key]) continue;
+    if (!DATE_PATTERN.test(String(source[key]))) {
+      return `Date invalide pour ${key} (format attendu : AAAA-MM-JJ).`;
+    }
+    filters[key] = String(source[key]);
+  }
+  return null;
+}
+
+/**
+ * Read text search parameters (query string or JSON body)
+ * @returns {{ query: string, mode: string, threshold: number, limit: number, filters: Object }|{ error: string }}
+ */
+function parseTextSearchParams(source) {
+  const query = typeof source.q === 'string' ? source.q.trim() : '';
+  if (!query) {
+    return { error: "Requête de recherche manquante (q)." };
+  }
+  const mode = source.mode || 'vector';
+  if (!SEARCH_MODES.includes(mode)) {
+    return { error: `Mode de recherche non supporté (${SEARCH_MODES.join(', ')}).` };
+  }
+
+  const filters = {};
+  if (source.language) {
+    filters.language = normalizeLanguage(source.language);
+    if (!filters.language) return { error: UNSUPPORTED_LANGUAGE_ERROR };
+  }
+  if (source.mime_type) filters.mime_type = String(source.mime_type);
+  const dateError = parseDateFilters(source, filters);
+  if (dateError) return { error: dateError };
+
+  const threshold = source.threshold !== undefined ? parseFloat(source.threshold) : 0.3;
+  const limit = Math.min(parseInt(source.limit) || 10, SEARCH_MAX_LIMIT);
+  return { query, mode, threshold: Number.isNaN(threshold) ? 0.3 : threshold, limit, filters };
+}
+
+/**
+ * Hybrid search: vector and FULLTEXT rankings fused with reciprocal rank fusion.
+ * The keyword side is skipped (keywordError set) when the FULLTEXT query fails, e.g. before migration 005.
+ */
+async function runHybridSearch(query, embedding, { threshold, limit, filters }) {
+  const { findSimilarDocuments, searchDocumentsFulltext } = require('./database');
+
+  const vectorResults = await findSimilarDocuments(embedding, threshold, HYBRID_CANDIDATES, filters);
+  let keywordResults = [];
+  let keywordError = null;
+  try {
+    keywordResults = await searchDocumentsFulltext(query, HYBRID_CANDIDATES, filters);
+  } catch (error) {
+    console.error('⚠️ Keyword search failed, using vector results only:', error.message);
+    keywordError = error.message;
+  }
+  console.log(`🔀 Fusing ${vectorResults.length} vector and ${keywordResults.length} keyword results`);
+
+  const results = fuseRankings(
+    { vector: vectorResults, keyword: keywordResults },
+    { scoreFields: { vector: 'similarity_score', keyword: 'keyword_score' }, limit }
+  );
+  return { results, keywordError };
+}
+
+// Embed a text query and rank stored documents against it
+async function runTextSearch(params, res) {
+  const parsed = parseTextSearchParams(params);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const { query, mode, threshold, limit, filters } = parsed;
+
+  try {
+    console.log(`\n=== TEXT SIMILARITY SEARCH (${mode}) ===`);
+    console.log(`Query: ${query}`);
+    console.log(`Filters: ${JSON.stringify(filters)}`);
+
+    const { generateEmbedding } = require('./rag-service');
+    const { findSimilarDocuments, searchDocumentsFulltext } = require('./database');
+
+    let embedding = null;
+    let similarDocuments;
+    let keywordError = null;
+    if (mode === 'keyword') {
+      similarDocuments = (await searchDocumentsFulltext(query, limit, filters))
+        .map(doc => ({ ...doc, keyword_score: Number(doc.keyword_score) }));
+    } else {
+      embedding = await generateEmbedding(query);
+      if (mode === 'hybrid') {
+        ({ results: similarDocuments, keywordError } = await runHybridSearch(query, embedding, { threshold, limit, filters }));
+      } else {
+        similarDocuments = await findSimilarDocuments(embedding, threshold, limit, filters);
+      }
+    }
+
+    res.json({
+      success: true,
+      query_info: {
+        q: query,
+        mode,
+        embedding_dimension: embedding ? embedding.length : null,
+        threshold,
+        limit,
+        filters,
+        ...(keywordError ? { keyword_error: keywordError } : {})
+      },
+      results: similarDocuments.map(({ ai_summary: aiSummary, ...doc }) => ({
+        ...doc,
+        summary_snippet: (aiSummary || '').slice(0, SEARCH_SNIPPET_CHARS)
+      })),
+      total_results: similarDocuments.length
+    });
+  } catch (error) {
+    console.error('Error in text similarity search:', error);
+    if (isCircuitOpenError(error)) return sendOllamaUnavailable(res, error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la recherche de similarité',
+      details: error.message
+    });
+  }
+}
+
+// Search documents from a text query: GET /rag/search?q=...
+app.get('/rag/search', (req, res) => runTextSearch(req.query, res));
+
+// Search similar documents endpoint (uploaded file, or JSON body { q, ...filters } for a text query)
 app.post('/rag/search', upload.single('file'), async (req, res) => {
+  if (!req.file && req.is('application/json')) {
+    return runTextSearch(req.body, res);
+  }
+
   try {
     const { file } = req;
     if (!file) {
@@ -520,22 +1037,33 @@ app.post('/rag/search', upload.single('file'), async (req, res) => {
     }
     
     let extractedText = '';
+    let pages = [];
+    let detection = null;
     
     // Extract text based on file type
     if (file.mimetype === 'application/pdf') {
-      const pdfData = await pdfParse(file.buffer);
-      extractedText = normalizeExtractedText(pdfData.text);
+      const { pdfData, text, pages: pdfPages } = await extractPdfText(file.buffer);
+      extractedText = text;
+      pages = pdfPages;
       
       if (process.env.USE_OCR === 'true' && isScannedPDF(extractedText, file.buffer.length)) {
         try {
-          extractedText = await extractTextWithOCR(file.buffer);
+          ({ text: extractedText, pages, detection } = await ocrWithLanguageDetection(
+            (langs) => extractTextWithOCR(file.buffer, { totalPages: pdfData.numpages, langs })
+          ));
         } catch (ocrErr) {
           console.error("OCR failed during search:", ocrErr.message);
         }
       }
     } else if (file.mimetype.startsWith('image/')) {
-      extractedText = await extractTextFromImageBuffer(file.buffer);
+      ({ text: extractedText, pages, detection } = await ocrWithLanguageDetection(
+        async (langs) => {
+          const text = await extractTextFromImageBuffer(file.buffer, langs);
+          return { text, pages: [text] };
+        }
+      ));
     }
+    if (!detection) detection = detectLanguage(extractedText);
     
     if (!extractedText || extractedText.trim().length < 50) {
       return res.status(400).json({ 
@@ -544,21 +1072,29 @@ app.post('/rag/search', upload.single('file'), async (req, res) => {
     }
     
     // Generate embedding and search
-    const { generateEmbedding } = require('./rag-service');
+    const { embedDocumentText, embedChunks } = require('./rag-service');
     const { findSimilarDocuments } = require('./database');
     
-    const embedding = await generateEmbedding(extractedText);
+    const { embedding, windowCount } = await embedDocumentText(extractedText);
+    const chunks = await embedChunks(pages.length > 0 ? pages : [extractedText]);
     const threshold = parseFloat(req.body.threshold) || 0.5; // Lower threshold for search
     const limit = parseInt(req.body.limit) || 10;
+    // Optional: only return documents summarized in this language
+    const language = req.body.language ? normalizeLanguage(req.body.language) : null;
     
-    const similarDocuments = await findSimilarDocuments(embedding, threshold, limit);
+    const similarDocuments = await findSimilarDocuments(
+      embedding, threshold, limit, { language }, chunks.map(chunk => chunk.embedding)
+    );
     
     res.json({
       success: true,
       query_info: {
         filename: file.originalname,
         text_length: extractedText.length,
-        embedding_dimension: embedding.length
+        embedding_dimension: embedding.length,
+        embedding_windows: windowCount,
+        chunk_count: chunks.length,
+        detected_language: detection ? detection.language : null
       },
       results: similarDocuments,
       total_results: similarDocuments.length
@@ -566,6 +1102,7 @@ app.post('/rag/search', upload.single('file'), async (req, res) => {
     
   } catch (error) {
     console.error('Error in similarity search:', error);
+    if (isCircuitOpenError(error)) return sendOllamaUnavailable(res, error);
     res.status(500).json({
       success: false,
       error: 'Erreur lors de la recherche de similarité',
@@ -574,729 +1111,1114 @@ app.post('/rag/search', upload.single('file'), async (req, res) => {
   }
 });
 
-app.post('/analyze', upload.single('file'), async (req, res) => {
+// An Ollama call was refused because the circuit is open (see ollama-client.js)
+function isCircuitOpenError(error) {
+  return isLlmError(error) && error.code === 'circuit_open';
+}
+
+// Seconds before Ollama calls are accepted again (from the error, else from the breaker state)
+function getRetryAfterSeconds(error = null) {
+  const retryAfterMs = error && error.retryAfterMs != null ? error.retryAfterMs : getOllamaStatus().retry_after_seconds * 1000;
+  return Math.max(1, Math.ceil(retryAfterMs / 1000));
+}
+
+// 503 while Ollama is considered down: the client should retry after Retry-After (seconds)
+function sendOllamaUnavailable(res, error = null) {
+  const retryAfter = getRetryAfterSeconds(error);
+  res.setHeader('Retry-After', retryAfter);
+  return res.status(503).json({ error: "Ollama est indisponible, réessayez plus tard.", retry_after: retryAfter });
+}
+
+// Resolve the optional `language` parameter: 'auto' when absent (use the detected language),
+// null when it is not supported
+function resolveRequestLanguage(value) {
+  if (!value || value === 'auto') return 'auto';
+  return normalizeLanguage(value);
+}
+
+const UNSUPPORTED_LANGUAGE_ERROR = `Langue non supportée (${Object.keys(SUPPORTED_LANGUAGES).join(', ')}).`;
+
+/**
+ * Read the optional `reuse` policy and `threshold` override of an analysis request
+ * @returns {{ reuse: string, threshold: number|null }|{ error: string }}
+ */
+function parseReuseOptions(body) {
+  const reuse = body.reuse || DEFAULT_REUSE_POLICY;
+  if (!REUSE_POLICIES.includes(reuse)) {
+    return { error: `Politique de réutilisation non supportée (${REUSE_POLICIES.join(', ')}).` };
+  }
+  if (body.threshold === undefined || body.threshold === '') {
+    return { reuse, threshold: null };
+  }
+  const { value, error } = validateSetting('similarity_threshold', body.threshold);
+  if (error) {
+    return { error: "Seuil de similarité invalide (nombre entre 0 et 1)." };
+  }
+  return { reuse, threshold: value };
+}
+
+// Check whether the requested action can be run on this file type
+function isSupportedAnalysis(file, action) {
+  return (action === 'resumer' && file.mimetype === 'application/pdf') ||
+    (action === 'decrire' && file.mimetype.startsWith('image/'));
+}
+
+/**
+ * Store an analyzed PDF with the summary generated for it (embeddings come from the RAG lookup)
+ * @returns {Promise<number|null>} New document id, null when not stored
+ */
+async function storeAnalyzedDocument(file, text, summary, ragResult, { language, detection }) {
+  // The RAG lookup failed before embedding the text: a row without vectors would never be found
+  if (ragResult.error || !ragResult.embedding) {
+    console.log(`⚠️ No embedding for this document${ragResult.error ? ` (RAG error: ${ragResult.error})` : ''}, not storing it`);
+    return null;
+  }
   try {
-    const { file, body: { action } } = req;
-    if (!file || !action) {
-      return res.status(400).json({ error: "Fichier ou action manquant." });
-    }
-    
-    console.log(`\n=== NEW ANALYSIS REQUEST ===`);
-    console.log(`File: ${file.originalname}, Size: ${file.size} bytes, Type: ${file.mimetype}`);
-    console.log(`Action: ${action}`);
-    
-    let aiResponse = '';
-    let ragResult = null; // Declare at function scope to be available everywhere
-
-    if (action === 'resumer' && file.mimetype === 'application/pdf') {
-      // 1) Try regular PDF text extraction first
-      console.log('\n=== PDF TEXT EXTRACTION ===');
-      const pdfData = await pdfParse(file.buffer);
-      let text = normalizeExtractedText(pdfData.text);
-      
-      console.log(`Extracted text length: ${text.length} characters`);
-      console.log(`Extracted text preview: ${text.slice(0, 500)}`);
-      console.log(`Text extraction complete`);
+    const documentId = await storeDocument({
+      filename: file.originalname,
+      file_hash: ragResult.fileHash,
+      file_size: file.size,
+      mime_type: file.mimetype,
+      extracted_text: text,
+      ai_summary: summary,
+      embedding: ragResult.embedding,
+      embedding_model: EMBEDDING_MODEL,
+      embedding_windows: ragResult.embeddingWindows,
+      language,
+      detected_language: detection ? detection.language : null
+    }, ragResult.chunks || []);
+    console.log(`✅ New document stored in RAG database with ID: ${documentId}`);
+    return documentId;
+  } catch (storeError) {
+    console.error('⚠️ Failed to store document in RAG database:', storeError.message);
+    // Continue anyway - the response generation was successful
+    return null;
+  }
+}
 
-      // 2) Check if PDF appears to be scanned and use OCR if needed
-      const useOCR = process.env.USE_OCR === 'true';
-      console.log(`USE_OCR setting: ${useOCR}`);
-      
-      if (useOCR && isScannedPDF(text, file.buffer.length)) {
-        console.log("PDF appears to be scanned, switching to OCR...");
-        try {
-          text = await extractTextWithOCR(file.buffer);
-          console.log("OCR extraction completed");
-        } catch (ocrErr) {
-          console.error("OCR failed, using original text:", ocrErr.message);
-          // Keep original text if OCR fails
-        }
-      } else {
-        console.log("PDF appears to be text-based, using direct extraction");
+/**
+ * Run the analysis pipeline (extraction, OCR, RAG lookup, AI generation) for one file.
+ * Shared by the synchronous /analyze route and the background job runner.
+ * @param {Object} file - Uploaded file object (multer memory storage)
+ * @param {string} action - 'resumer' (PDF) or 'decrire' (image)
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.onProgress] - Receives { status, phase, current, total, message } updates
+ * @param {Function} [hooks.onToken] - Receives generated tokens as Ollama streams them
+ * @param {string|null} [hooks.language] - Output language code (see languages.js); null = language detected in the document
+ * @param {string} [hooks.reuse] - Reuse policy of cached summaries (fresh, exact-only, similar)
+ * @param {number|null} [hooks.threshold] - Similarity threshold override for this request
+ * @returns {Promise<{aiResponse: string, ragResult: Object, languageInfo: Object}>}
+ */
+async function runAnalysis(file, action, {
+  onProgress = () => {},
+  onToken,
+  language: requestedLanguage = null,
+  reuse = DEFAULT_REUSE_POLICY,
+  threshold = null
+} = {}) {
+  let aiResponse = '';
+  let ragResult = null; // Declare at function scope to be available everywhere
+  let detection = null;
+  let language = requestedLanguage || DEFAULT_LANGUAGE;
+
+  // An LLM failure gives an error message instead of a summary: it is reported, never stored
+  let llmError = null;
+  const handleLlmFailure = (error, message) => {
+    // An open circuit is not a result: the route answers 503
+    if (!isLlmError(error) || error.code === 'circuit_open') throw error;
+    console.error(`❌ LLM failure at ${error.stage} (${error.code}): ${error.message}`);
+    llmError = error;
+    return message;
+  };
+
+  if (action === 'resumer' && file.mimetype === 'application/pdf') {
+    // 1) Try regular PDF text extraction first
+    console.log('\n=== PDF TEXT EXTRACTION ===');
+    onProgress({ status: 'extracting', message: 'extracting text' });
+    const { pdfData, ...extracted } = await extractPdfText(file.buffer);
+    let { text, pages } = extracted;
+
+    console.log(`Extracted text length: ${text.length} characters`);
+    console.log(`Extracted text preview: ${text.slice(0, 500)}`);
+    console.log(`Text extraction complete`);
+
+    // 2) Check if PDF appears to be scanned and use OCR if needed
+    const useOCR = process.env.USE_OCR === 'true';
+    console.log(`USE_OCR setting: ${useOCR}`);
+
+    if (useOCR && isScannedPDF(text, file.buffer.length)) {
+      console.log("PDF appears to be scanned, switching to OCR...");
+      try {
+        ({ text, pages, detection } = await ocrWithLanguageDetection(
+          (langs) => extractTextWithOCR(file.buffer, { totalPages: pdfData.numpages, onProgress, langs })
+        ));
+        console.log("OCR extraction completed");
+      } catch (ocrErr) {
+        console.error("OCR failed, using original text:", ocrErr.message);
+        // Keep original text if OCR fails
       }
+    } else {
+      console.log("PDF appears to be text-based, using direct extraction");
+    }
 
-      // 3) RAG Processing - Check for similar documents first
-      console.log('\n=== RAG PROCESSING ===');
-      let generateNewSummary = true;
-      
-      // First attempt to process with RAG (OPTIMIZED: Check similarity first, generate AI only if needed)
-      if (process.env.RAG_ENABLED === 'true') {
-        try {
-          console.log('🚀 OPTIMIZED RAG: Checking for existing documents first...');
-          
-          // Process with RAG system WITHOUT generating AI summary yet (pass null for now)
-          ragResult = await processDocumentWithRAG(file, text, null);
-          
-          if (ragResult.isFromRAG) {
-            // ✅ FAST PATH: Found exact or similar match, use cached result
-            aiResponse = ragResult.aiSummary;
-            generateNewSummary = false;
-            
-            console.log(`\n=== ⚡ FAST RAG RESULT ===`);
-            console.log(`✅ Used cached result (NO LLM needed!)`);
-            if (ragResult.exactMatch) {
-              console.log(`📄 Exact document match found`);
-            } else if (ragResult.bestMatch) {
-              console.log(`🎯 Similar document found: ${ragResult.bestMatch.filename}`);
-              console.log(`📊 Similarity score: ${ragResult.bestMatch.similarity_score.toFixed(4)}`);
-            }
-            console.log(`📝 Summary source: RAG database (INSTANT)`);
+    // Default output language: the one detected in the document
+    if (!detection) detection = detectLanguage(text);
+    language = requestedLanguage || (detection && detection.language) || DEFAULT_LANGUAGE;
+    console.log(`🌐 Detected language: ${detection ? detection.language : 'unknown'}, output language: ${language}`);
+
+    // 3) RAG Processing - Check for similar documents first
+    console.log('\n=== RAG PROCESSING ===');
+    const instruction = process.env.PROMPT_PDF || process.env.PDF_PROMPT_PREFIX || '';
+    const model = process.env.MODEL_PDF || 'llama3.2:1b';
+    const summarize = () => summarizeLongText(model, text, instruction, { onProgress, onToken, language })
+      .catch(error => handleLlmFailure(error, LLM_FAILURE_MESSAGES.text));
+
+    // First attempt to process with RAG (OPTIMIZED: Check similarity first, generate AI only if needed)
+    if (process.env.RAG_ENABLED === 'true') {
+      try {
+        console.log('🚀 OPTIMIZED RAG: Checking for existing documents first...');
+
+        // Process with RAG system WITHOUT generating AI summary yet (pass null for now)
+        ragResult = await processDocumentWithRAG(file, text, null, {
+          language,
+          detectedLanguage: detection ? detection.language : null,
+          pages,
+          reuse,
+          threshold
+        });
+
+        if (ragResult.needsDeltaPatch) {
+          // 🧩 DELTA PATH: Similar document, its summary is patched with what changed in this one
+          console.log(`\n=== 🧩 PATCHING SUMMARY OF ${(ragResult.bestMatch || ragResult.matchedDocument).filename} ===`);
+          try {
+            aiResponse = await patchSummary(model, ragResult.aiSummary, ragResult.delta, { onProgress, onToken, language });
+          } catch (patchError) {
+            if (isCircuitOpenError(patchError)) throw patchError;
+            console.error('⚠️ Summary patch failed, generating a new summary:', patchError.message);
+            aiResponse = await summarize();
+            ragResult.isFromRAG = false;
+            ragResult.summaryMode = 'regenerated';
+          }
+          ragResult.aiSummary = aiResponse;
+          if (llmError) {
+            console.log('⚠️ Summary generation failed, document not stored');
           } else {
-            // 🐌 SLOW PATH: No similar documents, need to generate new AI summary
-            console.log(`\n=== 🐌 GENERATING NEW AI SUMMARY (No similar docs found) ===`);
-            const instruction = process.env.PROMPT_PDF || process.env.PDF_PROMPT_PREFIX || '';
-            console.log(`Using PDF instruction: ${instruction}`);
-            
-            aiResponse = await summarizeLongText(process.env.MODEL_PDF || 'llama3.2:1b', text, instruction);
-            
-            // Store the new document with its generated summary
-            ragResult.aiSummary = aiResponse;
-            console.log(`📝 Generated new AI summary, storing in RAG database...`);
-            
-            // Store the document now that we have the AI summary
-            try {
-              const documentId = await insertDocument({
-                filename: file.originalname,
-                file_hash: ragResult.fileHash,
-                file_size: file.size,
-                mime_type: file.mimetype,
-                extracted_text: text,
-                ai_summary: aiResponse,
-                embedding: ragResult.embedding,
-                embedding_model: process.env.EMBEDDING_MODEL || 'nomic-embed-text'
-              });
-              console.log(`✅ New document stored in RAG database with ID: ${documentId}`);
-            } catch (storeError) {
-              console.error('⚠️ Failed to store document in RAG database:', storeError.message);
-              // Continue anyway - the response generation was successful
-            }
+            ragResult.newDocumentId = await storeAnalyzedDocument(file, text, aiResponse, ragResult, { language, detection });
           }
-        } catch (ragError) {
-          console.error('RAG processing failed, falling back to normal processing:', ragError.message);
-          
-          // Fallback to normal processing
-          const instruction = process.env.PROMPT_PDF || process.env.PDF_PROMPT_PREFIX || '';
-          aiResponse = await summarizeLongText(process.env.MODEL_PDF || 'llama3.2:1b', text, instruction);
-          
-          // Initialize ragResult for failed RAG case
-          ragResult = {
-            isFromRAG: false,
-            aiSummary: aiResponse,
-            similarDocuments: [],
-            exactMatch: false,
-            error: ragError.message
-          };
-        }
-      } else {
-        // Normal processing without RAG
-      const instruction = process.env.PROMPT_PDF || process.env.PDF_PROMPT_PREFIX || '';
-      console.log(`Using PDF instruction: ${instruction}`);
-      
-      aiResponse = await summarizeLongText(process.env.MODEL_PDF || 'llama3.2:1b', text, instruction);
-        
-        // Initialize ragResult for non-RAG case
+        } else if (ragResult.isFromRAG) {
+          // ✅ FAST PATH: Found exact or similar match, use cached result
+          aiResponse = ragResult.aiSummary;
+
+          console.log(`\n=== ⚡ FAST RAG RESULT ===`);
+          console.log(`✅ Used cached result (NO LLM needed!)`);
+          if (ragResult.exactMatch) {
+            console.log(`📄 Exact document match found`);
+          } else if (ragResult.matchedDocument) {
+            console.log(`📄 ${ragResult.matchType} match: ${ragResult.matchedDocument.filename}`);
+          } else if (ragResult.bestMatch) {
+            console.log(`🎯 Similar document found: ${ragResult.bestMatch.filename}`);
+            console.log(`📊 Similarity score: ${ragResult.bestMatch.similarity_score.toFixed(4)}`);
+          }
+          console.log(`📝 Summary source: RAG database (INSTANT)`);
+        } else {
+          // 🐌 SLOW PATH: No similar documents, need to generate new AI summary
+          console.log(`\n=== 🐌 GENERATING NEW AI SUMMARY (No similar docs found) ===`);
+          console.log(`Using PDF instruction: ${instruction}`);
+
+          aiResponse = await summarize();
+
+          // Store the new document with its generated summary
+          ragResult.aiSummary = aiResponse;
+          console.log(`📝 Generated new AI summary, storing in RAG database...`);
+
+          // Store the document now that we have the AI summary (unless this file is already stored)
+          if (ragResult.existingDocumentId) {
+            console.log(`📄 File already stored as document ${ragResult.existingDocumentId}, not storing it again`);
+          } else if (llmError) {
+            console.log('⚠️ Summary generation failed, document not stored');
+          } else {
+            ragResult.newDocumentId = await storeAnalyzedDocument(file, text, aiResponse, ragResult, { language, detection });
+          }
+        }
+      } catch (ragError) {
+        if (isCircuitOpenError(ragError)) throw ragError;
+        console.error('RAG processing failed, falling back to normal processing:', ragError.message);
+
+        // Fallback to normal processing
+        aiResponse = await summarize();
+
+        // Initialize ragResult for failed RAG case
         ragResult = {
           isFromRAG: false,
           aiSummary: aiResponse,
           similarDocuments: [],
-          exactMatch: false
+          exactMatch: false,
+          error: ragError.message,
+          reusePolicy: reuse,
+          similarityThreshold: threshold
         };
       }
+    } else {
+      // Normal processing without RAG
+      console.log(`Using PDF instruction: ${instruction}`);
 
-    } else if (action === 'decrire' && file.mimetype.startsWith('image/')) {
-      // Initialize ragResult for image processing (images don't use RAG yet)
-      ragResult = {
-        isFromRAG: false,
-        aiSummary: '',
-        similarDocuments: [],
-        exactMatch: false
-      };
-      
-      // Toujours décrire l'image avec le modèle vision (LLaVA)
-      console.log('\n=== IMAGE ANALYSIS ===');
-      
-      const base64 = await preprocessImageForVision(file.buffer);
-      console.log(`Image preprocessed, base64 length: ${base64.length}`);
-      
-      const structuredPrompt = buildImageSummaryPrompt({ language: 'fr', basePrompt: process.env.PROMPT_IMG || process.env.IMAGE_PROMPT_PREFIX || '' });
-      
-      console.log(`\n=== IMAGE PROMPT SENT TO OLLAMA ===`);
-      console.log(structuredPrompt);
-      console.log(`=== END IMAGE PROMPT ===\n`);
-      
-      aiResponse = await describeImage(
-        process.env.MODEL_IMG || 'llava:7b',
-        structuredPrompt,
-        base64
-      );
-      
-      // Update ragResult with the actual response
-      ragResult.aiSummary = aiResponse;
+      aiResponse = await summarize();
 
-    } else {
-      // Initialize ragResult for unsupported file types before returning
+      // Initialize ragResult for non-RAG case
       ragResult = {
         isFromRAG: false,
-        aiSummary: '',
+        aiSummary: aiResponse,
         similarDocuments: [],
-        exactMatch: false,
-        error: 'Unsupported file type'
+        exactMatch: false
       };
-      
-      console.log(`Unsupported file type or action: ${file.mimetype} / ${action}`);
-      return res.status(400).json({ error: "Type de fichier non supporté pour cette action." });
     }
 
-    // 4) Prepare response with RAG metadata
-    console.log(`\n=== PREPARING RESPONSE ===`);
-    console.log(`Response length: ${aiResponse.length} characters`);
-    
-    // Create response content with RAG information
-    let responseContent = aiResponse;
-    if (ragResult && process.env.RAG_ENABLED === 'true') {
-      const ragInfo = `
+  } else if (action === 'decrire' && file.mimetype.startsWith('image/')) {
+    // Initialize ragResult for image processing (images don't use RAG yet)
+    ragResult = {
+      isFromRAG: false,
+      aiSummary: '',
+      similarDocuments: [],
+      exactMatch: false
+    };
+
+    // Toujours décrire l'image avec le modèle vision (LLaVA)
+    console.log('\n=== IMAGE ANALYSIS ===');
+    onProgress({ status: 'describing', message: 'describing image' });
+
+    const base64 = await preprocessImageForVision(file.buffer);
+    console.log(`Image preprocessed, base64 length: ${base64.length}`);
+
+    const structuredPrompt = buildImageSummaryPrompt({ language, basePrompt: process.env.PROMPT_IMG || process.env.IMAGE_PROMPT_PREFIX || '' });
+
+    console.log(`\n=== IMAGE PROMPT SENT TO OLLAMA ===`);
+    console.log(structuredPrompt);
+    console.log(`=== END IMAGE PROMPT ===\n`);
+
+    aiResponse = await describeImage(
+      process.env.MODEL_IMG || 'llava:7b',
+      structuredPrompt,
+      base64,
+      { onToken, onProgress }
+    ).catch(error => handleLlmFailure(error, LLM_FAILURE_MESSAGES.image));
+
+    // Update ragResult with the actual response
+    ragResult.aiSummary = aiResponse;
+
+  } else {
+    throw new Error(`Unsupported file type or action: ${file.mimetype} / ${action}`);
+  }
+
+  const languageInfo = {
+    detected: detection ? detection.language : null,
+    detection_confidence: detection ? detection.confidence : null,
+    output: language
+  };
+  if (llmError) ragResult.llmError = describeLlmError(llmError);
+
+  return { aiResponse, ragResult, languageInfo };
+}
+
+// Prepend the RAG banner to the AI response (when RAG is enabled)
+function buildResponseContent(aiResponse, ragResult) {
+  let responseContent = aiResponse;
+  if (ragResult && process.env.RAG_ENABLED === 'true') {
+    const ragInfo = `
 === RAG SYSTEM INFO ===
 Source: ${ragResult.isFromRAG ? 'RAG Database' : 'New AI Analysis'}
+${ragResult.reusePolicy ? `Reuse Policy: ${ragResult.reusePolicy} (threshold ${ragResult.similarityThreshold})` : ''}
 ${ragResult.exactMatch ? 'Type: Exact document match' : ''}
+${ragResult.matchType === 'text_hash' ? 'Type: Same text (different file)' : ''}
+${ragResult.matchType === 'near_duplicate' ? `Type: Near-duplicate text (SimHash distance ${ragResult.nearDuplicateDistance})` : ''}
 ${ragResult.bestMatch ? `Type: Similar document (${ragResult.bestMatch.filename})` : ''}
 ${ragResult.bestMatch ? `Similarity Score: ${ragResult.bestMatch.similarity_score.toFixed(4)}` : ''}
-${ragResult.exactMatch ? 'Documents Found: 1 (Exact Match)' : 
+${ragResult.summaryMode === 'delta' && ragResult.delta && ragResult.delta.changedChars > 0 ? `Summary: patched (${ragResult.delta.removed.length} sentences removed, ${ragResult.delta.added.length} added)` : ''}
+${ragResult.exactMatch ? 'Documents Found: 1 (Exact Match)' :
   ragResult.similarDocuments ? `Similar Documents Found: ${ragResult.similarDocuments.length}` : 'Similar Documents Found: 0'}
 ${ragResult.matchedDocument ? `Reference Document ID: ${ragResult.matchedDocument.id}` : ''}
 ${ragResult.matchedDocument ? `Original Filename: ${ragResult.matchedDocument.filename}` : ''}
+${ragResult.llmError ? `Error: generation failed at ${ragResult.llmError.stage} (${ragResult.llmError.code}), result not stored` : ''}
 Generated: ${new Date().toISOString()}
 =========================
 
 `;
-      responseContent = ragInfo + aiResponse;
-    }
-    
-    // Add RAG headers to response
-    if (ragResult && process.env.RAG_ENABLED === 'true') {
-      res.setHeader('X-RAG-Used', ragResult.isFromRAG ? 'true' : 'false');
-      res.setHeader('X-RAG-Exact-Match', ragResult.exactMatch ? 'true' : 'false');
-      if (ragResult.bestMatch) {
-        res.setHeader('X-RAG-Similarity-Score', ragResult.bestMatch.similarity_score.toFixed(4));
-        res.setHeader('X-RAG-Reference-Document', ragResult.bestMatch.filename);
-      }
-      res.setHeader('X-RAG-Similar-Count', ragResult.similarDocuments ? ragResult.similarDocuments.length : 0);
-    }
-
-    // 🚀 OPTIMIZATION: For exact matches, send response directly (skip file I/O)
-    if (ragResult && ragResult.exactMatch && process.env.RAG_ENABLED === 'true') {
-      console.log(`⚡ FAST EXACT MATCH: Sending cached result directly (no file creation)`);
-      console.log(`=== ANALYSIS COMPLETE (INSTANT) ===\n`);
-      
-      // Set headers for direct text response
-      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="${action}_${Date.now()}_${file.originalname}.txt"`);
-      
-      // Send response directly
-      return res.send(responseContent);
-    }
-
-    // 🐌 STANDARD PATH: Create file for new content or similar matches
-    console.log(`📝 Creating temporary file for response...`);
-    const outDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(outDir)) fs.mkdirSync(outDir);
-    const timestamp = Date.now();
-    const outPath = path.join(outDir, `${action}_${timestamp}_${file.originalname}.txt`);
-    fs.writeFileSync(outPath, responseContent, 'utf-8');
-    
-    console.log(`Response saved to: ${outPath}`);
-    console.log(`=== ANALYSIS COMPLETE ===\n`);
+    responseContent = ragInfo + aiResponse;
+  }
+  return responseContent;
+}
 
-    res.download(outPath, err => {
-      fs.unlinkSync(outPath);
-      if (err) console.error('Erreur envoi fichier:', err);
-    });
+// RAG metadata as a plain object (SSE / JSON clients)
+// Id of the stored document holding this analysis (to ask questions about it), if any
+function getStoredDocumentId(ragResult) {
+  if (ragResult.newDocumentId) return ragResult.newDocumentId;
+  if (ragResult.existingDocumentId) return ragResult.existingDocumentId;
+  return ragResult.matchedDocument ? ragResult.matchedDocument.id : null;
+}
 
-  } catch (err) {
-    console.error('Erreur /analyze:', err);
-    console.error('Error stack:', err.stack);
-    res.status(500).json({ error: 'Erreur interne du serveur.' });
+function buildRagMetadata(ragResult) {
+  if (!ragResult || process.env.RAG_ENABLED !== 'true') {
+    return { enabled: false };
   }
-});
+  return {
+    enabled: true,
+    used: !!ragResult.isFromRAG,
+    exact_match: !!ragResult.exactMatch,
+    match_type: ragResult.matchType || null,
+    near_duplicate_distance: ragResult.nearDuplicateDistance ?? null,
+    llm_error: ragResult.llmError || null,
+    reuse: ragResult.reusePolicy || null,
+    summary_mode: ragResult.summaryMode || null,
+    delta: ragResult.delta
+      ? { removed: ragResult.delta.removed.length, added: ragResult.delta.added.length, change_ratio: ragResult.delta.changeRatio }
+      : null,
+    similarity_threshold: ragResult.similarityThreshold ?? null,
+    similar_count: ragResult.similarDocuments ? ragResult.similarDocuments.length : 0,
+    best_match: ragResult.bestMatch || null,
+    matched_document: ragResult.matchedDocument || null,
+    document_id: getStoredDocumentId(ragResult),
+    error: ragResult.error || null
+  };
+}
 
+/**
+ * Send an analysis result with the X-RAG-* headers: a downloadable .txt with the RAG banner,
+ * or { title, summary, key_points, conclusions, rag, language } when format is 'json'.
+ */
+function sendAnalysisResponse(res, { file, action, aiResponse, ragResult, languageInfo, format = 'text' }) {
+  // 4) Prepare response with RAG metadata
+  console.log(`\n=== PREPARING RESPONSE ===`);
+  console.log(`Response length: ${aiResponse.length} characters`);
+
+  // Add RAG headers to response
+  if (ragResult && process.env.RAG_ENABLED === 'true') {
+    res.setHeader('X-RAG-Used', ragResult.isFromRAG ? 'true' : 'false');
+    res.setHeader('X-RAG-Exact-Match', ragResult.exactMatch ? 'true' : 'false');
+    if (ragResult.matchType) res.setHeader('X-RAG-Match-Type', ragResult.matchType);
+    if (ragResult.summaryMode) res.setHeader('X-RAG-Summary-Mode', ragResult.summaryMode);
+    if (ragResult.reusePolicy) res.setHeader('X-RAG-Reuse-Policy', ragResult.reusePolicy);
+    if (ragResult.bestMatch) {
+      res.setHeader('X-RAG-Similarity-Score', ragResult.bestMatch.similarity_score.toFixed(4));
+      res.setHeader('X-RAG-Reference-Document', ragResult.bestMatch.filename);
+    } else if (ragResult.matchedDocument) {
+      res.setHeader('X-RAG-Reference-Document', ragResult.matchedDocument.filename);
+    }
+    if (ragResult.matchType === 'near_duplicate') {
+      res.setHeader('X-RAG-Near-Duplicate-Distance', ragResult.nearDuplicateDistance);
+    }
+    res.setHeader('X-RAG-Similar-Count', ragResult.similarDocuments ? ragResult.similarDocuments.length : 0);
+    const documentId = getStoredDocumentId(ragResult);
+    if (documentId) res.setHeader('X-RAG-Document-Id', documentId);
+  }
 
-// Duplicate startServer function removed - using the one at the end of the file
+  // Generation failed: the content is an error message (not stored)
+  if (ragResult && ragResult.llmError) {
+    res.setHeader('X-LLM-Error', ragResult.llmError.code);
+  }
 
-// At the end of server.js
-module.exports = app; // This makes it available for require()
+  // Language metadata (detected document language / summary language)
+  if (languageInfo) {
+    if (languageInfo.detected) res.setHeader('X-Detected-Language', languageInfo.detected);
+    res.setHeader('X-Output-Language', languageInfo.output);
+  }
 
+  // Structured output: parse the sections instead of shipping the text file
+  if (format === 'json') {
+    const structured = parseStructuredSummary(aiResponse);
+    const problems = validateStructuredSummary(structured);
+    if (problems.length > 0) {
+      console.warn(`⚠️ Model output could not be structured: ${problems.join(', ')}`);
+      return res.status(502).json({
+        error: "La réponse du modèle ne respecte pas le format attendu.",
+        details: problems,
+        raw: aiResponse,
+        rag: buildRagMetadata(ragResult),
+        language: languageInfo || null
+      });
+    }
+    console.log(`=== ANALYSIS COMPLETE (JSON) ===\n`);
+    return res.json({ ...structured, rag: buildRagMetadata(ragResult), language: languageInfo || null });
+  }
 
+  // Create response content with RAG information
+  const responseContent = buildResponseContent(aiResponse, ragResult);
 
+  // 🚀 OPTIMIZATION: For exact matches, send response directly (skip file I/O)
+  if (ragResult && ragResult.exactMatch && process.env.RAG_ENABLED === 'true') {
+    console.log(`⚡ FAST EXACT MATCH: Sending cached result directly (no file creation)`);
+    console.log(`=== ANALYSIS COMPLETE (INSTANT) ===\n`);
 
-// OCR for a single image buffer (PNG/JPG)
+    // Set headers for direct text response
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${action}_${Date.now()}_${file.originalname}.txt"`);
 
-async function extractTextFromImageBuffer(imageBuffer) {
+    // Send response directly
+    return res.send(responseContent);
+  }
 
-  try {
+  // 🐌 STANDARD PATH: Create file for new content or similar matches
+  console.log(`📝 Creating temporary file for response...`);
+  const outDir = path.join(__dirname, 'uploads');
+  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir);
+  const timestamp = Date.now();
+  const outPath = path.join(outDir, `${action}_${timestamp}_${file.originalname}.txt`);
+  fs.writeFileSync(outPath, responseContent, 'utf-8');
 
-    const ocrConfig = {
+  console.log(`Response saved to: ${outPath}`);
+  console.log(`=== ANALYSIS COMPLETE ===\n`);
 
-      lang: OCR_LANGS,
+  res.download(outPath, err => {
+    fs.unlinkSync(outPath);
+    if (err) console.error('Erreur envoi fichier:', err);
+  });
+}
 
-      oem: 1,
+app.post('/analyze', upload.single('file'), async (req, res) => {
+  try {
+    const { file, body: { action, mode, format = 'text' } } = req;
+    if (!file || !action) {
+      return res.status(400).json({ error: "Fichier ou action manquant." });
+    }
+    if (!OUTPUT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format non supporté (${OUTPUT_FORMATS.join(', ')}).` });
+    }
+    const language = resolveRequestLanguage(req.body.language);
+    if (!language) {
+      return res.status(400).json({ error: UNSUPPORTED_LANGUAGE_ERROR });
+    }
+    const outputLanguage = language === 'auto' ? null : language;
+    const reuseOptions = parseReuseOptions(req.body);
+    if (reuseOptions.error) {
+      return res.status(400).json({ error: reuseOptions.error });
+    }
+    const { reuse, threshold } = reuseOptions;
 
-      psm: Number(OCR_PSM),
+    console.log(`\n=== NEW ANALYSIS REQUEST ===`);
+    console.log(`File: ${file.originalname}, Size: ${file.size} bytes, Type: ${file.mimetype}`);
+    console.log(`Action: ${action}, Language: ${language}, Reuse: ${reuse}`);
 
-    };
+    if (!isSupportedAnalysis(file, action)) {
+      console.log(`Unsupported file type or action: ${file.mimetype} / ${action}`);
+      return res.status(400).json({ error: "Type de fichier non supporté pour cette action." });
+    }
+    // Fail fast instead of extracting / OCRing a file that cannot be summarized
+    if (isOllamaCircuitOpen()) {
+      return sendOllamaUnavailable(res);
+    }
 
-    const preprocessed = await sharp(imageBuffer)
+    // Job mode: answer immediately, the client polls GET /jobs/:id
+    if (mode === 'async') {
+      const job = createJob('analyze', async (reportProgress) => {
+        const result = await runAnalysis(file, action, {
+          onProgress: reportProgress,
+          language: outputLanguage,
+          reuse,
+          threshold
+        });
+        // The content would only be the error message: the job fails instead of serving it as a result
+        const { llmError } = result.ragResult;
+        if (llmError) throw new Error(`Generation failed at ${llmError.stage} (${llmError.code}): ${llmError.message}`);
+        return result;
+      }, {
+        filename: file.originalname,
+        action,
+        format,
+        language,
+        reuse
+      });
+      console.log(`📥 Analysis queued as job ${job.id}`);
+      return res.status(202)
+        .location(`/jobs/${job.id}`)
+        .json({ success: true, job_id: job.id, status: job.status, status_url: `/jobs/${job.id}` });
+    }
 
-      .grayscale()
+    if (file.size > ANALYZE_SYNC_MAX_BYTES) {
+      return res.status(413).json({
+        error: `Fichier trop volumineux pour une analyse synchrone (max ${ANALYZE_SYNC_MAX_BYTES} octets). Utilisez mode=async.`
+      });
+    }
 
-      .threshold(180)
+    const { aiResponse, ragResult, languageInfo } = await runAnalysis(file, action, { language: outputLanguage, reuse, threshold });
+    sendAnalysisResponse(res, { file, action, aiResponse, ragResult, languageInfo, format });
 
-      .toBuffer();
+  } catch (err) {
+    if (isCircuitOpenError(err)) {
+      console.error('Erreur /analyze: Ollama circuit open');
+      return sendOllamaUnavailable(res, err);
+    }
+    console.error('Erreur /analyze:', err);
+    console.error('Error stack:', err.stack);
+    res.status(500).json({ error: 'Erreur interne du serveur.' });
+  }
+});
 
-    const text = await tesseract.recognize(preprocessed, ocrConfig);
+// Streaming analysis: progress, phase markers and tokens are relayed as Server-Sent Events
+app.post('/analyze/stream', upload.single('file'), async (req, res) => {
+  const { file, body: { action } } = req;
+  if (!file || !action) {
+    return res.status(400).json({ error: "Fichier ou action manquant." });
+  }
+  if (!isSupportedAnalysis(file, action)) {
+    return res.status(400).json({ error: "Type de fichier non supporté pour cette action." });
+  }
+  const language = resolveRequestLanguage(req.body.language);
+  if (!language) {
+    return res.status(400).json({ error: UNSUPPORTED_LANGUAGE_ERROR });
+  }
+  const outputLanguage = language === 'auto' ? null : language;
+  const reuseOptions = parseReuseOptions(req.body);
+  if (reuseOptions.error) {
+    return res.status(400).json({ error: reuseOptions.error });
+  }
+  // Streaming holds the connection like a synchronous analysis: same size limit
+  if (file.size > ANALYZE_SYNC_MAX_BYTES) {
+    return res.status(413).json({
+      error: `Fichier trop volumineux pour une analyse en streaming (max ${ANALYZE_SYNC_MAX_BYTES} octets). Utilisez /analyze avec mode=async.`
+    });
+  }
+  if (isOllamaCircuitOpen()) {
+    return sendOllamaUnavailable(res);
+  }
 
-    
+  console.log(`\n=== NEW STREAMING ANALYSIS REQUEST ===`);
+  console.log(`File: ${file.originalname}, Size: ${file.size} bytes, Type: ${file.mimetype}`);
 
-    console.log(`Image OCR extracted: ${text.length} characters`);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // disable proxy buffering
+  res.flushHeaders();
 
-    console.log(`Image OCR preview: ${text.slice(0, 200)}`);
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
 
-    
+  const sendEvent = (event, data) => {
+    if (clientGone) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    return normalizeExtractedText(text);
+  try {
+    const { aiResponse, ragResult, languageInfo } = await runAnalysis(file, action, {
+      // summarizeLongText, patchSummary and describeImage updates carry a phase ('chunk', 'merge', 'patch' or 'fallback'):
+      // tokens that follow belong to it
+      onProgress: (update) => sendEvent(update.phase ? 'phase' : 'progress', update),
+      onToken: (text) => sendEvent('token', { text }),
+      language: outputLanguage,
+      reuse: reuseOptions.reuse,
+      threshold: reuseOptions.threshold
+    });
 
+    sendEvent('done', {
+      summary: aiResponse,
+      content: buildResponseContent(aiResponse, ragResult),
+      rag: buildRagMetadata(ragResult),
+      language: languageInfo
+    });
+    console.log(`=== STREAMING ANALYSIS COMPLETE ===\n`);
   } catch (err) {
+    console.error('Erreur /analyze/stream:', err);
+    if (isCircuitOpenError(err)) {
+      sendEvent('error', { error: "Ollama est indisponible, réessayez plus tard.", retry_after: getRetryAfterSeconds(err) });
+    } else {
+      sendEvent('error', { error: 'Erreur interne du serveur.' });
+    }
+  }
+  res.end();
+});
 
-    console.error('OCR Image Error:', err.message);
-
-    return '';
-
+// Analysis job status
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job introuvable." });
   }
+  res.json({ success: true, job });
+});
 
-}
+// Analysis job result (same payload as the synchronous /analyze response)
+app.get('/jobs/:id/result', (req, res) => {
+  const format = req.query.format;
+  if (format !== undefined && !OUTPUT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format non supporté (${OUTPUT_FORMATS.join(', ')}).` });
+  }
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job introuvable." });
+  }
+  if (job.status === 'failed') {
+    return res.status(500).json({ error: "Le job a échoué.", details: job.error, job });
+  }
+  if (job.status !== 'done') {
+    return res.status(409).json({ error: "Le job n'est pas encore terminé.", job });
+  }
+  if (job.type !== 'analyze') {
+    return res.json({ success: true, job, result: getJobResult(job.id) });
+  }
 
+  const { aiResponse, ragResult, languageInfo } = getJobResult(job.id);
+  sendAnalysisResponse(res, {
+    file: { originalname: job.filename },
+    action: job.action,
+    aiResponse,
+    ragResult,
+    languageInfo,
+    format: format || job.format
+  });
+});
 
+const LIBRARY_MAX_PAGE_SIZE = 100;
+const MAX_DOCUMENT_TAGS = 20;
+const MAX_TAG_CHARS = 50;
 
 /**
-
- * Check if PDF appears to be scanned (low text content ratio)
-
+ * Read document library list parameters (query string)
+ * @returns {{ page: number, page_size: number, sort: string, order: string, filters: Object }|{ error: string }}
  */
+function parseDocumentListParams(source) {
+  const sort = source.sort || 'created_at';
+  if (!DOCUMENT_SORT_COLUMNS.includes(sort)) {
+    return { error: `Tri non supporté (${DOCUMENT_SORT_COLUMNS.join(', ')}).` };
+  }
+  const order = String(source.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: "Ordre de tri invalide (asc, desc)." };
+  }
 
-function isScannedPDF(extractedText, fileSize) {
-
-  const textLength = extractedText.trim().length;
-
-  const textToSizeRatio = textLength / fileSize;
-
-  
-
-  // If ratio is very low or text is mostly whitespace/symbols, likely scanned
-
-  const hasLittleText = textLength < 100 || textToSizeRatio < 0.001;
-
-  const mostlyNonAlpha = (extractedText.match(/[a-zA-Z]/g) || []).length < textLength * 0.5;
-
-  
-
-  console.log(`PDF Analysis: textLength=${textLength}, fileSize=${fileSize}, ratio=${textToSizeRatio.toFixed(6)}`);
-
-  console.log(`Has little text: ${hasLittleText}, Mostly non-alpha: ${mostlyNonAlpha}`);
-
-  
-
-  return hasLittleText || mostlyNonAlpha;
+  const filters = {};
+  if (source.language) {
+    filters.language = normalizeLanguage(source.language);
+    if (!filters.language) return { error: UNSUPPORTED_LANGUAGE_ERROR };
+  }
+  if (source.mime_type) filters.mime_type = String(source.mime_type);
+  if (source.filename) filters.filename = String(source.filename);
+  const dateError = parseDateFilters(source, filters);
+  if (dateError) return { error: dateError };
+
+  const page = Math.max(parseInt(source.page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(source.page_size) || 20, 1), LIBRARY_MAX_PAGE_SIZE);
+  return { page, page_size: pageSize, sort, order, filters };
+}
 
+/**
+ * Read the editable fields of a PATCH /documents/:id body
+ * @returns {{ changes: Object }|{ error: string }}
+ */
+function parseDocumentChanges(body) {
+  const changes = {};
+  if (body.filename !== undefined) {
+    const filename = typeof body.filename === 'string' ? body.filename.trim() : '';
+    if (!filename || filename.length > 255) {
+      return { error: "Nom de fichier invalide (1 à 255 caractères)." };
+    }
+    changes.filename = filename;
+  }
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+      return { error: "Les étiquettes doivent être une liste de chaînes." };
+    }
+    const tags = [...new Set(body.tags.map(tag => tag.trim()).filter(Boolean))];
+    if (tags.length > MAX_DOCUMENT_TAGS || tags.some(tag => tag.length > MAX_TAG_CHARS)) {
+      return { error: `Trop d'étiquettes (${MAX_DOCUMENT_TAGS} au maximum, ${MAX_TAG_CHARS} caractères chacune).` };
+    }
+    changes.tags = tags;
+  }
+  if (body.ai_summary !== undefined) {
+    const summary = typeof body.ai_summary === 'string' ? body.ai_summary.trim() : '';
+    if (!summary) {
+      return { error: "Le résumé corrigé ne peut pas être vide." };
+    }
+    changes.ai_summary = summary;
+  }
+  if (Object.keys(changes).length === 0) {
+    return { error: "Aucune modification fournie (filename, tags, ai_summary)." };
+  }
+  return { changes };
 }
 
+// Document library: one page of stored documents (?page, page_size, sort, order, filters)
+app.get('/documents', async (req, res) => {
+  const parsed = parseDocumentListParams(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
 
-// RAG system status endpoint
-app.get('/rag/status', async (req, res) => {
   try {
-    const ragStatus = await getRagStatus();
+    const { documents, total } = await listDocuments(parsed);
     res.json({
       success: true,
-      rag_status: ragStatus
+      documents,
+      pagination: {
+        page: parsed.page,
+        page_size: parsed.page_size,
+        total,
+        total_pages: Math.ceil(total / parsed.page_size)
+      },
+      sort: parsed.sort,
+      order: parsed.order,
+      filters: parsed.filters
     });
   } catch (error) {
-    console.error('Error getting RAG status:', error);
+    console.error('Error listing documents:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get RAG status',
+      error: 'Erreur lors de la récupération des documents',
       details: error.message
     });
   }
 });
 
-// Search similar documents endpoint
-app.post('/rag/search', upload.single('file'), async (req, res) => {
+// A stored document with its extracted text and summary
+app.get('/documents/:id', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: "Identifiant de document invalide." });
+  }
   try {
-    const { file } = req;
-    if (!file) {
-      return res.status(400).json({ error: "Fichier manquant pour la recherche." });
-    }
-    
-    // Only support PDF and image files for similarity search
-    if (!file.mimetype.includes('pdf') && !file.mimetype.startsWith('image/')) {
-      return res.status(400).json({ error: "Type de fichier non supporté pour la recherche." });
-    }
-    
-    let extractedText = '';
-    
-    // Extract text based on file type
-    if (file.mimetype === 'application/pdf') {
-      const pdfData = await pdfParse(file.buffer);
-      extractedText = normalizeExtractedText(pdfData.text);
-      
-      if (process.env.USE_OCR === 'true' && isScannedPDF(extractedText, file.buffer.length)) {
-        try {
-          extractedText = await extractTextWithOCR(file.buffer);
-        } catch (ocrErr) {
-          console.error("OCR failed during search:", ocrErr.message);
-        }
-      }
-    } else if (file.mimetype.startsWith('image/')) {
-      extractedText = await extractTextFromImageBuffer(file.buffer);
+    const document = await getDocumentById(Number(req.params.id));
+    if (!document) {
+      return res.status(404).json({ error: "Document introuvable." });
     }
-    
-    if (!extractedText || extractedText.trim().length < 50) {
-      return res.status(400).json({ 
-        error: "Pas assez de texte extrait pour effectuer une recherche de similarité." 
-      });
-    }
-    
-    // Generate embedding and search
-    const { generateEmbedding } = require('./rag-service');
-    const { findSimilarDocuments } = require('./database');
-    
-    const embedding = await generateEmbedding(extractedText);
-    const threshold = parseFloat(req.body.threshold) || 0.5; // Lower threshold for search
-    const limit = parseInt(req.body.limit) || 10;
-    
-    const similarDocuments = await findSimilarDocuments(embedding, threshold, limit);
-    
-    res.json({
-      success: true,
-      query_info: {
-        filename: file.originalname,
-        text_length: extractedText.length,
-        embedding_dimension: embedding.length
-      },
-      results: similarDocuments,
-      total_results: similarDocuments.length
-    });
-    
+    res.json({ success: true, document });
   } catch (error) {
-    console.error('Error in similarity search:', error);
+    console.error('Error getting document:', error);
     res.status(500).json({
       success: false,
-      error: 'Erreur lors de la recherche de similarité',
+      error: 'Erreur lors de la récupération du document',
       details: error.message
     });
   }
 });
 
-
-app.post('/analyze', upload.single('file'), async (req, res) => {
+// Rename a document, set its tags or correct its summary
+app.patch('/documents/:id', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: "Identifiant de document invalide." });
+  }
+  const parsed = parseDocumentChanges(req.body || {});
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
 
   try {
-
-    const { file, body: { action } } = req;
-
-    if (!file || !action) {
-
-      return res.status(400).json({ error: "Fichier ou action manquant." });
-
+    const id = Number(req.params.id);
+    if (!(await getDocumentById(id))) {
+      return res.status(404).json({ error: "Document introuvable." });
     }
+    await updateDocument(id, parsed.changes);
+    console.log(`✏️ Document ${id} updated: ${Object.keys(parsed.changes).join(', ')}`);
+    res.json({ success: true, document: await getDocumentById(id) });
+  } catch (error) {
+    console.error('Error updating document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la mise à jour du document',
+      details: error.message
+    });
+  }
+});
 
-    
-
-    console.log(`\n=== NEW ANALYSIS REQUEST ===`);
-
-    console.log(`File: ${file.originalname}, Size: ${file.size} bytes, Type: ${file.mimetype}`);
-
-    console.log(`Action: ${action}`);
-
-    
-
-    let aiResponse = '';
-
-    let ragResult = null; // Declare at function scope to be available everywhere
-
-
-    if (action === 'resumer' && file.mimetype === 'application/pdf') {
-
-      // 1) Try regular PDF text extraction first
-
-      console.log('\n=== PDF TEXT EXTRACTION ===');
-
-      const pdfData = await pdfParse(file.buffer);
-
-      let text = normalizeExtractedText(pdfData.text);
-
-      
-
-      console.log(`Extracted text length: ${text.length} characters`);
-
-      console.log(`Extracted text preview: ${text.slice(0, 500)}`);
-
-      console.log(`Text extraction complete`);
-
-
-
-      // 2) Check if PDF appears to be scanned and use OCR if needed
-
-      const useOCR = process.env.USE_OCR === 'true';
-
-      console.log(`USE_OCR setting: ${useOCR}`);
-
-      
-
-      if (useOCR && isScannedPDF(text, file.buffer.length)) {
-
-        console.log("PDF appears to be scanned, switching to OCR...");
-
-        try {
-
-          text = await extractTextWithOCR(file.buffer);
-
-          console.log("OCR extraction completed");
-
-        } catch (ocrErr) {
-
-          console.error("OCR failed, using original text:", ocrErr.message);
-
-          // Keep original text if OCR fails
-
-        }
-
-      } else {
-
-        console.log("PDF appears to be text-based, using direct extraction");
-
-      }
-
-
-
-      // 3) RAG Processing - Check for similar documents first
-      console.log('\n=== RAG PROCESSING ===');
-      let generateNewSummary = true;
-      
-      // First attempt to process with RAG (will generate AI summary if needed)
-      if (process.env.RAG_ENABLED === 'true') {
-        try {
-          // Generate AI summary first for new documents
-          const instruction = process.env.PROMPT_PDF || process.env.PDF_PROMPT_PREFIX || '';
-          console.log(`Using PDF instruction: ${instruction}`);
-          
-          const newAiSummary = await summarizeLongText(process.env.MODEL_PDF || 'llama3.2:1b', text, instruction);
-          
-          // Process with RAG system
-          ragResult = await processDocumentWithRAG(file, text, newAiSummary);
-          
-          if (ragResult.isFromRAG) {
-            aiResponse = ragResult.aiSummary;
-            generateNewSummary = false;
-            
-            console.log(`\n=== RAG RESULT ===`);
-            console.log(`✅ Used RAG system result`);
-            if (ragResult.exactMatch) {
-              console.log(`📄 Exact document match found`);
-            } else if (ragResult.bestMatch) {
-              console.log(`🎯 Similar document found: ${ragResult.bestMatch.filename}`);
-              console.log(`📊 Similarity score: ${ragResult.bestMatch.similarity_score.toFixed(4)}`);
-            }
-            console.log(`📝 Summary source: RAG database`);
-          } else {
-            aiResponse = newAiSummary;
-            console.log(`📝 No similar documents found, using new AI summary`);
-          }
-        } catch (ragError) {
-          console.error('RAG processing failed, falling back to normal processing:', ragError.message);
-          
-          // Fallback to normal processing
-          const instruction = process.env.PROMPT_PDF || process.env.PDF_PROMPT_PREFIX || '';
-          aiResponse = await summarizeLongText(process.env.MODEL_PDF || 'llama3.2:1b', text, instruction);
-          
-          // Initialize ragResult for failed RAG case
-          ragResult = {
-            isFromRAG: false,
-            aiSummary: aiResponse,
-            similarDocuments: [],
-            exactMatch: false,
-            error: ragError.message
-          };
-        }
-      } else {
-        // Normal processing without RAG
-      const instruction = process.env.PROMPT_PDF || process.env.PDF_PROMPT_PREFIX || '';
-
-      console.log(`Using PDF instruction: ${instruction}`);
-
-      
-
-      aiResponse = await summarizeLongText(process.env.MODEL_PDF || 'llama3.2:1b', text, instruction);
-
-        
-        // Initialize ragResult for non-RAG case
-        ragResult = {
-          isFromRAG: false,
-          aiSummary: aiResponse,
-          similarDocuments: [],
-          exactMatch: false
-        };
-      }
-
-
-    } else if (action === 'decrire' && file.mimetype.startsWith('image/')) {
-
-      // Initialize ragResult for image processing (images don't use RAG yet)
-      ragResult = {
-        isFromRAG: false,
-        aiSummary: '',
-        similarDocuments: [],
-        exactMatch: false
-      };
-      
-      // Toujours décrire l'image avec le modèle vision (LLaVA)
-
-      console.log('\n=== IMAGE ANALYSIS ===');
-
-      
-
-      const base64 = await preprocessImageForVision(file.buffer);
-
-      console.log(`Image preprocessed, base64 length: ${base64.length}`);
-
-      
-
-      const structuredPrompt = buildImageSummaryPrompt({ language: 'fr', basePrompt: process.env.PROMPT_IMG || process.env.IMAGE_PROMPT_PREFIX || '' });
-
-      
-
-      console.log(`\n=== IMAGE PROMPT SENT TO OLLAMA ===`);
-
-      console.log(structuredPrompt);
-
-      console.log(`=== END IMAGE PROMPT ===\n`);
-
-      
-
-      aiResponse = await describeImage(
-
-        process.env.MODEL_IMG || 'llava:7b',
+// Delete a document, its chunks and its cached similarity results
+app.delete('/documents/:id', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: "Identifiant de document invalide." });
+  }
+  try {
+    const id = Number(req.params.id);
+    if (!(await deleteDocument(id))) {
+      return res.status(404).json({ error: "Document introuvable." });
+    }
+    console.log(`🗑️ Document ${id} deleted`);
+    res.json({ success: true, deleted_id: id });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la suppression du document',
+      details: error.message
+    });
+  }
+});
 
-        structuredPrompt,
+/**
+ * Answer a question from the most relevant passages of a document (if any) and the conversation history
+ * @param {Object} params
+ * @param {Object|null} params.document - Row of documents, null for a conversation without document
+ * @param {string} params.question
+ * @param {Array} [params.history] - Previous messages ({ role, content }), oldest first
+ * @param {string} params.language - Answer language
+ * @param {number} [params.topK] - Number of passages to retrieve (default: ask_top_k setting)
+ * @returns {Promise<{answer: string, citations: Array}>}
+ */
+async function answerQuestion({ document, question, history = [], language, topK }) {
+  // Follow-up questions ("et sa durée ?") are retrieved together with the previous question
+  const previousQuestion = [...history].reverse().find(message => message.role === 'user');
+  const retrievalQuery = previousQuestion ? `${previousQuestion.content}\n${question}` : question;
+
+  const passageCount = topK || (await getEffectiveSettings()).ask_top_k;
+  const passages = document ? await retrieveDocumentPassages(document, retrievalQuery, { topK: passageCount }) : [];
+  console.log(`📚 Retrieved ${passages.length} passages: ${passages.map(p => `#${p.chunk_index} (${p.similarity_score.toFixed(3)})`).join(', ')}`);
+
+  const prompt = buildAnswerPrompt({
+    language,
+    question,
+    passages,
+    history,
+    sourceLabel: document ? `"${document.filename}"` : null
+  });
+  const answer = await generateText(process.env.MODEL_PDF || 'llama3.2:1b', prompt);
+  return { answer, citations: buildCitations(passages, answer) };
+}
 
-        base64
+// Default answer language: the language of the document
+function resolveAnswerLanguage(requestedLanguage, document) {
+  if (requestedLanguage && requestedLanguage !== 'auto') return requestedLanguage;
+  if (!document) return DEFAULT_LANGUAGE;
+  return document.detected_language || document.language || DEFAULT_LANGUAGE;
+}
 
-      );
+// Question answering over one stored document, with chunk/page citations
+app.post('/documents/:id/ask', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: "Identifiant de document invalide." });
+  }
+  const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+  if (!question) {
+    return res.status(400).json({ error: "Question manquante." });
+  }
+  const requestedLanguage = resolveRequestLanguage(req.body.language);
+  if (!requestedLanguage) {
+    return res.status(400).json({ error: UNSUPPORTED_LANGUAGE_ERROR });
+  }
+  const topK = parseInt(req.body.top_k) || undefined;
 
-      
-      // Update ragResult with the actual response
-      ragResult.aiSummary = aiResponse;
+  try {
+    const document = await getDocumentById(Number(req.params.id));
+    if (!document) {
+      return res.status(404).json({ error: "Document introuvable." });
+    }
+    // Its vectors cannot be compared with the question's: converting it is the re-embed job's work
+    if (document.embedding_model && document.embedding_model !== EMBEDDING_MODEL) {
+      return res.status(409).json({
+        error: "Le document n'a pas encore été ré-indexé avec le modèle d'embedding actif (POST /rag/reembed).",
+        embedding_model: document.embedding_model
+      });
+    }
 
+    console.log(`\n=== DOCUMENT QUESTION (ID: ${document.id}) ===`);
+    console.log(`Question: ${question}`);
 
-    } else {
+    const language = resolveAnswerLanguage(requestedLanguage, document);
+    const { answer, citations } = await answerQuestion({ document, question, language, topK });
 
-      // Initialize ragResult for unsupported file types before returning
-      ragResult = {
-        isFromRAG: false,
-        aiSummary: '',
-        similarDocuments: [],
-        exactMatch: false,
-        error: 'Unsupported file type'
-      };
-      
-      console.log(`Unsupported file type or action: ${file.mimetype} / ${action}`);
+    res.json({
+      success: true,
+      document: { id: document.id, filename: document.filename },
+      question,
+      answer,
+      language,
+      citations
+    });
+  } catch (error) {
+    console.error('Error answering document question:', error);
+    if (isCircuitOpenError(error)) return sendOllamaUnavailable(res, error);
+    // 502: the model failed, the request itself was fine
+    res.status(isLlmError(error) ? 502 : 500).json({
+      success: false,
+      error: 'Erreur lors de la réponse à la question',
+      details: error.message
+    });
+  }
+});
 
-      return res.status(400).json({ error: "Type de fichier non supporté pour cette action." });
+// Question answering across every stored document, citing source files and document ids
+app.post('/rag/ask', async (req, res) => {
+  const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+  if (!question) {
+    return res.status(400).json({ error: "Question manquante." });
+  }
+  const requestedLanguage = resolveRequestLanguage(req.body.language);
+  if (!requestedLanguage) {
+    return res.status(400).json({ error: UNSUPPORTED_LANGUAGE_ERROR });
+  }
 
+  try {
+    const topK = parseInt(req.body.top_k) || (await getEffectiveSettings()).ask_top_k;
+    console.log(`\n=== CORPUS QUESTION ===`);
+    console.log(`Question: ${question}`);
+
+    const detection = detectLanguage(question);
+    const language = requestedLanguage !== 'auto'
+      ? requestedLanguage
+      : (detection && detection.language) || DEFAULT_LANGUAGE;
+
+    const passages = await retrieveCorpusPassages(question, { topK });
+    if (passages.length === 0) {
+      return res.json({
+        success: true,
+        question,
+        answer: "Aucun document n'est encore enregistré dans la base.",
+        language,
+        citations: [],
+        sources: []
+      });
     }
+    console.log(`📚 Retrieved ${passages.length} passages from ${new Set(passages.map(p => p.document_id)).size} documents`);
+
+    const prompt = buildAnswerPrompt({
+      language,
+      question,
+      passages,
+      sourceLabel: 'la base documentaire',
+      withFilenames: true
+    });
+    const answer = await generateText(process.env.MODEL_PDF || 'llama3.2:1b', prompt);
+    const citations = buildCitations(passages, answer);
 
+    res.json({
+      success: true,
+      question,
+      answer,
+      language,
+      citations,
+      sources: buildSources(citations)
+    });
+  } catch (error) {
+    console.error('Error answering corpus question:', error);
+    if (isCircuitOpenError(error)) return sendOllamaUnavailable(res, error);
+    res.status(isLlmError(error) ? 502 : 500).json({
+      success: false,
+      error: 'Erreur lors de la réponse à la question',
+      details: error.message
+    });
+  }
+});
 
+const CHAT_HISTORY_MESSAGES = Number(process.env.CHAT_HISTORY_MESSAGES || 10);
 
-    // 4) Prepare response with RAG metadata
-    console.log(`\n=== PREPARING RESPONSE ===`);
-    console.log(`Response length: ${aiResponse.length} characters`);
-
-    // Create response content with RAG information
-    let responseContent = aiResponse;
-    if (ragResult && process.env.RAG_ENABLED === 'true') {
-      const ragInfo = `
-=== RAG SYSTEM INFO ===
-Source: ${ragResult.isFromRAG ? 'RAG Database' : 'New AI Analysis'}
-${ragResult.exactMatch ? 'Type: Exact document match' : ''}
-${ragResult.bestMatch ? `Type: Similar document (${ragResult.bestMatch.filename})` : ''}
-${ragResult.bestMatch ? `Similarity Score: ${ragResult.bestMatch.similarity_score.toFixed(4)}` : ''}
-${ragResult.exactMatch ? 'Documents Found: 1 (Exact Match)' : 
-  ragResult.similarDocuments ? `Similar Documents Found: ${ragResult.similarDocuments.length}` : 'Similar Documents Found: 0'}
-${ragResult.matchedDocument ? `Reference Document ID: ${ragResult.matchedDocument.id}` : ''}
-${ragResult.matchedDocument ? `Original Filename: ${ragResult.matchedDocument.filename}` : ''}
-Generated: ${new Date().toISOString()}
-=========================
+// Start a conversation, optionally about a stored document; `summary` becomes the first assistant message
+app.post('/conversations', async (req, res) => {
+  const { document_id: documentId, title, summary } = req.body;
+  if (documentId !== undefined && documentId !== null && !/^\d+$/.test(String(documentId))) {
+    return res.status(400).json({ error: "Identifiant de document invalide." });
+  }
 
-`;
-      responseContent = ragInfo + aiResponse;
-    }
-    
-    // Add RAG headers to response
-    if (ragResult && process.env.RAG_ENABLED === 'true') {
-      res.setHeader('X-RAG-Used', ragResult.isFromRAG ? 'true' : 'false');
-      res.setHeader('X-RAG-Exact-Match', ragResult.exactMatch ? 'true' : 'false');
-      if (ragResult.bestMatch) {
-        res.setHeader('X-RAG-Similarity-Score', ragResult.bestMatch.similarity_score.toFixed(4));
-        res.setHeader('X-RAG-Reference-Document', ragResult.bestMatch.filename);
+  try {
+    let document = null;
+    if (documentId) {
+      document = await getDocumentById(Number(documentId));
+      if (!document) {
+        return res.status(404).json({ error: "Document introuvable." });
       }
-      res.setHeader('X-RAG-Similar-Count', ragResult.similarDocuments ? ragResult.similarDocuments.length : 0);
     }
 
-    // 🚀 OPTIMIZATION: For exact matches, send response directly (skip file I/O)
-    if (ragResult && ragResult.exactMatch && process.env.RAG_ENABLED === 'true') {
-      console.log(`⚡ FAST EXACT MATCH: Sending cached result directly (no file creation)`);
-      console.log(`=== ANALYSIS COMPLETE (INSTANT) ===\n`);
-      
-      // Set headers for direct text response
-      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-      res.setHeader('Content-Disposition', `attachment; filename="${action}_${Date.now()}_${file.originalname}.txt"`);
-      
-      // Send response directly
-      return res.send(responseContent);
+    const conversationId = await createConversation({
+      document_id: document ? document.id : null,
+      title: String(title || (document && document.filename) || 'Conversation').slice(0, 255)
+    });
+    if (typeof summary === 'string' && summary.trim()) {
+      await insertMessage(conversationId, { role: 'assistant', content: summary.trim() });
     }
+    console.log(`💬 Conversation ${conversationId} started${document ? ` for document ${document.id}` : ''}`);
 
-    // 🐌 STANDARD PATH: Create file for new content or similar matches
-    console.log(`📝 Creating temporary file for response...`);
-    const outDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(outDir)) fs.mkdirSync(outDir);
-
-    const timestamp = Date.now();
-    const outPath = path.join(outDir, `${action}_${timestamp}_${file.originalname}.txt`);
-    fs.writeFileSync(outPath, responseContent, 'utf-8');
-    
-    console.log(`Response saved to: ${outPath}`);
-    console.log(`=== ANALYSIS COMPLETE ===\n`);
+    res.status(201).json({ success: true, conversation: await getConversationById(conversationId) });
+  } catch (error) {
+    console.error('Error creating conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la création de la conversation',
+      details: error.message
+    });
+  }
+});
 
-    res.download(outPath, err => {
-      fs.unlinkSync(outPath);
-      if (err) console.error('Erreur envoi fichier:', err);
+// Recent conversations (optionally ?document_id=)
+app.get('/conversations', async (req, res) => {
+  try {
+    const documentId = /^\d+$/.test(req.query.document_id || '') ? Number(req.query.document_id) : null;
+    res.json({ success: true, conversations: await listConversations({ document_id: documentId }) });
+  } catch (error) {
+    console.error('Error listing conversations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération des conversations',
+      details: error.message
     });
+  }
+});
 
+// A conversation with all its messages
+app.get('/conversations/:id', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: "Identifiant de conversation invalide." });
+  }
+  try {
+    const conversation = await getConversationById(Number(req.params.id));
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation introuvable." });
+    }
+    res.json({ success: true, conversation, messages: await getConversationMessages(conversation.id) });
+  } catch (error) {
+    console.error('Error getting conversation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Erreur lors de la récupération de la conversation',
+      details: error.message
+    });
+  }
+});
 
+// Send a user message and get the assistant answer (history and document passages as context)
+app.post('/conversations/:id/messages', async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ error: "Identifiant de conversation invalide." });
+  }
+  const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+  if (!content) {
+    return res.status(400).json({ error: "Message manquant." });
+  }
+  const requestedLanguage = resolveRequestLanguage(req.body.language);
+  if (!requestedLanguage) {
+    return res.status(400).json({ error: UNSUPPORTED_LANGUAGE_ERROR });
+  }
 
-  } catch (err) {
+  try {
+    const conversation = await getConversationById(Number(req.params.id));
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation introuvable." });
+    }
+    const document = conversation.document_id ? await getDocumentById(conversation.document_id) : null;
+    const history = (await getConversationMessages(conversation.id)).slice(-CHAT_HISTORY_MESSAGES);
 
-    console.error('Erreur /analyze:', err);
+    console.log(`\n=== CONVERSATION MESSAGE (ID: ${conversation.id}) ===`);
+    console.log(`Message: ${content}`);
+    console.log(`History: ${history.length} messages, document: ${document ? document.id : 'none'}`);
 
-    console.error('Error stack:', err.stack);
+    const language = resolveAnswerLanguage(requestedLanguage, document);
+    const { answer, citations } = await answerQuestion({ document, question: content, history, language });
 
-    res.status(500).json({ error: 'Erreur interne du serveur.' });
+    // Stored only once answered, together: a failed answer leaves no unanswered user turn behind
+    const [userMessageId, assistantMessageId] = await insertMessages(conversation.id, [
+      { role: 'user', content },
+      { role: 'assistant', content: answer, citations }
+    ]);
 
+    res.status(201).json({
+      success: true,
+      user_message: { id: userMessageId, role: 'user', content },
+      message: { id: assistantMessageId, role: 'assistant', content: answer, citations },
+      language
+    });
+  } catch (error) {
+    console.error('Error in conversation message:', error);
+    if (isCircuitOpenError(error)) return sendOllamaUnavailable(res, error);
+    res.status(isLlmError(error) ? 502 : 500).json({
+      success: false,
+      error: 'Erreur lors de la réponse au message',
+      details: error.message
+    });
   }
-
 });
 
-
-
-
-
 // Initialize database connection and start server
 async function startServer() {
   const PORT = process.env.PORT || 3001;
@@ -1304,6 +2226,8 @@ async function startServer() {
   
   console.log(`🚀 Starting OpenBee Backend Server...`);
   console.log(`📊 Backend running on http://localhost:${PORT}`);
+  const llmProvider = getLlmProvider();
+  console.log(`🤖 LLM_PROVIDER: ${LLM_PROVIDER}${llmProvider.baseUrl ? ` (${llmProvider.baseUrl})` : ''}`);
   console.log(`🤖 OLLAMA_HOST: ${OLLAMA_HOST}`);
   console.log(`📄 MODEL_PDF: ${process.env.MODEL_PDF || 'llama3.2:1b'}`);
   console.log(`🖼️ MODEL_IMG: ${process.env.MODEL_IMG || 'llava:7b'}`);
@@ -1313,6 +2237,20 @@ async function startServer() {
   console.log(`\n=== DATABASE CONNECTION TEST ===`);
   const dbConnected = await testConnection();
   
+  // The in-memory database scores every document exactly and must not overwrite the index file
+  if (dbConnected && process.env.DB_DRIVER !== 'memory') {
+    console.log(`\n=== VECTOR INDEX ===`);
+    try {
+      await initVectorIndex({
+        loadVectors: loadIndexVectors,
+        getWatermark: getIndexWatermark,
+        embeddingModel: EMBEDDING_MODEL
+      });
+    } catch (error) {
+      console.error(`⚠️ Vector index unavailable, using brute-force similarity: ${error.message}`);
+    }
+  }
+  
   if (process.env.RAG_ENABLED === 'true') {
     console.log(`\n=== RAG SYSTEM STATUS ===`);
     try {
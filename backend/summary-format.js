@@ -0,0 +1,96 @@
+/**
+ * Parse the sectioned summaries produced by buildPdfSummaryPrompt / buildImageSummaryPrompt
+ * (Titre / Résumé / Points clés / Conclusions) into structured fields.
+ */
+
+// Section headings the models actually produce (French prompts, answers in fr/en/de), mapped to output fields.
+// A label ends at whitespace, "(" or ":" (\b does not work after accented letters).
+// Image summaries use "Éléments visuels" and "Contexte / Interprétation" for the last two sections.
+const SECTION_PATTERNS = [
+  { field: 'title', pattern: /^(titre|title|titel)(?=[\s:(]|$)/i },
+  { field: 'summary', pattern: /^(r[ée]sum[ée]|summary|zusammenfassung)(?=[\s:(]|$)/i },
+  { field: 'key_points', pattern: /^(points?\s+cl[ée]s?|key\s+points?|kernpunkte|wichtige\s+punkte|[ée]l[ée]ments?\s+visuels?|visual\s+elements?)(?=[\s:(]|$)/i },
+  { field: 'conclusions', pattern: /^(conclusions?|recommandations?|recommendations?|schlussfolgerung(?:en)?|empfehlung(?:en)?|contexte|context|kontext)(?=[\s:(]|$)/i }
+];
+
+const BULLET_PATTERN = /^\s*(?:[-*•·]|\d+[.)])\s+/;
+
+// Strip markdown decoration around a line: "## **Titre :**" -> "Titre :"
+function stripMarkdown(line) {
+  return line
+    .replace(/^\s*#{1,6}\s*/, '')
+    .replace(/\*\*|__/g, '')
+    .trim();
+}
+
+// Return { field, rest } when the line is a section heading, null otherwise
+function matchHeading(line) {
+  const cleaned = stripMarkdown(line);
+  for (const { field, pattern } of SECTION_PATTERNS) {
+    if (!pattern.test(cleaned)) continue;
+
+    // A heading is short and ends its label with a colon, e.g. "Résumé (3-6 phrases): ..."
+    const colonIndex = cleaned.indexOf(':');
+    if (colonIndex === -1) {
+      return cleaned.length <= 40 ? { field, rest: '' } : null;
+    }
+    if (colonIndex > 40) return null;
+    return { field, rest: cleaned.slice(colonIndex + 1).trim() };
+  }
+  return null;
+}
+
+/**
+ * Parse a sectioned summary into { title, summary, key_points, conclusions }
+ * @param {string} text - Raw model output (or cached summary)
+ */
+function parseStructuredSummary(text) {
+  const sections = { title: [], summary: [], key_points: [], conclusions: [] };
+  let current = null;
+
+  for (const rawLine of String(text || '').split('\n')) {
+    const line = rawLine.trim();
+    // Reused summaries carry a "[Similar to: ...]" marker line
+    if (!line || /^\[Similar to:.*\]$/.test(line)) continue;
+
+    const heading = matchHeading(line);
+    if (heading) {
+      current = heading.field;
+      if (heading.rest) sections[current].push(heading.rest);
+      continue;
+    }
+    if (current) {
+      sections[current].push(stripMarkdown(line));
+    }
+  }
+
+  const keyPoints = sections.key_points
+    .map(line => line.replace(BULLET_PATTERN, '').trim())
+    .filter(Boolean);
+
+  return {
+    title: sections.title.join(' ').trim(),
+    summary: sections.summary.join(' ').trim(),
+    key_points: keyPoints,
+    conclusions: sections.conclusions.join(' ').trim()
+  };
+}
+
+/**
+ * Check a parsed summary; returns the list of problems (empty when valid)
+ */
+function validateStructuredSummary(structured) {
+  const problems = [];
+  if (!structured.title) problems.push('missing title');
+  if (!structured.summary) problems.push('missing summary');
+  if (!Array.isArray(structured.key_points) || structured.key_points.length === 0) {
+    problems.push('missing key_points');
+  }
+  if (typeof structured.conclusions !== 'string') problems.push('invalid conclusions');
+  return problems;
+}
+
+module.exports = {
+  parseStructuredSummary,
+  validateStructuredSummary
+};
@@ -0,0 +1,101 @@
+const {
+  listDocumentsWithSummaryMarkers,
+  countDocumentsWithSummaryMarkers,
+  updateDocument
+} = require('./database');
+const { POISONED_SUMMARY_MARKERS } = require('./llm-errors');
+const { createJob, getJob, getJobResult } = require('./job-queue');
+
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+const REPAIR_BATCH_SIZE = Number(process.env.REPAIR_BATCH_SIZE || 20);
+// Stop the job (it can be resumed) when generation keeps failing, e.g. Ollama is still down
+const REPAIR_MAX_CONSECUTIVE_FAILURES = 3;
+
+// Last repair job started by this process
+let repairJobId = null;
+
+/**
+ * Number of stored documents whose summary is an Ollama error message
+ */
+function countPoisonedDocuments() {
+  return countDocumentsWithSummaryMarkers(POISONED_SUMMARY_MARKERS);
+}
+
+/**
+ * Job task: regenerate the summary of every document stored with an Ollama error message, in id order.
+ * Repaired documents are no longer selected, so a stopped job resumes where it was when restarted.
+ * @param {Function} summarize - async (document) => summary; must throw when generation fails
+ * @param {Function} reportProgress
+ */
+async function repairPoisonedSummaries(summarize, reportProgress) {
+  const total = await countPoisonedDocuments();
+  const failed = [];
+  let processed = 0;
+  let consecutiveFailures = 0;
+  let lastId = 0;
+  reportProgress({ status: 'repairing', current: 0, total, message: `0/${total} summaries regenerated` });
+
+  for (;;) {
+    const batch = await listDocumentsWithSummaryMarkers(POISONED_SUMMARY_MARKERS, lastId, REPAIR_BATCH_SIZE);
+    if (batch.length === 0) break;
+
+    for (const document of batch) {
+      lastId = document.id;
+      try {
+        const summary = await summarize(document);
+        await updateDocument(document.id, { ai_summary: summary });
+        console.log(`🩹 Summary of document ${document.id} regenerated`);
+        consecutiveFailures = 0;
+      } catch (error) {
+        console.error(`❌ Failed to repair document ${document.id}:`, error.message);
+        failed.push({ id: document.id, filename: document.filename, error: error.message });
+        consecutiveFailures++;
+        if (consecutiveFailures >= REPAIR_MAX_CONSECUTIVE_FAILURES) {
+          throw new Error(`Repair stopped after ${consecutiveFailures} consecutive failures: ${error.message}`);
+        }
+      }
+      processed++;
+      reportProgress({
+        status: 'repairing',
+        current: processed,
+        total: Math.max(total, processed),
+        message: `${processed - failed.length}/${total} summaries regenerated`
+      });
+    }
+  }
+
+  return { processed, repaired: processed - failed.length, failed };
+}
+
+/**
+ * Start the repair job, unless one is already running
+ * @param {Function} summarize - async (document) => summary
+ * @returns {{ job: Object, started: boolean }}
+ */
+function startRepairJob(summarize) {
+  const current = getRepairJob();
+  if (current && current.status !== 'done' && current.status !== 'failed') {
+    return { job: current, started: false };
+  }
+  // Outside the analysis queue, like the re-embed job: there can be many documents to regenerate
+  const job = createJob('repair', reportProgress => repairPoisonedSummaries(summarize, reportProgress), {}, { queued: false });
+  repairJobId = job.id;
+  return { job, started: true };
+}
+
+/**
+ * Public view of the last repair job (with its result once done), or null
+ */
+function getRepairJob() {
+  const job = repairJobId ? getJob(repairJobId) : null;
+  if (!job) return null;
+  return job.status === 'done' ? { ...job, result: getJobResult(job.id) } : job;
+}
+
+module.exports = {
+  countPoisonedDocuments,
+  startRepairJob,
+  getRepairJob
+};
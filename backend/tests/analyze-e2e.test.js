@@ -0,0 +1,101 @@
+// Whole /analyze -> RAG store -> reuse flow, offline: fake model and in-memory tables
+process.env.LLM_PROVIDER = 'fake';
+process.env.DB_DRIVER = 'memory';
+process.env.RAG_ENABLED = 'true';
+
+const path = require('path');
+const request = require('supertest');
+
+const server = require('../server');
+const { getLlmProvider } = require('../llm-providers');
+
+jest.setTimeout(30000);
+
+const pdfPath = path.join(__dirname, 'fixtures', 'document2.pdf');
+
+describe('/analyze end to end', () => {
+  let firstSummary;
+  let documentId;
+
+  test('should summarize a new PDF and store it', async () => {
+    const res = await request(server)
+      .post('/analyze')
+      .attach('file', pdfPath)
+      .field('action', 'resumer');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-rag-used']).toBe('false');
+    expect(res.headers['x-rag-match-type']).toBe('none');
+    expect(res.headers['x-llm-error']).toBeUndefined();
+    expect(res.text).toMatch(/Source: New AI Analysis/);
+    expect(res.text).toMatch(/Titre: Document [0-9a-f]{8}/);
+
+    documentId = res.headers['x-rag-document-id'];
+    expect(documentId).toBeDefined();
+    firstSummary = res.text.slice(res.text.indexOf('Titre:'));
+  });
+
+  test('should serve the same file from the stored summary', async () => {
+    const res = await request(server)
+      .post('/analyze')
+      .attach('file', pdfPath)
+      .field('action', 'resumer');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-rag-used']).toBe('true');
+    expect(res.headers['x-rag-exact-match']).toBe('true');
+    expect(res.headers['x-rag-match-type']).toBe('file_hash');
+    expect(res.headers['x-rag-document-id']).toBe(documentId);
+    expect(res.text).toMatch(/Source: RAG Database/);
+    expect(res.text.slice(res.text.indexOf('Titre:'))).toBe(firstSummary);
+
+    const library = await request(server).get('/documents');
+    expect(library.body.pagination.total).toBe(1);
+  });
+
+  test('should return the stored document and its structured summary', async () => {
+    const res = await request(server).get(`/documents/${documentId}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.document).toMatchObject({ filename: 'document2.pdf', ai_summary: firstSummary });
+
+    const json = await request(server)
+      .post('/analyze')
+      .attach('file', pdfPath)
+      .field('action', 'resumer')
+      .field('format', 'json');
+    expect(json.statusCode).toBe(200);
+    expect(json.body.title).toMatch(/^Document [0-9a-f]{8}$/);
+    expect(json.body.rag).toMatchObject({ exact_match: true });
+  });
+
+  test('should answer a question about the stored document', async () => {
+    const res = await request(server)
+      .post(`/documents/${documentId}/ask`)
+      .send({ question: 'Quel est le sujet du document ?' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.document.filename).toBe('document2.pdf');
+    expect(res.body.answer).toMatch(/Document [0-9a-f]{8}/);
+    expect(res.body.citations.length).toBeGreaterThan(0);
+  });
+});
+
+describe('/analyze/stream with an empty model answer', () => {
+  test('should report the empty response with the configured provider name', async () => {
+    const sharp = require('sharp');
+    const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#d53a7b' } }).png().toBuffer();
+    const describeImage = jest.spyOn(getLlmProvider(), 'describeImage').mockResolvedValue({ response: '  ' });
+    try {
+      const res = await request(server)
+        .post('/analyze/stream')
+        .attach('file', image, 'vide.png')
+        .field('action', 'decrire');
+
+      expect(res.statusCode).toBe(200);
+      const done = JSON.parse(res.text.match(/event: done\ndata: (.*)/)[1]);
+      expect(done.rag.llm_error).toMatchObject({ code: 'empty_response', message: 'Empty response from fake' });
+    } finally {
+      describeImage.mockRestore();
+    }
+  });
+});
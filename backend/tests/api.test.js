@@ -2,11 +2,13 @@ const path = require('path');
 const fs = require('fs');
 const request = require('supertest');
 
-// Optionally mock axios if you want to avoid real Ollama calls
-// jest.mock('axios');
-// const axios = require('axios');
+// No Ollama nor MySQL needed: deterministic fake model and in-memory tables
+process.env.LLM_PROVIDER = 'fake';
+process.env.DB_DRIVER = 'memory';
 
 const server = require('../server'); // Your backend exports the app
+const { insertDocument } = require('../database');
+const { getLlmProvider } = require('../llm-providers');
 
 jest.setTimeout(30000);
 
@@ -87,5 +89,298 @@ describe('Backend /analyze API', () => {
     expect(res.body.error).toMatch(/manquant|missing|file/i);
   });
 
+  // ----------- 6) /analyze in async mode returns a job that can be polled -----------
+  test('should return 202 with a job id in async mode, then serve the result', async () => {
+    const imgPath = path.join(__dirname, 'fixtures', 'image.png');
+    const res = await request(server)
+      .post('/analyze')
+      .attach('file', fs.createReadStream(imgPath))
+      .field('action', 'decrire')
+      .field('mode', 'async');
+    expect(res.statusCode).toBe(202);
+    expect(res.body.job_id).toBeDefined();
+
+    let job;
+    for (let i = 0; i < 50; i++) {
+      const statusRes = await request(server).get(`/jobs/${res.body.job_id}`);
+      expect(statusRes.statusCode).toBe(200);
+      job = statusRes.body.job;
+      if (job.status === 'done' || job.status === 'failed') break;
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    expect(job.status).toBe('done');
+
+    const resultRes = await request(server).get(`/jobs/${res.body.job_id}/result`);
+    expect(resultRes.statusCode).toBe(200);
+  });
+
+  test('should end an async job as failed when generation fails', async () => {
+    const describeImage = jest.spyOn(getLlmProvider(), 'describeImage').mockRejectedValue(new Error('model crashed'));
+    try {
+      const imgPath = path.join(__dirname, 'fixtures', 'image.png');
+      const res = await request(server)
+        .post('/analyze')
+        .attach('file', fs.createReadStream(imgPath))
+        .field('action', 'decrire')
+        .field('mode', 'async');
+      expect(res.statusCode).toBe(202);
+
+      let job;
+      for (let i = 0; i < 50; i++) {
+        job = (await request(server).get(`/jobs/${res.body.job_id}`)).body.job;
+        if (job.status === 'done' || job.status === 'failed') break;
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+      expect(job.status).toBe('failed');
+      expect(job.error).toMatch(/model crashed/);
+
+      const resultRes = await request(server).get(`/jobs/${res.body.job_id}/result`);
+      expect(resultRes.statusCode).toBe(500);
+    } finally {
+      describeImage.mockRestore();
+    }
+  });
+
+  // ----------- 7) /analyze/stream relays the analysis as Server-Sent Events -----------
+  test('should stream progress and a final done event for an image', async () => {
+    const imgPath = path.join(__dirname, 'fixtures', 'image.png');
+    const res = await request(server)
+      .post('/analyze/stream')
+      .attach('file', fs.createReadStream(imgPath))
+      .field('action', 'decrire');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(res.text).toMatch(/event: progress/);
+    expect(res.text).toMatch(/event: done/);
+  });
+
+  test('should stream image tokens and restart the text when the fallback model takes over', async () => {
+    const sharp = require('sharp');
+    const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#3a7bd5' } }).png().toBuffer();
+    const provider = getLlmProvider();
+    const originalDescribe = provider.describeImage;
+    const describeImage = jest.spyOn(provider, 'describeImage')
+      .mockImplementationOnce(async (request, { onToken }) => {
+        onToken('Texte partiel ');
+        throw new Error('model crashed');
+      })
+      .mockImplementationOnce((request, options) => originalDescribe(request, options));
+    try {
+      const res = await request(server)
+        .post('/analyze/stream')
+        .attach('file', image, 'bleu.png')
+        .field('action', 'decrire')
+        .field('reuse', 'fresh');
+      expect(res.statusCode).toBe(200);
+
+      const events = res.text.split('\n\n').filter(Boolean).map(block => {
+        const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/s);
+        return { event, data: JSON.parse(data) };
+      });
+      const fallback = events.findIndex(({ event, data }) => event === 'phase' && data.phase === 'fallback');
+      expect(fallback).toBeGreaterThan(0);
+      expect(events.slice(0, fallback).some(({ event }) => event === 'token')).toBe(true);
+
+      const streamed = events.slice(fallback).filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+      const done = events.find(({ event }) => event === 'done');
+      expect(streamed.length).toBeGreaterThan(0);
+      expect(done.data.summary).toBe(streamed);
+      expect(done.data.summary).not.toMatch(/Texte partiel/);
+    } finally {
+      describeImage.mockRestore();
+    }
+  });
+
+  test('should refuse files above the synchronous size limit on /analyze/stream', async () => {
+    const oversized = Buffer.alloc(10 * 1024 * 1024 + 1);
+    const res = await request(server)
+      .post('/analyze/stream')
+      .attach('file', oversized, 'grand.pdf')
+      .field('action', 'resumer');
+    expect(res.statusCode).toBe(413);
+    expect(res.body.error).toMatch(/mode=async/);
+  });
+
+  test('should return 400 for an unsupported output language', async () => {
+    const imgPath = path.join(__dirname, 'fixtures', 'image.png');
+    const res = await request(server)
+      .post('/analyze')
+      .attach('file', fs.createReadStream(imgPath))
+      .field('action', 'decrire')
+      .field('language', 'xx');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/langue/i);
+  });
+
+  test('should return 404 for an unknown job', async () => {
+    const res = await request(server).get('/jobs/does-not-exist');
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('should return 400 for an unsupported job result format', async () => {
+    const res = await request(server).get('/jobs/does-not-exist/result').query({ format: 'xml' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('should return 400 when asking a document without a question', async () => {
+    const res = await request(server)
+      .post('/documents/1/ask')
+      .send({ question: '   ' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/question/i);
+  });
+
+  test('should return 409 when asking a document embedded with another model', async () => {
+    const id = await insertDocument({
+      filename: 'ancien.pdf',
+      file_hash: 'stale-model-hash',
+      file_size: 10,
+      mime_type: 'application/pdf',
+      extracted_text: 'Contrat de maintenance',
+      ai_summary: 'Résumé',
+      embedding: [0, 1],
+      embedding_model: 'ancien-modele'
+    });
+
+    const res = await request(server)
+      .post(`/documents/${id}/ask`)
+      .send({ question: 'Quel préavis ?' });
+    expect(res.statusCode).toBe(409);
+    expect(res.body.embedding_model).toBe('ancien-modele');
+  });
+
+  test('should return 400 for a text search without query', async () => {
+    const res = await request(server).get('/rag/search');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/q\)/);
+  });
+
+  test('should return 400 for a text search with an invalid date filter', async () => {
+    const res = await request(server)
+      .post('/rag/search')
+      .send({ q: 'contrat 2024-117', date_from: '01/02/2024' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/date_from/);
+  });
+
+  test('should return 400 for an unknown search mode', async () => {
+    const res = await request(server).get('/rag/search').query({ q: 'CT-2024-117', mode: 'fuzzy' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/mode/i);
+  });
+
+  test('should return 400 when asking the corpus without a question', async () => {
+    const res = await request(server)
+      .post('/rag/ask')
+      .send({});
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/question/i);
+  });
+
+  test('should return 400 when sending an empty conversation message', async () => {
+    const res = await request(server)
+      .post('/conversations/1/messages')
+      .send({ content: '' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/message/i);
+  });
+
+  test('should not keep the user message when the answer fails', async () => {
+    const created = await request(server).post('/conversations').send({ title: 'Contrat' });
+    expect(created.statusCode).toBe(201);
+    const conversationId = created.body.conversation.id;
+
+    const generate = jest.spyOn(getLlmProvider(), 'generate').mockRejectedValue(new Error('model crashed'));
+    try {
+      const failed = await request(server)
+        .post(`/conversations/${conversationId}/messages`)
+        .send({ content: 'Quelle est la durée du contrat ?' });
+      expect(failed.statusCode).toBeGreaterThanOrEqual(500);
+    } finally {
+      generate.mockRestore();
+    }
+    expect((await request(server).get(`/conversations/${conversationId}`)).body.messages).toEqual([]);
+
+    const answered = await request(server)
+      .post(`/conversations/${conversationId}/messages`)
+      .send({ content: 'Quelle est la durée du contrat ?' });
+    expect(answered.statusCode).toBe(201);
+    const messages = (await request(server).get(`/conversations/${conversationId}`)).body.messages;
+    expect(messages.map(message => [message.id, message.role])).toEqual([
+      [answered.body.user_message.id, 'user'],
+      [answered.body.message.id, 'assistant']
+    ]);
+  });
+
+  test('should return 400 when listing documents with an unknown sort column', async () => {
+    const res = await request(server).get('/documents').query({ sort: 'extracted_text' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/tri/i);
+  });
+
+  test('should return 400 when updating a document without editable fields', async () => {
+    const res = await request(server)
+      .patch('/documents/1')
+      .send({ file_hash: 'abc' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/filename, tags, ai_summary/);
+  });
+
+  test('should return 400 when tagging a document with something else than strings', async () => {
+    const res = await request(server)
+      .patch('/documents/1')
+      .send({ tags: 'client-a' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('should return 400 when deleting a document with an invalid id', async () => {
+    const res = await request(server).delete('/documents/abc');
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('should return 400 for an unknown reuse policy', async () => {
+    const res = await request(server)
+      .post('/analyze')
+      .attach('file', path.join(__dirname, 'fixtures', 'document2.pdf'))
+      .field('action', 'resumer')
+      .field('reuse', 'always');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/fresh, exact-only, similar/);
+  });
+
+  test('should return 400 for a similarity threshold override out of range', async () => {
+    const res = await request(server)
+      .post('/analyze')
+      .attach('file', path.join(__dirname, 'fixtures', 'document2.pdf'))
+      .field('action', 'resumer')
+      .field('reuse', 'similar')
+      .field('threshold', '1.2');
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toMatch(/seuil/i);
+  });
+
+  test('should return 400 when setting a RAG setting out of range', async () => {
+    const res = await request(server)
+      .put('/rag/settings')
+      .send({ similarity_threshold: 1.5, unknown_setting: 2 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toHaveLength(2);
+  });
+
+  test('should record the client address, not a client-supplied name, as the author of a setting change', async () => {
+    const res = await request(server)
+      .put('/rag/settings')
+      .set('X-User', 'alice')
+      .send({ ask_top_k: 5 });
+    expect(res.statusCode).toBe(200);
+    try {
+      const { history } = (await request(server).get('/rag/settings')).body;
+      expect(history[0]).toMatchObject({ setting_key: 'ask_top_k', new_value: '5' });
+      expect(history[0].changed_by).not.toBe('alice');
+      expect(history[0].changed_by).toMatch(/127\.0\.0\.1|::1/);
+    } finally {
+      await request(server).put('/rag/settings').send({ ask_top_k: 4 });
+    }
+  });
 
 });
@@ -0,0 +1,48 @@
+const { buildChunks } = require('../chunking');
+const { scoreDocumentChunks } = require('../database');
+
+describe('buildChunks', () => {
+  test('should keep a short document in one chunk on its page', () => {
+    expect(buildChunks(['Une seule phrase courte.'])).toEqual([
+      { chunk_index: 0, page_start: 1, page_end: 1, text: 'Une seule phrase courte.' }
+    ]);
+  });
+
+  test('should record the page range of chunks spanning pages', () => {
+    const pages = [
+      'Premier point du contrat. Deuxième point du contrat. Troisième point du contrat.',
+      'Quatrième point du contrat.'
+    ];
+    const chunks = buildChunks(pages, { maxChars: 60, overlapChars: 0 });
+
+    expect(chunks.map(c => [c.page_start, c.page_end])).toEqual([[1, 1], [1, 2]]);
+    expect(chunks[1].text).toBe('Troisième point du contrat. Quatrième point du contrat.');
+  });
+
+  test('should repeat the last sentence of a chunk as overlap', () => {
+    const chunks = buildChunks(['Alpha un. Beta deux. Gamma trois. Delta quatre.'], { maxChars: 25, overlapChars: 12 });
+    expect(chunks[0].text).toBe('Alpha un. Beta deux.');
+    expect(chunks[1].text.startsWith('Beta deux.')).toBe(true);
+  });
+
+  test('should keep maxChunks chunks spread up to the last page of a longer document', () => {
+    const pages = Array.from({ length: 10 }, (_, i) => `Clause de la page ${i + 1}.`);
+    const chunks = buildChunks(pages, { maxChars: 25, overlapChars: 0, maxChunks: 4 });
+
+    expect(chunks.map(c => c.chunk_index)).toEqual([0, 1, 2, 3]);
+    expect(chunks.map(c => c.page_start)).toEqual([1, 4, 7, 10]);
+  });
+});
+
+describe('scoreDocumentChunks', () => {
+  test('should average the best chunk match of each query chunk', () => {
+    const docChunks = [
+      { chunk_index: 0, page_start: 1, page_end: 1, embedding: [1, 0] },
+      { chunk_index: 1, page_start: 2, page_end: 3, embedding: [0, 1] }
+    ];
+    const { similarity, bestChunk } = scoreDocumentChunks([[1, 0], [1, 1]], docChunks);
+
+    expect(similarity).toBeCloseTo((1 + Math.SQRT1_2) / 2);
+    expect(bestChunk).toMatchObject({ chunk_index: 0, page_start: 1, similarity_score: 1 });
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('../database', () => ({
+  ...jest.requireActual('../database'),
+  getDocumentChunks: jest.fn(async () => []),
+  getCorpusPassages: jest.fn(async () => [])
+}));
+jest.mock('../vector-index', () => ({
+  ...jest.requireActual('../vector-index'),
+  findCandidateDocuments: jest.fn(() => null)
+}));
+jest.mock('../rag-service', () => ({
+  generateEmbedding: async () => [0, 1],
+  embedChunks: jest.fn(),
+  EMBEDDING_MODEL: 'nomic-embed-text'
+}));
+
+const { getCorpusPassages } = require('../database');
+const { findCandidateDocuments } = require('../vector-index');
+const { embedChunks } = require('../rag-service');
+const {
+  rankPassages,
+  buildCitations,
+  buildSources,
+  retrieveDocumentPassages,
+  retrieveCorpusPassages
+} = require('../document-qa');
+
+const chunks = [
+  { document_id: 7, chunk_index: 0, page_start: 1, page_end: 1, chunk_text: 'Objet du contrat.', embedding: [1, 0] },
+  { document_id: 7, chunk_index: 1, page_start: 2, page_end: 3, chunk_text: 'Préavis de résiliation : 3 mois.', embedding: [0, 1] },
+  { document_id: 7, chunk_index: 2, page_start: 3, page_end: 3, chunk_text: 'Paiement trimestriel.', embedding: [1, 1] }
+];
+
+describe('rankPassages', () => {
+  test('should keep the top chunks ordered by similarity to the question', () => {
+    const passages = rankPassages([0, 1], chunks, 2);
+    expect(passages.map(p => p.chunk_index)).toEqual([1, 2]);
+    expect(passages[0]).toMatchObject({ page_start: 2, page_end: 3, text: 'Préavis de résiliation : 3 mois.' });
+  });
+});
+
+describe('buildCitations', () => {
+  test('should number passages as in the prompt and flag the ones cited in the answer', () => {
+    const passages = rankPassages([0, 1], chunks, 2);
+    const citations = buildCitations(passages, 'Le préavis est de 3 mois [1].');
+    expect(citations.map(c => [c.ref, c.chunk_index, c.cited])).toEqual([[1, 1, true], [2, 2, false]]);
+    expect(citations[0].excerpt).toBe('Préavis de résiliation : 3 mois.');
+  });
+});
+
+describe('retrieveDocumentPassages', () => {
+  test('should chunk a document without stored chunks for the question only', async () => {
+    embedChunks.mockResolvedValueOnce([
+      { chunk_index: 0, page_start: 1, page_end: 1, text: 'Préavis de trois mois.', embedding: [0, 1] }
+    ]);
+
+    const passages = await retrieveDocumentPassages(
+      { id: 7, filename: 'contrat.pdf', extracted_text: 'Préavis de trois mois.' },
+      'Quel préavis ?'
+    );
+    expect(embedChunks).toHaveBeenCalledWith(['Préavis de trois mois.']);
+    expect(passages).toEqual([expect.objectContaining({ document_id: 7, filename: 'contrat.pdf', chunk_index: 0 })]);
+  });
+});
+
+describe('retrieveCorpusPassages', () => {
+  beforeEach(() => getCorpusPassages.mockClear());
+
+  test('should only load the passages of the vector index candidates', async () => {
+    findCandidateDocuments.mockReturnValueOnce(new Set([7]));
+    getCorpusPassages.mockResolvedValueOnce(chunks.map(chunk => ({ ...chunk, filename: 'contrat.pdf' })));
+
+    const passages = await retrieveCorpusPassages('Quel préavis ?', { topK: 1 });
+    expect(getCorpusPassages).toHaveBeenCalledWith({ ids: [7] });
+    expect(passages[0]).toMatchObject({ document_id: 7, chunk_index: 1 });
+  });
+
+  test('should skip legacy passages without summary', async () => {
+    getCorpusPassages.mockResolvedValueOnce([
+      { document_id: 3, chunk_index: null, page_start: null, page_end: null, chunk_text: null, embedding: [0, 1], filename: 'ancien.pdf' },
+      { ...chunks[1], filename: 'contrat.pdf' }
+    ]);
+
+    const passages = await retrieveCorpusPassages('Quel préavis ?');
+    expect(getCorpusPassages).toHaveBeenCalledWith({});
+    expect(passages.map(p => p.document_id)).toEqual([7]);
+    expect(buildCitations([{ ...passages[0], text: null }])[0].excerpt).toBe('');
+  });
+});
+
+describe('buildSources', () => {
+  test('should group citations by source document', () => {
+    const citations = buildCitations([
+      { document_id: 7, filename: 'contrat.pdf', chunk_index: 1, page_start: 2, page_end: 2, text: 'A', similarity_score: 0.9 },
+      { document_id: 9, filename: 'avenant.pdf', chunk_index: 0, page_start: 1, page_end: 1, text: 'B', similarity_score: 0.8 },
+      { document_id: 7, filename: 'contrat.pdf', chunk_index: 4, page_start: 5, page_end: 5, text: 'C', similarity_score: 0.7 }
+    ], 'Voir [2].');
+    expect(buildSources(citations)).toEqual([
+      { document_id: 7, filename: 'contrat.pdf', refs: [1, 3], cited: false },
+      { document_id: 9, filename: 'avenant.pdf', refs: [2], cited: true }
+    ]);
+  });
+});
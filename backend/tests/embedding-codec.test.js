@@ -0,0 +1,51 @@
+const {
+  encodeFloat32,
+  decodeFloat32,
+  encodeInt8,
+  decodeInt8,
+  decodeEmbedding
+} = require('../embedding-codec');
+const { calculateCosineSimilarity } = require('../database');
+
+// Deterministic pseudo-embedding with values in [-1, 1]
+function makeVector(seed, dimension = 768) {
+  return Array.from({ length: dimension }, (_, i) => Math.sin(seed * 12.9898 + i * 78.233));
+}
+
+describe('embedding codec', () => {
+  test('should round-trip a vector through a Float32 BLOB of 4 bytes per dimension', () => {
+    const vector = makeVector(1);
+    const blob = encodeFloat32(vector);
+    expect(blob.length).toBe(768 * 4);
+
+    const decoded = decodeFloat32(blob);
+    expect(decoded).toBeInstanceOf(Float32Array);
+    decoded.forEach((value, i) => expect(value).toBeCloseTo(vector[i], 6));
+  });
+
+  test('should read JSON embeddings stored before the migration', () => {
+    expect(Array.from(decodeEmbedding([0.5, -0.25]))).toEqual([0.5, -0.25]);
+    expect(Array.from(decodeEmbedding('[0.5, -0.25]'))).toEqual([0.5, -0.25]);
+    expect(decodeEmbedding(null)).toBeNull();
+  });
+
+  test('should keep cosine similarity close after int8 quantization', () => {
+    const query = makeVector(1);
+    for (const seed of [2, 3, 4]) {
+      const vector = makeVector(seed).map((value, i) => value + query[i] * seed / 4);
+      const quantized = decodeInt8(encodeInt8(vector));
+      expect(quantized.length).toBe(768);
+      expect(calculateCosineSimilarity(query, quantized))
+        .toBeCloseTo(calculateCosineSimilarity(query, vector), 2);
+    }
+  });
+
+  test('should compute cosine similarity on typed arrays like on plain arrays', () => {
+    const a = makeVector(5);
+    const b = makeVector(6);
+    const expected = calculateCosineSimilarity(a, b);
+    expect(calculateCosineSimilarity(Float32Array.from(a), Float32Array.from(b))).toBeCloseTo(expected, 5);
+    expect(calculateCosineSimilarity(a, Float32Array.from(b))).toBeCloseTo(expected, 5);
+    expect(calculateCosineSimilarity(Float32Array.from(a), [1, 2])).toBe(0);
+  });
+});
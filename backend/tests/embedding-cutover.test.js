@@ -0,0 +1,54 @@
+jest.mock('mysql2/promise', () => {
+  const mockPool = { execute: jest.fn() };
+  return { createPool: () => mockPool, mockPool };
+});
+
+const { mockPool } = require('mysql2/promise');
+const { insertDocument } = require('../database');
+const { decodeFloat32 } = require('../embedding-codec');
+
+const document = {
+  filename: 'contrat.pdf',
+  file_hash: 'abc',
+  file_size: 10,
+  mime_type: 'application/pdf',
+  extracted_text: 'Contrat',
+  ai_summary: 'Résumé',
+  embedding: [0.5, -0.25],
+  embedding_model: 'nomic-embed-text'
+};
+
+// Answers the embedding_f32 column lookup with `hasF32Column`, the INSERT with id 7
+function mockSchema(hasF32Column) {
+  mockPool.execute.mockReset();
+  mockPool.execute.mockImplementation(async (sql) => {
+    if (sql.includes('information_schema')) return [[{ total: hasF32Column ? 1 : 0 }]];
+    if (sql.includes('INSERT')) return [{ insertId: 7 }];
+    return [{ affectedRows: 0 }];
+  });
+}
+
+const insertCall = () => mockPool.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO documents'));
+
+describe('embedding columns cutover (migrations 006 / 007)', () => {
+  test('should write JSON and the Float32 copy until migration 007 ran', async () => {
+    mockSchema(true);
+    await expect(insertDocument(document)).resolves.toBe(7);
+
+    const [sql, params] = insertCall();
+    expect(sql).toMatch(/embedding, embedding_f32, embedding_int8/);
+    expect(params).toContain('[0.5,-0.25]');
+    expect(Array.from(decodeFloat32(params.find(Buffer.isBuffer)))).toEqual([0.5, -0.25]);
+  });
+
+  test('should write Float32 to embedding once embedding_f32 is gone, and stop checking', async () => {
+    mockSchema(false);
+    await insertDocument(document);
+    await insertDocument(document);
+
+    const [sql, params] = insertCall();
+    expect(sql).not.toMatch(/embedding_f32/);
+    expect(params).not.toContain('[0.5,-0.25]');
+    expect(mockPool.execute.mock.calls.filter(([query]) => query.includes('information_schema'))).toHaveLength(1);
+  });
+});
@@ -0,0 +1,56 @@
+// Fake Ollama: the embedding says whether the window mentions the introduction or the annex
+jest.mock('axios', () => ({
+  post: jest.fn(async (url, body) => ({
+    status: 200,
+    data: { embedding: [body.prompt.includes('Introduction') ? 1 : 0, body.prompt.includes('Annexe') ? 1 : 0, 0.1] }
+  }))
+}));
+
+const axios = require('axios');
+const { poolEmbeddings, embedDocumentText } = require('../rag-service');
+
+describe('poolEmbeddings', () => {
+  test('should average normalized window vectors', () => {
+    expect(poolEmbeddings([[2, 0], [0, 5]])).toEqual([0.5, 0.5]);
+  });
+
+  test('should weight windows by length', () => {
+    const pooled = poolEmbeddings([[1, 0], [0, 1]], [3, 1]);
+    expect(pooled[0]).toBeCloseTo(0.75);
+    expect(pooled[1]).toBeCloseTo(0.25);
+  });
+});
+
+describe('embedDocumentText', () => {
+  beforeEach(() => axios.post.mockClear());
+
+  test('should embed a short text in a single call', async () => {
+    const { embedding, windowCount } = await embedDocumentText('Introduction courte.');
+    expect(windowCount).toBe(1);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(embedding).toEqual([1, 0, 0.1]);
+  });
+
+  test('should pool the windows of a long text, so its end is not dropped', async () => {
+    const body = 'Clause standard du contrat de service. '.repeat(200);
+    const text = `Introduction du contrat. ${body}Annexe : tarifs et pénalités.`;
+    const { embedding, windowCount } = await embedDocumentText(text);
+
+    expect(windowCount).toBeGreaterThan(1);
+    expect(axios.post).toHaveBeenCalledTimes(windowCount);
+    expect(embedding[0]).toBeGreaterThan(0);
+    expect(embedding[1]).toBeGreaterThan(0);
+  });
+
+  test('should spread the windows over a text longer than EMBEDDING_MAX_WINDOWS windows', async () => {
+    const body = 'Clause standard du contrat de service. '.repeat(3000);
+    const text = `Introduction du contrat. ${body}Annexe : tarifs et pénalités.`;
+    const { embedding, windowCount } = await embedDocumentText(text);
+
+    expect(windowCount).toBe(16);
+    expect(axios.post).toHaveBeenCalledTimes(16);
+    // The first and the last window are both kept
+    expect(embedding[0]).toBeGreaterThan(0);
+    expect(embedding[1]).toBeGreaterThan(0);
+  });
+});
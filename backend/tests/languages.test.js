@@ -0,0 +1,19 @@
+const { detectLanguage, normalizeLanguage, getTesseractLanguage } = require('../languages');
+
+describe('languages', () => {
+  test('should detect French, English and German text', () => {
+    expect(detectLanguage('Le contrat est conclu pour une durée de deux ans et il ne sera pas renouvelé par les parties.').language).toBe('fr');
+    expect(detectLanguage('The contract is concluded for two years and it will not be renewed by the parties.').language).toBe('en');
+    expect(detectLanguage('Der Vertrag wird für zwei Jahre geschlossen und nicht von den Parteien verlängert.').language).toBe('de');
+  });
+
+  test('should not guess on too little text', () => {
+    expect(detectLanguage('Facture 2024-0012')).toBeNull();
+  });
+
+  test('should normalize language parameters and map them to tesseract traineddata', () => {
+    expect(normalizeLanguage('EN-us')).toBe('en');
+    expect(normalizeLanguage('it')).toBeNull();
+    expect(getTesseractLanguage('de')).toBe('deu');
+  });
+});
@@ -0,0 +1,23 @@
+const { LlmError, isLlmError, toLlmError } = require('../llm-errors');
+
+describe('llm-errors', () => {
+  test('should classify axios failures', () => {
+    const refused = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:11434'), { code: 'ECONNREFUSED' });
+    const timedOut = Object.assign(new Error('timeout of 300000ms exceeded'), { code: 'ECONNABORTED' });
+    const httpError = Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } });
+
+    expect(toLlmError(refused, { stage: 'generate' })).toMatchObject({ code: 'unavailable', stage: 'generate' });
+    expect(toLlmError(timedOut).code).toBe('timeout');
+    const wrapped = toLlmError(httpError, { stage: 'embedding', model: 'nomic-embed-text' });
+    expect(wrapped).toMatchObject({ code: 'model_error', model: 'nomic-embed-text' });
+    expect(wrapped.message).toMatch(/HTTP 500/);
+    expect(isLlmError(wrapped)).toBe(true);
+  });
+
+  test('should keep the code of an LlmError and take the outer stage', () => {
+    const inner = new LlmError('Empty response from Ollama', { code: 'empty_response', stage: 'generate', model: 'llama3.2:1b' });
+    const outer = toLlmError(inner, { stage: 'merge' });
+    expect(outer).toBe(inner);
+    expect(outer).toMatchObject({ code: 'empty_response', stage: 'merge', model: 'llama3.2:1b' });
+  });
+});
@@ -0,0 +1,174 @@
+process.env.OLLAMA_MAX_RETRIES = '0';
+
+const http = require('http');
+const { createOllamaProvider, createOpenAiProvider, createFakeProvider } = require('../llm-providers');
+const { calculateCosineSimilarity } = require('../database');
+const { parseStructuredSummary, validateStructuredSummary } = require('../summary-format');
+
+// Stub model server: answers each path like the real API and records the requests it got
+function startStubServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : {};
+      requests.push({ path: req.url, headers: req.headers, body });
+      const route = routes[req.url];
+      if (!route) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+        return;
+      }
+      route(body, res);
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+const json = (res, data) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+describe('Ollama provider contract', () => {
+  let stub;
+  let provider;
+
+  beforeAll(async () => {
+    stub = await startStubServer({
+      '/api/generate': (body, res) => {
+        if (!body.stream) return json(res, { model: body.model, response: `Résumé de: ${body.prompt}`, done: true });
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write(JSON.stringify({ response: 'Bon', done: false }) + '\n');
+        res.write(JSON.stringify({ response: 'jour', done: false }) + '\n');
+        res.end(JSON.stringify({ response: '', done: true }) + '\n');
+      },
+      '/api/embeddings': (body, res) => json(res, { embedding: [0.1, 0.2, body.prompt.length] })
+    });
+    provider = createOllamaProvider({ baseUrl: stub.baseUrl });
+  });
+
+  afterAll(() => new Promise(resolve => stub.server.close(resolve)));
+  beforeEach(() => { stub.requests.length = 0; });
+
+  test('should generate with /api/generate and Ollama options', async () => {
+    const data = await provider.generate({ model: 'llama3.2:1b', prompt: 'Texte', temperature: 0.2, maxTokens: 50 });
+    expect(data).toEqual({ response: 'Résumé de: Texte' });
+    expect(stub.requests[0].body).toEqual({
+      model: 'llama3.2:1b',
+      prompt: 'Texte',
+      options: { temperature: 0.2, num_predict: 50 },
+      stream: false
+    });
+  });
+
+  test('should forward streamed tokens', async () => {
+    const tokens = [];
+    const data = await provider.generate({ model: 'llama3.2:1b', prompt: 'Texte' }, { onToken: token => tokens.push(token) });
+    expect(tokens).toEqual(['Bon', 'jour']);
+    expect(data.response).toBe('Bonjour');
+  });
+
+  test('should send images to describe', async () => {
+    await provider.describeImage({ model: 'llava:7b', prompt: 'Décris', image: 'aGVsbG8=' });
+    expect(stub.requests[0].body.images).toEqual(['aGVsbG8=']);
+  });
+
+  test('should embed with /api/embeddings', async () => {
+    await expect(provider.embed('nomic-embed-text', 'abc')).resolves.toEqual([0.1, 0.2, 3]);
+    expect(stub.requests[0].body).toEqual({ model: 'nomic-embed-text', prompt: 'abc' });
+  });
+
+  test('should surface HTTP errors with the stage', async () => {
+    const broken = createOllamaProvider({ baseUrl: `${stub.baseUrl}/missing` });
+    await expect(broken.embed('nomic-embed-text', 'abc')).rejects.toMatchObject({ code: 'model_error', stage: 'embedding' });
+  });
+});
+
+describe('OpenAI-compatible provider contract', () => {
+  let stub;
+  let provider;
+
+  beforeAll(async () => {
+    stub = await startStubServer({
+      '/v1/chat/completions': (body, res) => {
+        if (!body.stream) {
+          return json(res, { choices: [{ index: 0, message: { role: 'assistant', content: 'Réponse complète' } }] });
+        }
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { role: 'assistant' } }] })}\n\n`);
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Bon' } }] })}\n\n`);
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'jour' } }] })}\n\n`);
+        res.end('data: [DONE]\n\n');
+      },
+      '/v1/embeddings': (body, res) => json(res, { data: [{ index: 0, embedding: [0.5, body.input.length] }] })
+    });
+    provider = createOpenAiProvider({ baseUrl: `${stub.baseUrl}/v1`, apiKey: 'secret' });
+  });
+
+  afterAll(() => new Promise(resolve => stub.server.close(resolve)));
+  beforeEach(() => { stub.requests.length = 0; });
+
+  test('should generate with /chat/completions and the API key', async () => {
+    const data = await provider.generate({ model: 'qwen2.5', prompt: 'Texte', temperature: 0.2, maxTokens: 50 });
+    expect(data).toEqual({ response: 'Réponse complète' });
+    expect(stub.requests[0].headers.authorization).toBe('Bearer secret');
+    expect(stub.requests[0].body).toEqual({
+      model: 'qwen2.5',
+      messages: [{ role: 'user', content: 'Texte' }],
+      temperature: 0.2,
+      max_tokens: 50,
+      stream: false
+    });
+  });
+
+  test('should forward streamed tokens from server-sent events', async () => {
+    const tokens = [];
+    const data = await provider.generate({ model: 'qwen2.5', prompt: 'Texte' }, { onToken: token => tokens.push(token) });
+    expect(tokens).toEqual(['Bon', 'jour']);
+    expect(data.response).toBe('Bonjour');
+  });
+
+  test('should send images as data URLs to describe', async () => {
+    await provider.describeImage({ model: 'llava', prompt: 'Décris', image: 'aGVsbG8=' });
+    const [message] = stub.requests[0].body.messages;
+    expect(message.content).toEqual([
+      { type: 'text', text: 'Décris' },
+      { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,aGVsbG8=' } }
+    ]);
+  });
+
+  test('should embed with /embeddings', async () => {
+    await expect(provider.embed('nomic-embed-text', 'abcd')).resolves.toEqual([0.5, 4]);
+    expect(stub.requests[0].body).toEqual({ model: 'nomic-embed-text', input: 'abcd' });
+  });
+});
+
+describe('Fake provider', () => {
+  const provider = createFakeProvider({ dimension: 32 });
+
+  test('should answer deterministically in the summary format', async () => {
+    const tokens = [];
+    const first = await provider.generate({ model: 'llama3.2:1b', prompt: 'Texte' }, { onToken: token => tokens.push(token) });
+    const second = await provider.generate({ model: 'llama3.2:1b', prompt: 'Texte' });
+    const other = await provider.generate({ model: 'llama3.2:1b', prompt: 'Autre texte' });
+
+    expect(first).toEqual(second);
+    expect(other.response).not.toBe(first.response);
+    expect(tokens.join('')).toBe(first.response);
+    expect(validateStructuredSummary(parseStructuredSummary(first.response))).toEqual([]);
+  });
+
+  test('should embed texts sharing words close to each other', async () => {
+    const contract = await provider.embed('nomic-embed-text', 'Contrat de maintenance informatique annuel');
+    expect(contract).toHaveLength(32);
+    expect(await provider.embed('nomic-embed-text', 'Contrat de maintenance informatique annuel')).toEqual(contract);
+
+    const similar = await provider.embed('nomic-embed-text', 'Contrat de maintenance informatique mensuel');
+    const unrelated = await provider.embed('nomic-embed-text', 'Recette de la tarte aux pommes');
+    expect(calculateCosineSimilarity(contract, similar)).toBeGreaterThan(calculateCosineSimilarity(contract, unrelated));
+  });
+});
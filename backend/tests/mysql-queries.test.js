@@ -0,0 +1,124 @@
+// SQL sent to MySQL by database.js (the API tests run on the in-memory tables instead)
+jest.mock('mysql2/promise', () => {
+  const mockPool = { execute: jest.fn() };
+  return { createPool: () => mockPool, mockPool };
+});
+
+const { mockPool } = require('mysql2/promise');
+const {
+  listDocuments,
+  updateDocument,
+  searchDocumentsFulltext,
+  getCorpusPassages,
+  insertMessages,
+  getIndexWatermark
+} = require('../database');
+
+// Answers COUNT(*) queries with `total`, INSERTs with id 40, anything else with `rows`
+function mockResults({ rows = [], total = 0 } = {}) {
+  mockPool.execute.mockReset();
+  mockPool.execute.mockImplementation(async (sql) => {
+    if (sql.includes('COUNT(*) AS total')) return [[{ total }]];
+    if (sql.includes('INSERT')) return [{ insertId: 40, affectedRows: 2 }];
+    if (sql.startsWith('UPDATE')) return [{ affectedRows: 1 }];
+    return [rows];
+  });
+}
+
+const calls = () => mockPool.execute.mock.calls.map(([sql, params]) => ({ sql: sql.replace(/\s+/g, ' ').trim(), params }));
+
+// Every placeholder gets a value, in the order MySQL reads them
+function expectBoundParameters({ sql, params }) {
+  expect((sql.match(/\?/g) || []).length).toBe(params.length);
+}
+
+describe('document library queries', () => {
+  test('should filter, sort and paginate the document list', async () => {
+    mockResults({ rows: [{ id: 3, chunk_count: '2' }], total: '41' });
+    const result = await listDocuments({
+      page: 3,
+      page_size: 20,
+      sort: 'filename',
+      order: 'asc',
+      filters: { language: 'fr', filename: '50%_off' }
+    });
+
+    expect(result).toEqual({ documents: [{ id: 3, chunk_count: 2 }], total: 41 });
+    const [list, count] = calls();
+    expect(list.sql).toMatch(/WHERE language = \? AND filename LIKE \? ORDER BY filename ASC, id ASC LIMIT 20 OFFSET 40$/);
+    expect(list.params).toEqual(['fr', '%50\\%\\_off%']);
+    expect(count).toEqual({ sql: 'SELECT COUNT(*) AS total FROM documents WHERE language = ? AND filename LIKE ?', params: list.params });
+    calls().forEach(expectBoundParameters);
+  });
+
+  test('should not put an unknown sort column or order in the SQL', async () => {
+    mockResults();
+    await listDocuments({ sort: 'id; DROP TABLE documents', order: 'sideways', page_size: 'abc' });
+
+    const [list] = calls();
+    expect(list.sql).toMatch(/FROM documents ORDER BY created_at DESC, id DESC LIMIT 20 OFFSET 0$/);
+    expect(list.params).toEqual([]);
+  });
+
+  test('should only update the fields given, tags as JSON', async () => {
+    mockResults();
+    await expect(updateDocument(7, { tags: ['client-a'], ai_summary: 'Résumé' })).resolves.toBe(true);
+    expect(calls()).toEqual([
+      { sql: 'UPDATE documents SET tags = ?, ai_summary = ? WHERE id = ?', params: ['["client-a"]', 'Résumé', 7] }
+    ]);
+
+    mockPool.execute.mockClear();
+    await expect(updateDocument(7, {})).resolves.toBe(false);
+    expect(mockPool.execute).not.toHaveBeenCalled();
+  });
+});
+
+describe('search queries', () => {
+  test('should bind the keyword query around the filters of a fulltext search', async () => {
+    mockResults();
+    await searchDocumentsFulltext('contrat', 5, { mime_type: 'application/pdf', date_to: '2024-12-31' });
+
+    const [search] = calls();
+    expect(search.sql).toMatch(
+      /WHERE mime_type = \? AND created_at < DATE_ADD\(\?, INTERVAL 1 DAY\) AND MATCH\(extracted_text, ai_summary\) AGAINST \(\? IN NATURAL LANGUAGE MODE\) ORDER BY keyword_score DESC LIMIT 5$/
+    );
+    expect(search.params).toEqual(['contrat', 'application/pdf', '2024-12-31', 'contrat']);
+    expectBoundParameters(search);
+  });
+
+  test('should read corpus passages of the active model from chunks, and summaries of unchunked documents', async () => {
+    mockResults();
+    await getCorpusPassages({ ids: [4, 9] });
+
+    const [chunkQuery, legacyQuery] = calls();
+    expect(chunkQuery.sql).toMatch(/JOIN documents d ON d\.id = c\.document_id WHERE d\.embedding_model = \? AND d\.id IN \(\?, \?\)$/);
+    expect(legacyQuery.sql).toMatch(/WHERE d\.embedding_model = \? AND d\.id IN \(\?, \?\) AND NOT EXISTS/);
+    expect(chunkQuery.params).toEqual(['nomic-embed-text', 4, 9]);
+    calls().forEach(expectBoundParameters);
+  });
+});
+
+describe('conversation and index queries', () => {
+  test('should store a question and its answer in a single INSERT', async () => {
+    mockResults();
+    const ids = await insertMessages(2, [
+      { role: 'user', content: 'Durée ?' },
+      { role: 'assistant', content: 'Deux ans.', citations: [{ ref: 1 }] }
+    ]);
+
+    expect(ids).toEqual([40, 41]);
+    const [insert] = calls();
+    expect(insert.sql).toBe('INSERT INTO messages (conversation_id, role, content, citations) VALUES (?, ?, ?, ?), (?, ?, ?, ?)');
+    expect(insert.params).toEqual([2, 'user', 'Durée ?', null, 2, 'assistant', 'Deux ans.', '[{"ref":1}]']);
+  });
+
+  test('should build the vector index watermark from the count, last id and last update', async () => {
+    mockPool.execute.mockReset();
+    mockPool.execute.mockResolvedValue([[{ total: '12', max_id: 5, last_update: new Date('2024-05-01T10:00:00Z') }]]);
+    await expect(getIndexWatermark()).resolves.toBe(`12:5:${Date.parse('2024-05-01T10:00:00Z')}`);
+
+    mockPool.execute.mockResolvedValue([[{ total: 0, max_id: null, last_update: null }]]);
+    await expect(getIndexWatermark()).resolves.toBe('0:0:0');
+    calls().forEach(expectBoundParameters);
+  });
+});
@@ -0,0 +1,80 @@
+process.env.OLLAMA_MAX_RETRIES = '2';
+process.env.OLLAMA_RETRY_BASE_MS = '1';
+process.env.OLLAMA_RETRY_MAX_MS = '1';
+process.env.OLLAMA_BREAKER_THRESHOLD = '2';
+process.env.OLLAMA_BREAKER_COOLDOWN_MS = '60000';
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const { ollamaPost, isOllamaCircuitOpen, getOllamaStatus } = require('../ollama-client');
+
+const refused = () => Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:11434'), { code: 'ECONNREFUSED' });
+const timedOut = () => Object.assign(new Error('timeout of 300000ms exceeded'), { code: 'ECONNABORTED' });
+const notFound = () => Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+
+describe('ollama-client', () => {
+  beforeEach(() => axios.post.mockReset());
+
+  test('should retry a transient failure and reset the failure count on success', async () => {
+    axios.post.mockRejectedValueOnce(refused()).mockResolvedValueOnce({ status: 200, data: { response: 'ok' } });
+
+    const res = await ollamaPost('/api/generate', { model: 'llama3.2:1b' }, { stage: 'generate' });
+    expect(res.data.response).toBe('ok');
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(getOllamaStatus()).toMatchObject({ circuit: 'closed', consecutive_failures: 0 });
+  });
+
+  test('should not retry nor count a non-transient failure', async () => {
+    axios.post.mockRejectedValue(notFound());
+
+    await expect(ollamaPost('/api/generate', { model: 'missing' }, { stage: 'generate' }))
+      .rejects.toMatchObject({ code: 'model_error', stage: 'generate' });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(getOllamaStatus().consecutive_failures).toBe(0);
+  });
+
+  test('should not retry nor count a generation timeout', async () => {
+    axios.post.mockRejectedValue(timedOut());
+
+    await expect(ollamaPost('/api/generate', { model: 'llama3.2:1b' }, { stage: 'merge', generation: true }))
+      .rejects.toMatchObject({ code: 'timeout', stage: 'merge' });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(getOllamaStatus().consecutive_failures).toBe(0);
+  });
+
+  test('should open the circuit after repeated failures and then refuse calls', async () => {
+    axios.post.mockRejectedValue(refused());
+
+    for (let i = 0; i < 2; i++) {
+      await expect(ollamaPost('/api/embeddings', { model: 'nomic-embed-text' }, { stage: 'embedding' }))
+        .rejects.toMatchObject({ code: 'unavailable' });
+    }
+    // 2 calls x (1 attempt + 2 retries)
+    expect(axios.post).toHaveBeenCalledTimes(6);
+    expect(isOllamaCircuitOpen()).toBe(true);
+
+    const refusal = ollamaPost('/api/embeddings', { model: 'nomic-embed-text' }, { stage: 'embedding' });
+    await expect(refusal).rejects.toMatchObject({ code: 'circuit_open', stage: 'embedding' });
+    await refusal.catch(error => expect(error.retryAfterMs).toBeGreaterThan(0));
+    expect(axios.post).toHaveBeenCalledTimes(6);
+    expect(getOllamaStatus()).toMatchObject({ circuit: 'open', consecutive_failures: 2 });
+  });
+
+  test('should close the circuit when the half-open trial call succeeds', async () => {
+    // The circuit opened by the previous test; let its cooldown elapse
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now + 60000);
+    try {
+      expect(isOllamaCircuitOpen()).toBe(false);
+      axios.post.mockResolvedValueOnce({ status: 200, data: { embedding: [0.1] } });
+
+      const res = await ollamaPost('/api/embeddings', { model: 'nomic-embed-text' }, { stage: 'embedding' });
+      expect(res.data.embedding).toEqual([0.1]);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(getOllamaStatus()).toMatchObject({ circuit: 'closed', consecutive_failures: 0, retry_after_seconds: 0 });
+    } finally {
+      clock.mockRestore();
+    }
+  });
+});
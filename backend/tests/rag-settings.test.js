@@ -0,0 +1,56 @@
+// Fake rag_settings and rag_settings_audit tables
+const mockSettings = new Map();
+const mockAudit = [];
+
+jest.mock('../database', () => ({
+  getAllRagSettings: async () => (
+    [...mockSettings].map(([setting_key, setting_value]) => ({ setting_key, setting_value, updated_at: null }))
+  ),
+  insertRagSettingAudit: async (change) => {
+    mockAudit.push(change);
+  },
+  updateRagSetting: async (key, value) => {
+    mockSettings.set(key, value);
+  }
+}));
+
+const { validateSetting, getSettingsDetails, getEffectiveSettings, updateSettings } = require('../rag-settings');
+
+describe('RAG settings', () => {
+  test('validates types and ranges', () => {
+    expect(validateSetting('similarity_threshold', '0.9')).toEqual({ value: 0.9 });
+    expect(validateSetting('similarity_threshold', 1.2).error).toMatch(/entre 0 et 1/);
+    expect(validateSetting('max_similar_documents', 2.5).error).toMatch(/entier/);
+    expect(validateSetting('cache_expiry_hours', 'abc').error).toMatch(/nombre/);
+    expect(validateSetting('embedding_dimension', 512).error).toMatch(/inconnu/);
+  });
+
+  test('ignores invalid database values and reports where each value comes from', async () => {
+    mockSettings.set('similarity_threshold', '0.8');
+    mockSettings.set('max_similar_documents', '-3');
+
+    const details = await getSettingsDetails();
+    expect(details.similarity_threshold).toMatchObject({ value: 0.8, source: 'database' });
+    expect(details.max_similar_documents).toMatchObject({ value: 5, source: 'default' });
+  });
+
+  test('saves valid changes with an audit row and applies them at once', async () => {
+    await getEffectiveSettings();
+
+    const rejected = await updateSettings({ ask_top_k: 6, max_similar_documents: 0 }, 'alice');
+    expect(rejected.errors).toHaveLength(1);
+    expect(mockAudit).toHaveLength(0);
+
+    const { changed } = await updateSettings({ similarity_threshold: 0.9, ask_top_k: 6 }, 'alice');
+    expect(changed).toEqual([
+      { key: 'similarity_threshold', old_value: 0.8, new_value: 0.9 },
+      { key: 'ask_top_k', old_value: 4, new_value: 6 }
+    ]);
+    expect(mockAudit[0]).toEqual({ setting_key: 'similarity_threshold', old_value: '0.8', new_value: '0.9', changed_by: 'alice' });
+    expect(await getEffectiveSettings()).toMatchObject({ similarity_threshold: 0.9, ask_top_k: 6 });
+
+    // Unchanged values are not recorded again
+    expect((await updateSettings({ similarity_threshold: 0.9 }, 'bob')).changed).toEqual([]);
+    expect(mockAudit).toHaveLength(2);
+  });
+});
@@ -0,0 +1,27 @@
+const { fuseRankings } = require('../rank-fusion');
+
+describe('fuseRankings', () => {
+  const vector = [
+    { id: 1, filename: 'a.pdf', similarity_score: 0.82 },
+    { id: 2, filename: 'b.pdf', similarity_score: 0.75 }
+  ];
+  const keyword = [
+    { id: 3, filename: 'c.pdf', keyword_score: 12.4 },
+    { id: 2, filename: 'b.pdf', keyword_score: 3.1 }
+  ];
+  const scoreFields = { vector: 'similarity_score', keyword: 'keyword_score' };
+
+  test('should rank documents found by both signals first', () => {
+    const fused = fuseRankings({ vector, keyword }, { scoreFields, k: 60 });
+    expect(fused.map(doc => doc.id)).toEqual([2, 1, 3]);
+    expect(fused[0].rrf_score).toBeCloseTo(2 / 62);
+    expect(fused[0].matched_by).toEqual(['vector', 'keyword']);
+  });
+
+  test('should report the rank and score of each contributing signal', () => {
+    const fused = fuseRankings({ vector, keyword }, { scoreFields, limit: 3 });
+    const keywordOnly = fused.find(doc => doc.id === 3);
+    expect(keywordOnly.signals).toEqual({ vector: null, keyword: { rank: 1, score: 12.4 } });
+    expect(keywordOnly.matched_by).toEqual(['keyword']);
+  });
+});
@@ -0,0 +1,91 @@
+// Documents of a fake database: re-embedding changes their model, like updateDocumentEmbeddings
+const mockStore = new Map();
+
+jest.mock('../database', () => ({
+  getDocumentChunks: async id => mockStore.get(id).chunks,
+  listDocumentsToReembed: async (model, afterId, limit) => [...mockStore.values()]
+    .filter(doc => doc.embedding_model !== model && doc.id > afterId)
+    .sort((a, b) => a.id - b.id)
+    .slice(0, limit),
+  countDocumentsToReembed: async model => [...mockStore.values()].filter(doc => doc.embedding_model !== model).length,
+  updateDocumentEmbeddings: async (id, { embedding, chunks, model }) => {
+    Object.assign(mockStore.get(id), { embedding, chunk_embeddings: chunks, embedding_model: model });
+  }
+}));
+
+jest.mock('../rag-service', () => {
+  const generateEmbedding = async text => {
+    if (text.includes('Ollama down')) throw new Error('connect ECONNREFUSED');
+    return [text.length, 1];
+  };
+  return {
+    EMBEDDING_MODEL: 'new-model',
+    generateEmbedding,
+    embedDocumentText: async text => ({ embedding: await generateEmbedding(text), windowCount: 1 })
+  };
+});
+
+const { startReembedJob, getReembedJob } = require('../reembed');
+
+function addDocument(id, extractedText, chunkTexts = [], model = 'old-model') {
+  mockStore.set(id, {
+    id,
+    filename: `doc-${id}.pdf`,
+    extracted_text: extractedText,
+    embedding_model: model,
+    chunks: chunkTexts.map((chunkText, chunkIndex) => ({ chunk_index: chunkIndex, chunk_text: chunkText }))
+  });
+}
+
+async function waitForJob() {
+  for (;;) {
+    const job = getReembedJob();
+    if (job.status === 'done' || job.status === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('re-embed job', () => {
+  beforeEach(() => mockStore.clear());
+
+  test('should re-embed documents and chunks of other models only, with progress', async () => {
+    addDocument(1, 'Contrat de maintenance', ['Objet', 'Durée']);
+    addDocument(2, 'Facture', [], 'new-model');
+    addDocument(3, 'Avenant', ['Article 1']);
+
+    const { job, started } = startReembedJob();
+    expect(started).toBe(true);
+    expect(job).toMatchObject({ type: 'reembed', embedding_model: 'new-model' });
+
+    const finished = await waitForJob();
+    expect(finished.status).toBe('done');
+    expect(finished.progress).toEqual({ current: 2, total: 2 });
+    expect(finished.result).toMatchObject({ processed: 2, reembedded: 2, failed: [] });
+    expect(mockStore.get(1).chunk_embeddings.map(chunk => chunk.chunk_index)).toEqual([0, 1]);
+    expect(mockStore.get(2).embedding).toBeUndefined();
+    expect([...mockStore.values()].every(doc => doc.embedding_model === 'new-model')).toBe(true);
+  });
+
+  test('should stop when the model keeps failing and resume with the remaining documents', async () => {
+    addDocument(1, 'Contrat');
+    addDocument(2, 'Ollama down A');
+    addDocument(3, 'Ollama down B');
+    addDocument(4, 'Ollama down C');
+    addDocument(5, 'Facture');
+
+    startReembedJob();
+    const stopped = await waitForJob();
+    expect(stopped.status).toBe('failed');
+    expect(stopped.error).toMatch(/3 consecutive failures/);
+    expect(mockStore.get(1).embedding_model).toBe('new-model');
+    expect(mockStore.get(5).embedding_model).toBe('old-model');
+
+    // Ollama is back: a new job only picks up the documents not converted yet
+    for (const id of [2, 3, 4]) mockStore.get(id).extracted_text = `Document ${id}`;
+    const { started } = startReembedJob();
+    expect(started).toBe(true);
+    const resumed = await waitForJob();
+    expect(resumed.result).toMatchObject({ processed: 4, reembedded: 4 });
+    expect([...mockStore.values()].every(doc => doc.embedding_model === 'new-model')).toBe(true);
+  });
+});
@@ -0,0 +1,120 @@
+process.env.RAG_ENABLED = 'true';
+
+// A stored document with the same file and a similar one at 0.9
+const mockStoredDocument = {
+  id: 7,
+  filename: 'contrat-2023.pdf',
+  extracted_text: 'Contrat de prestation de maintenance informatique. Le prestataire assure le support du lundi au vendredi. ' +
+    'Le prix est de 10 000 euros. Durée : 12 mois, renouvelable par tacite reconduction.',
+  ai_summary: '[Similar to: contrat-2022.pdf]\n\nRésumé existant',
+  created_at: '2024-01-01'
+};
+
+jest.mock('axios', () => ({
+  post: jest.fn(async () => ({ status: 200, data: { embedding: [1, 0, 0] } }))
+}));
+
+jest.mock('../database', () => ({
+  getDocumentByHash: jest.fn(async () => null),
+  getDocumentByTextHash: jest.fn(async () => null),
+  getDocumentFingerprints: jest.fn(async () => []),
+  getDocumentById: jest.fn(async () => mockStoredDocument),
+  insertDocument: jest.fn(async () => 42),
+  insertDocumentChunks: jest.fn(async () => {}),
+  invalidateSimilarityCacheForNewDocument: jest.fn(async () => {}),
+  findSimilarDocuments: jest.fn(async () => [{ ...mockStoredDocument, similarity_score: 0.9 }])
+}));
+
+jest.mock('../rag-settings', () => ({
+  getEffectiveSettings: async () => ({ similarity_threshold: 0.85, max_similar_documents: 5, simhash_max_distance: 3 })
+}));
+
+const database = require('../database');
+const { processDocumentWithRAG } = require('../rag-service');
+const { computeSimHash } = require('../text-fingerprint');
+
+const file = { originalname: 'contrat-2024.pdf', size: 12, mimetype: 'application/pdf', buffer: Buffer.from('contrat 2024') };
+
+describe('processDocumentWithRAG reuse policy', () => {
+  beforeEach(() => database.getDocumentByHash.mockResolvedValue(null));
+
+  test('similar reuses a similar summary unless the threshold override is higher', async () => {
+    const reused = await processDocumentWithRAG(file, mockStoredDocument.extracted_text, null, { reuse: 'similar' });
+    expect(reused).toMatchObject({
+      isFromRAG: true,
+      matchType: 'similar',
+      summaryMode: 'delta',
+      aiSummary: 'Résumé existant',
+      reusePolicy: 'similar',
+      similarityThreshold: 0.85
+    });
+    expect(reused.needsDeltaPatch).toBeUndefined();
+
+    const strict = await processDocumentWithRAG(file, 'Contrat de prestation', null, { reuse: 'similar', threshold: 0.95 });
+    expect(strict).toMatchObject({ isFromRAG: false, needsAiGeneration: true, similarityThreshold: 0.95 });
+    expect(strict.similarDocuments).toHaveLength(1);
+  });
+
+  test('similar asks for a patch of the summary when a few sentences changed', async () => {
+    const changedText = mockStoredDocument.extracted_text.replace('10 000', '12 500');
+    const result = await processDocumentWithRAG(file, changedText, null, { reuse: 'similar' });
+    expect(result).toMatchObject({ isFromRAG: true, needsDeltaPatch: true, aiSummary: 'Résumé existant' });
+    expect(result.delta.added).toEqual(['Le prix est de 12 500 euros.']);
+    expect(result.embedding).toBeDefined();
+  });
+
+  test('similar patches the summary of a near-duplicate differing only in numbers', async () => {
+    const contract = (amount, date) => [
+      'Contrat de prestation de maintenance informatique entre la société Alpha et la société Beta.',
+      'Le prestataire assure le support technique du lundi au vendredi de neuf heures à dix-huit heures.',
+      'Les interventions sur site sont planifiées avec le client au moins deux jours ouvrés à l\'avance.',
+      'Les incidents bloquants sont pris en charge dans un délai de quatre heures ouvrées.',
+      'Le prestataire tient à jour l\'inventaire du parc et le registre des interventions.',
+      'Un rapport d\'activité est remis au client à la fin de chaque trimestre.',
+      `Le prix annuel est de ${amount} euros hors taxes, payable par trimestre à réception de facture.`,
+      'Les pièces détachées et les déplacements hors agglomération sont facturés en sus.',
+      `Le contrat prend effet le ${date} pour une durée de douze mois, renouvelable par tacite reconduction.`,
+      'Chaque partie peut le résilier par lettre recommandée avec un préavis de trois mois.'
+    ].join(' ');
+    const stored = { ...mockStoredDocument, extracted_text: contract('10 000', '1er janvier 2023'), ai_summary: 'Résumé 2023' };
+    const changedText = contract('12 500', '1er janvier 2024');
+    // On a full-length contract, a few changed figures leave the SimHash unchanged
+    database.getDocumentFingerprints.mockResolvedValueOnce([{ id: 7, simhash: computeSimHash(changedText) }]);
+    database.getDocumentById.mockResolvedValueOnce(stored);
+
+    const result = await processDocumentWithRAG(file, changedText, null, { reuse: 'similar' });
+    expect(result).toMatchObject({
+      isFromRAG: true,
+      matchType: 'near_duplicate',
+      summaryMode: 'delta',
+      needsDeltaPatch: true,
+      aiSummary: 'Résumé 2023',
+      matchedDocument: { id: 7 }
+    });
+    expect(result.delta.added).toHaveLength(2);
+    expect(result.embedding).toBeDefined();
+    expect(result.chunks.length).toBeGreaterThan(0);
+  });
+
+  test('similar generates a new summary when the texts differ too much', async () => {
+    const result = await processDocumentWithRAG(file, 'Avenant au bail commercial.', null, { reuse: 'similar' });
+    expect(result).toMatchObject({ isFromRAG: false, needsAiGeneration: true });
+  });
+
+  test('exact-only lists similar documents without reusing them', async () => {
+    const result = await processDocumentWithRAG(file, 'Contrat de prestation', null, { reuse: 'exact-only' });
+    expect(result).toMatchObject({ isFromRAG: false, needsAiGeneration: true, reusePolicy: 'exact-only' });
+    expect(result.similarDocuments).toHaveLength(1);
+  });
+
+  test('fresh ignores an identical stored file and does not store it again', async () => {
+    database.getDocumentByHash.mockResolvedValue(mockStoredDocument);
+
+    const exact = await processDocumentWithRAG(file, 'Contrat de prestation', null, { reuse: 'exact-only' });
+    expect(exact).toMatchObject({ isFromRAG: true, matchType: 'file_hash' });
+
+    const fresh = await processDocumentWithRAG(file, 'Contrat de prestation', null, { reuse: 'fresh' });
+    expect(fresh).toMatchObject({ isFromRAG: false, needsAiGeneration: true, existingDocumentId: 7, reusePolicy: 'fresh' });
+    expect(fresh.embedding).toBeUndefined();
+  });
+});
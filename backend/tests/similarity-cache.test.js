@@ -0,0 +1,110 @@
+jest.mock('mysql2/promise', () => {
+  const mockPool = { execute: jest.fn() };
+  return { createPool: () => mockPool, mockPool };
+});
+
+const { mockPool } = require('mysql2/promise');
+const { buildQueryHash, invalidateSimilarityCacheForNewDocument, findSimilarDocuments } = require('../database');
+const { encodeFloat32, encodeInt8 } = require('../embedding-codec');
+
+describe('similarity cache key', () => {
+  const embedding = [0.1, -0.2, 0.3];
+
+  test('should give the same key for the same search, whatever the filter order', () => {
+    const a = buildQueryHash(embedding, { threshold: 0.3, limit: 10, filters: { language: 'fr', mime_type: 'application/pdf' } });
+    const b = buildQueryHash(Float32Array.from(embedding), { threshold: 0.3, limit: 10, filters: { mime_type: 'application/pdf', language: 'fr' } });
+    expect(a).toMatch(/^[0-9a-f]{64}$/);
+    expect(b).toBe(a);
+  });
+
+  test('should change with every parameter that changes the results', () => {
+    const base = { threshold: 0.3, limit: 10, filters: {} };
+    const keys = [
+      buildQueryHash(embedding, base),
+      buildQueryHash([0.1, -0.2, 0.31], base),
+      buildQueryHash(embedding, { ...base, threshold: 0.5 }),
+      buildQueryHash(embedding, { ...base, limit: 5 }),
+      buildQueryHash(embedding, { ...base, filters: { language: 'en' } }),
+      buildQueryHash(embedding, { ...base, queryChunkEmbeddings: [[0.4, 0.5, 0.6]] })
+    ];
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+});
+
+describe('similarity cache invalidation on a new document', () => {
+  // Cached query rows: vectors, parameters and the size / lowest score of their results
+  const cachedQuery = (hash, vector, { filters = {}, resultCount = 1, lowestScore = 0.9, limit = 5 } = {}) => ({
+    query_hash: hash,
+    query_vectors: encodeFloat32(vector),
+    chunk_count: 0,
+    threshold: '0.80000000',
+    result_limit: limit,
+    filters: JSON.stringify(filters),
+    result_count: resultCount,
+    lowest_score: lowestScore
+  });
+
+  test('should only drop the queries the document would enter', async () => {
+    mockPool.execute.mockReset();
+    mockPool.execute.mockImplementation(async (sql) => {
+      if (sql.includes('FROM rag_settings')) {
+        return [[{ setting_key: 'cache_expiry_hours', setting_value: '12', updated_at: null }]];
+      }
+      if (sql.includes('FROM similarity_cache_queries q')) {
+        return [[
+          cachedQuery('close', [1, 0]),
+          cachedQuery('far', [0, 1]),
+          cachedQuery('other-language', [1, 0], { filters: { language: 'en' } }),
+          cachedQuery('full', [1, 0.1], { resultCount: 5, lowestScore: 0.999 }),
+          cachedQuery('full-but-beaten', [1, 0], { resultCount: 5, lowestScore: 0.95 })
+        ]];
+      }
+      return [{ affectedRows: 1 }];
+    });
+
+    await invalidateSimilarityCacheForNewDocument(9, {
+      filename: 'contrat.pdf',
+      mime_type: 'application/pdf',
+      language: 'fr',
+      embedding: [1, 0],
+      embedding_model: 'nomic-embed-text'
+    });
+
+    // Only the queries that have not expired are loaded
+    const [scanSql, scanParams] = mockPool.execute.mock.calls.find(([sql]) => sql.includes('FROM similarity_cache_queries q'));
+    expect(scanSql).toMatch(/q\.created_at > DATE_SUB\(NOW\(\), INTERVAL \? HOUR\)/);
+    expect(scanParams).toEqual([12]);
+
+    const deletes = mockPool.execute.mock.calls.filter(([sql]) => sql.startsWith('DELETE'));
+    expect(deletes).toHaveLength(1);
+    expect(deletes[0][1]).toEqual(['close', 'full-but-beaten']);
+  });
+});
+
+describe('similarity search order', () => {
+  // Rows come back newest first (created_at DESC), not in score order
+  const stored = [
+    { id: 2, filename: 'recent.pdf', created_at: '2024-06-01', embedding: [0.99, Math.sqrt(1 - 0.99 ** 2)] },
+    { id: 1, filename: 'ancien.pdf', created_at: '2024-01-01', embedding: [0.96, Math.sqrt(1 - 0.96 ** 2)] }
+  ];
+
+  test('should rank every document above the threshold by score, whatever their age', async () => {
+    mockPool.execute.mockReset();
+    mockPool.execute.mockImplementation(async (sql) => {
+      if (sql.includes('FROM similarity_cache c')) return [[]];
+      if (sql.includes('FROM document_chunks')) return [[]];
+      if (sql.includes('SELECT id, embedding_int8 FROM documents')) {
+        return [stored.map(doc => ({ id: doc.id, embedding_int8: encodeInt8(doc.embedding) }))];
+      }
+      if (sql.includes('FROM documents')) {
+        return [stored.map(doc => ({ ...doc, language: 'fr', embedding: encodeFloat32(doc.embedding) }))];
+      }
+      return [{ affectedRows: 1 }];
+    });
+
+    const results = await findSimilarDocuments([1, 0], 0.85, 5, { language: 'fr' });
+    expect(results.map(doc => doc.id)).toEqual([2, 1]);
+    expect(results[0].similarity_score).toBeCloseTo(0.99, 4);
+    expect(results[1].similarity_score).toBeCloseTo(0.96, 4);
+  });
+});
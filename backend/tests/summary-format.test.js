@@ -0,0 +1,64 @@
+const { parseStructuredSummary, validateStructuredSummary } = require('../summary-format');
+
+describe('parseStructuredSummary', () => {
+  test('should parse the sections requested by buildPdfSummaryPrompt', () => {
+    const text = [
+      '**Titre :** Contrat de maintenance 2024',
+      '',
+      '**Résumé (3-6 phrases):**',
+      'Le contrat couvre la maintenance des serveurs.',
+      'Il est conclu pour une durée de deux ans.',
+      '',
+      '**Points clés (puces courtes):**',
+      '- Durée : 24 mois',
+      '* Préavis de 3 mois',
+      '1. Paiement trimestriel',
+      '',
+      '## Conclusions / Recommandations:',
+      'Renouveler avant le 1er mars.'
+    ].join('\n');
+
+    expect(parseStructuredSummary(text)).toEqual({
+      title: 'Contrat de maintenance 2024',
+      summary: 'Le contrat couvre la maintenance des serveurs. Il est conclu pour une durée de deux ans.',
+      key_points: ['Durée : 24 mois', 'Préavis de 3 mois', 'Paiement trimestriel'],
+      conclusions: 'Renouveler avant le 1er mars.'
+    });
+  });
+
+  test('should map image sections and skip the reuse marker', () => {
+    const text = [
+      '[Similar to: photo.png]',
+      '',
+      'Titre: Coucher de soleil',
+      'Résumé (2-4 phrases): Une plage au crépuscule.',
+      'Éléments visuels (puces):',
+      '- Soleil orange',
+      'Contexte / Interprétation: Photo de vacances.'
+    ].join('\n');
+
+    const structured = parseStructuredSummary(text);
+    expect(structured.title).toBe('Coucher de soleil');
+    expect(structured.key_points).toEqual(['Soleil orange']);
+    expect(structured.conclusions).toBe('Photo de vacances.');
+    expect(validateStructuredSummary(structured)).toEqual([]);
+  });
+
+  test('should accept translated headings for English and German summaries', () => {
+    const english = parseStructuredSummary('Title: Annual report\nSummary: Revenue grew.\nKey points:\n- Growth 5%\nConclusions: Keep going.');
+    expect(validateStructuredSummary(english)).toEqual([]);
+
+    const german = parseStructuredSummary('Titel: Jahresbericht\nZusammenfassung: Umsatz gestiegen.\nKernpunkte:\n- Wachstum 5%\nSchlussfolgerungen: Weiter so.');
+    expect(german.conclusions).toBe('Weiter so.');
+    expect(validateStructuredSummary(german)).toEqual([]);
+  });
+
+  test('should report missing sections for unstructured output', () => {
+    const structured = parseStructuredSummary("Erreur lors de l'appel à Ollama.");
+    expect(validateStructuredSummary(structured)).toEqual([
+      'missing title',
+      'missing summary',
+      'missing key_points'
+    ]);
+  });
+});
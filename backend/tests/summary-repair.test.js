@@ -0,0 +1,63 @@
+// Documents of a fake database, some stored with an Ollama error message as summary
+const mockStore = new Map();
+
+jest.mock('../database', () => {
+  const isPoisoned = (doc, markers) => markers.some(marker => doc.ai_summary.includes(marker));
+  return {
+    listDocumentsWithSummaryMarkers: async (markers, afterId, limit) => [...mockStore.values()]
+      .filter(doc => isPoisoned(doc, markers) && doc.id > afterId)
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit),
+    countDocumentsWithSummaryMarkers: async markers => [...mockStore.values()].filter(doc => isPoisoned(doc, markers)).length,
+    updateDocument: async (id, { ai_summary }) => {
+      mockStore.get(id).ai_summary = ai_summary;
+      return true;
+    }
+  };
+});
+
+const { LlmError } = require('../llm-errors');
+const { countPoisonedDocuments, startRepairJob, getRepairJob } = require('../summary-repair');
+
+async function waitForJob() {
+  for (let i = 0; i < 100; i++) {
+    const job = getRepairJob();
+    if (job.status === 'done' || job.status === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Repair job did not finish');
+}
+
+describe('summary repair job', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    mockStore.set(1, { id: 1, filename: 'ok.pdf', extracted_text: 'Texte valide', ai_summary: 'Titre: Contrat' });
+    mockStore.set(2, { id: 2, filename: 'panne.pdf', extracted_text: 'Texte A', ai_summary: "Erreur lors de l'appel à Ollama." });
+    mockStore.set(3, { id: 3, filename: 'chunk.pdf', extracted_text: 'Texte B', ai_summary: '[Chunk 2 - Processing Error: ...]' });
+    mockStore.set(4, { id: 4, filename: 'copie.pdf', extracted_text: 'Texte C', ai_summary: "[Similar to: panne.pdf]\n\nErreur lors de l'appel à Ollama." });
+  });
+
+  test('should regenerate only the poisoned summaries', async () => {
+    expect(await countPoisonedDocuments()).toBe(3);
+
+    const { started } = startRepairJob(async document => `Résumé de ${document.extracted_text}`);
+    expect(started).toBe(true);
+    const job = await waitForJob();
+
+    expect(job.result).toMatchObject({ processed: 3, repaired: 3, failed: [] });
+    expect(mockStore.get(1).ai_summary).toBe('Titre: Contrat');
+    expect(mockStore.get(4).ai_summary).toBe('Résumé de Texte C');
+    expect(await countPoisonedDocuments()).toBe(0);
+  });
+
+  test('should stop while Ollama keeps failing and leave the rows to repair', async () => {
+    startRepairJob(async () => {
+      throw new LlmError('Ollama chunk 1/1 failed: connect ECONNREFUSED', { code: 'unavailable', stage: 'chunk 1/1' });
+    });
+    const job = await waitForJob();
+
+    expect(job.status).toBe('failed');
+    expect(job.error).toMatch(/3 consecutive failures/);
+    expect(await countPoisonedDocuments()).toBe(3);
+  });
+});
@@ -0,0 +1,24 @@
+const { splitSentences, diffTexts } = require('../text-diff');
+
+describe('text-diff', () => {
+  test('should split on sentence ends and line breaks', () => {
+    expect(splitSentences('Article 1. Le prix est fixé.\nArticle 2 : durée')).toEqual([
+      'Article 1.', 'Le prix est fixé.', 'Article 2 :', 'durée'
+    ]);
+  });
+
+  test('should report changed sentences only', () => {
+    const oldText = 'Contrat de prestation. Le prix est de 10 000 euros. Durée : 12 mois.';
+    const newText = 'Contrat de prestation. Le prix est de 12 500 euros. Durée : 12 mois.';
+    const delta = diffTexts(oldText, newText);
+    expect(delta.removed).toEqual(['Le prix est de 10 000 euros.']);
+    expect(delta.added).toEqual(['Le prix est de 12 500 euros.']);
+    expect(delta.changeRatio).toBeGreaterThan(0);
+    expect(delta.changeRatio).toBeLessThan(0.5);
+  });
+
+  test('should ignore reordered and reflowed sentences', () => {
+    const delta = diffTexts('Premier point. Second point.', 'Second   point.\nPremier point.');
+    expect(delta).toEqual({ removed: [], added: [], changedChars: 0, changeRatio: 0 });
+  });
+});
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const {
+  computeTextHash,
+  computeSimHash,
+  hammingDistance,
+  findNearestSimHash
+} = require('../text-fingerprint');
+
+const contract = [
+  'Le présent contrat de maintenance est conclu entre la société Alpha et la société Beta.',
+  'Il a pour objet la maintenance préventive et corrective des équipements informatiques du client.',
+  'Le prestataire intervient sur site dans un délai de quatre heures ouvrées après la déclaration de l\'incident.',
+  'Le contrat est conclu pour une durée de trois ans à compter de sa signature et se renouvelle tacitement.',
+  'Chaque partie peut le résilier par lettre recommandée avec un préavis de trois mois avant son échéance.',
+  'Le prix annuel est payable par trimestre, à réception de facture, par virement bancaire.',
+  'Les pénalités de retard sont calculées au taux de trois fois le taux d\'intérêt légal.'
+].join(' ');
+
+describe('computeTextHash', () => {
+  test('should match MySQL SHA2(extracted_text, 256) and ignore empty texts', () => {
+    expect(computeTextHash(contract)).toBe(crypto.createHash('sha256').update(contract, 'utf8').digest('hex'));
+    expect(computeTextHash('  ')).toBeNull();
+  });
+});
+
+describe('computeSimHash', () => {
+  test('should give close hashes to a lightly edited text and distant ones to another text', () => {
+    const original = computeSimHash(contract);
+    const edited = computeSimHash(contract.replace('quatre heures', 'six heures').replace('Alpha', 'Gamma'));
+    const other = computeSimHash(
+      'Facture numéro 2024-117 adressée à la société Delta pour la fourniture de matériel de bureau. '.repeat(3) +
+      'Montant hors taxes, taxe sur la valeur ajoutée, montant toutes taxes comprises et conditions de paiement à trente jours fin de mois.'
+    );
+
+    expect(original).toMatch(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(original, edited)).toBeLessThan(hammingDistance(original, other));
+    expect(hammingDistance(original, edited)).toBeLessThanOrEqual(12);
+  });
+
+  test('should not fingerprint texts that are too short', () => {
+    expect(computeSimHash('Contrat de maintenance.')).toBeNull();
+  });
+});
+
+describe('findNearestSimHash', () => {
+  test('should return the closest fingerprint within the maximum distance', () => {
+    const candidates = [
+      { id: 1, simhash: 'ffffffffffffffff' },
+      { id: 2, simhash: '0000000000000003' },
+      { id: 3, simhash: '0000000000000001' },
+      { id: 4, simhash: null }
+    ];
+    expect(findNearestSimHash('0000000000000000', candidates, 3)).toEqual({ id: 3, distance: 1 });
+    expect(findNearestSimHash('00000000000000ff', candidates, 3)).toBeNull();
+  });
+});
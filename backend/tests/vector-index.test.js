@@ -0,0 +1,207 @@
+const { createHnswIndex, restoreHnswIndex } = require('../hnsw');
+const { collectCandidateDocuments } = require('../vector-index');
+const { scoreDocumentChunks, calculateCosineSimilarity } = require('../database');
+
+// Deterministic pseudo-random vectors
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+}
+
+function randomVector(random, dimension) {
+  return Array.from({ length: dimension }, () => random());
+}
+
+// Slightly perturbed copy of a vector
+function nearby(random, vector, noise) {
+  return vector.map(value => value + random() * noise);
+}
+
+function bruteForceTopK(vectors, query, k) {
+  return vectors
+    .map((vector, i) => ({ label: `v${i}`, similarity: calculateCosineSimilarity(query, vector) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map(hit => hit.label);
+}
+
+describe('HNSW vector index', () => {
+  const random = createRandom(7);
+  const dimension = 32;
+  const vectors = Array.from({ length: 600 }, () => randomVector(random, dimension));
+  const index = createHnswIndex();
+  vectors.forEach((vector, i) => index.add(`v${i}`, vector, i));
+
+  test('should find at least 95% of the exact top-10 neighbours', () => {
+    let found = 0;
+    let total = 0;
+    for (let q = 0; q < 30; q++) {
+      const query = randomVector(random, dimension);
+      const exact = bruteForceTopK(vectors, query, 10);
+      const approximate = new Set(index.search(query, 10).map(hit => hit.label));
+      found += exact.filter(label => approximate.has(label)).length;
+      total += exact.length;
+    }
+    expect(found / total).toBeGreaterThanOrEqual(0.95);
+  });
+
+  test('should return the same results after a save/restore and skip removed vectors', () => {
+    const query = randomVector(random, dimension);
+    const restored = restoreHnswIndex(JSON.parse(JSON.stringify(index.toJSON())));
+    const before = index.search(query, 5).map(hit => hit.label);
+    expect(restored.search(query, 5).map(hit => hit.label)).toEqual(before);
+
+    restored.remove(before[0]);
+    expect(restored.search(query, 5).map(hit => hit.label)).not.toContain(before[0]);
+    expect(restored.size()).toBe(vectors.length - 1);
+  });
+
+  test('should only return accepted vectors, even far from the query', () => {
+    const query = randomVector(random, dimension);
+    // One vector in 60 passes the filter, fewer than the default search width
+    const hits = index.search(query, 5, undefined, i => i % 60 === 0);
+    expect(hits).toHaveLength(5);
+    expect(hits.every(hit => hit.data % 60 === 0)).toBe(true);
+
+    const exact = vectors
+      .map((vector, i) => ({ label: `v${i}`, similarity: calculateCosineSimilarity(query, vector) }))
+      .filter((hit, i) => i % 60 === 0)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, 5);
+    expect(hits.map(hit => hit.label)).toEqual(exact.map(hit => hit.label));
+  });
+
+  test('should drop removed vectors when compacted', () => {
+    const query = randomVector(random, dimension);
+    const copy = restoreHnswIndex(JSON.parse(JSON.stringify(index.toJSON())));
+    for (let i = 0; i < 200; i++) copy.remove(`v${i}`);
+    expect(copy.deletedSize()).toBe(200);
+
+    const compacted = copy.compact();
+    expect(compacted.deletedSize()).toBe(0);
+    expect(compacted.size()).toBe(vectors.length - 200);
+    expect(compacted.toJSON().nodes).toHaveLength(vectors.length - 200);
+    expect(compacted.search(query, 5).map(hit => hit.label)).toEqual(copy.search(query, 5).map(hit => hit.label));
+  });
+
+  test('should save in pieces a valid graph of the vectors present when the save started', () => {
+    const query = randomVector(random, dimension);
+    const copy = restoreHnswIndex(JSON.parse(JSON.stringify(index.toJSON())));
+    const pieces = [];
+    for (const piece of copy.serialize({ watermark: 'w1' }, 100)) {
+      pieces.push(piece);
+      // Vectors added between two pieces are left for the next save
+      copy.add(`extra${pieces.length}`, randomVector(random, dimension), -1);
+    }
+
+    const snapshot = JSON.parse(pieces.join(''));
+    expect(snapshot.watermark).toBe('w1');
+    const restored = restoreHnswIndex(snapshot);
+    expect(restored.size()).toBe(vectors.length);
+    expect(restored.search(query, 5).map(hit => hit.label)).toEqual(index.search(query, 5).map(hit => hit.label));
+  });
+});
+
+describe('candidate documents + exact rescoring', () => {
+  test('should return the same top-k documents as scoring every document', () => {
+    const random = createRandom(11);
+    const dimension = 32;
+    const documents = Array.from({ length: 150 }, (_, documentId) => ({
+      documentId,
+      chunks: Array.from({ length: 5 }, (_, chunkIndex) => ({
+        chunk_index: chunkIndex,
+        page_start: chunkIndex + 1,
+        page_end: chunkIndex + 1,
+        embedding: randomVector(random, dimension)
+      }))
+    }));
+    const index = createHnswIndex();
+    for (const doc of documents) {
+      for (const chunk of doc.chunks) index.add(`${doc.documentId}:${chunk.chunk_index}`, chunk.embedding, doc.documentId);
+    }
+
+    // An upload made of passages close to documents 17 and 42
+    const queryVectors = [
+      nearby(random, documents[17].chunks[0].embedding, 0.3),
+      nearby(random, documents[17].chunks[3].embedding, 0.3),
+      nearby(random, documents[42].chunks[1].embedding, 0.3)
+    ];
+    const rank = docs => docs
+      .map(doc => ({ documentId: doc.documentId, ...scoreDocumentChunks(queryVectors, doc.chunks) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, 5)
+      .map(result => result.documentId);
+
+    const candidates = collectCandidateDocuments(index, queryVectors, 50);
+    const approximate = rank(documents.filter(doc => candidates.has(doc.documentId)));
+
+    expect(candidates.size).toBeLessThan(documents.length);
+    expect(approximate).toEqual(rank(documents));
+    expect(approximate[0]).toBe(17);
+    expect(approximate).toContain(42);
+  });
+});
+
+describe('persisted vector index', () => {
+  const os = require('os');
+  const fs = require('fs');
+  const path = require('path');
+  const indexPath = path.join(os.tmpdir(), `vector-index-${process.pid}.json`);
+  const vectors = [
+    { label: '1:doc', documentId: 1, embedding: [1, 0] },
+    { label: '2:doc', documentId: 2, embedding: [0, 1] }
+  ];
+
+  afterAll(() => fs.rmSync(indexPath, { force: true }));
+
+  // Fresh module, as after a restart
+  function loadVectorIndexModule() {
+    let vectorIndex;
+    process.env.VECTOR_INDEX_PATH = indexPath;
+    jest.isolateModules(() => {
+      vectorIndex = require('../vector-index');
+    });
+    delete process.env.VECTOR_INDEX_PATH;
+    return vectorIndex;
+  }
+
+  test('should rebuild when the database changed without changing its vector count', async () => {
+    const first = loadVectorIndexModule();
+    await first.initVectorIndex({ loadVectors: async () => vectors, getWatermark: async () => '2:2:100' });
+    await first.persistVectorIndex();
+
+    const loadVectors = jest.fn(async () => vectors);
+    await loadVectorIndexModule().initVectorIndex({ loadVectors, getWatermark: async () => '2:2:100' });
+    expect(loadVectors).not.toHaveBeenCalled();
+
+    // Document 2 deleted and document 3 inserted: same count, new watermark
+    const restarted = loadVectorIndexModule();
+    await restarted.initVectorIndex({ loadVectors, getWatermark: async () => '2:3:200' });
+    await restarted.persistVectorIndex();
+    expect(loadVectors).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep the changes made while the graph is compacted', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    const random = createRandom(5);
+    const many = Array.from({ length: 500 }, (_, i) => ({ label: `${i}:doc`, documentId: i, embedding: randomVector(random, 8) }));
+    const vectorIndex = loadVectorIndexModule();
+    await vectorIndex.initVectorIndex({ loadVectors: async () => many, getWatermark: async () => 'w' });
+    await vectorIndex.persistVectorIndex();
+    for (let i = 0; i < 200; i++) vectorIndex.removeVector(`${i}:doc`);
+
+    const compaction = vectorIndex.compactVectorIndex();
+    vectorIndex.addVector('new:doc', 1000, many[0].embedding);
+    vectorIndex.removeVector('499:doc');
+    await compaction;
+
+    expect(vectorIndex.getVectorIndexStatus()).toMatchObject({ size: 300, deleted: 0 });
+    expect(vectorIndex.findCandidateDocuments([many[0].embedding])).toContain(1000);
+    expect(vectorIndex.findCandidateDocuments([many[499].embedding])).not.toContain(499);
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+});
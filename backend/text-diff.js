@@ -0,0 +1,61 @@
+/**
+ * Sentence-level differences between two versions of a text (e.g. last year's contract and this year's).
+ * Only sentences matter for patching a summary: reordered paragraphs are not reported as changes.
+ */
+
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?;:])\s+|\n+/)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+function countSentences(sentences) {
+  const counts = new Map();
+  for (const sentence of sentences) {
+    counts.set(sentence, (counts.get(sentence) || 0) + 1);
+  }
+  return counts;
+}
+
+// Sentences of `sentences` missing from `other` (as many times as they are missing), in text order
+function missingFrom(sentences, other) {
+  const available = countSentences(other);
+  const missing = [];
+  for (const sentence of sentences) {
+    const count = available.get(sentence) || 0;
+    if (count > 0) available.set(sentence, count - 1);
+    else missing.push(sentence);
+  }
+  return missing;
+}
+
+const totalLength = sentences => sentences.reduce((sum, sentence) => sum + sentence.length, 0);
+
+/**
+ * Compare the text of a stored document with a new one
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {{ removed: string[], added: string[], changedChars: number, changeRatio: number }}
+ *   changeRatio is the share of characters (both texts together) in removed or added sentences
+ */
+function diffTexts(oldText, newText) {
+  const oldSentences = splitSentences(oldText);
+  const newSentences = splitSentences(newText);
+  const removed = missingFrom(oldSentences, newSentences);
+  const added = missingFrom(newSentences, oldSentences);
+
+  const changedChars = totalLength(removed) + totalLength(added);
+  const allChars = totalLength(oldSentences) + totalLength(newSentences);
+  return {
+    removed,
+    added,
+    changedChars,
+    changeRatio: allChars > 0 ? changedChars / allChars : 0
+  };
+}
+
+module.exports = {
+  splitSentences,
+  diffTexts
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+// Words per shingle hashed into the SimHash
+const SIMHASH_SHINGLE_WORDS = Number(process.env.SIMHASH_SHINGLE_WORDS || 3);
+// Shorter texts get no SimHash: a few words are not enough to call two documents near-duplicates
+const SIMHASH_MIN_WORDS = Number(process.env.SIMHASH_MIN_WORDS || 50);
+// Largest Hamming distance (out of 64 bits) still counted as a near-duplicate
+const SIMHASH_MAX_DISTANCE = Number(process.env.SIMHASH_MAX_DISTANCE || 3);
+
+/**
+ * SHA-256 of the normalized extracted text: equal for files whose bytes differ
+ * (re-export, producer timestamp) but whose text is the same.
+ * Same value as MySQL SHA2(extracted_text, 256), so existing rows can be backfilled in SQL.
+ * @returns {string|null} null for an empty text
+ */
+function computeTextHash(text) {
+  if (!text || !text.trim()) return null;
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+function tokenize(text) {
+  return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * 64-bit SimHash of the word shingles of a text (Charikar): similar texts get hashes
+ * that differ in few bits.
+ * @returns {string|null} 16 hex characters, null when the text is too short
+ */
+function computeSimHash(text) {
+  const words = tokenize(text);
+  if (words.length < Math.max(SIMHASH_MIN_WORDS, SIMHASH_SHINGLE_WORDS)) return null;
+
+  const weights = new Int32Array(64);
+  for (let i = 0; i + SIMHASH_SHINGLE_WORDS <= words.length; i++) {
+    const shingle = words.slice(i, i + SIMHASH_SHINGLE_WORDS).join(' ');
+    const digest = crypto.createHash('md5').update(shingle).digest();
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (digest[bit >> 3] >> (bit & 7)) & 1 ? 1 : -1;
+    }
+  }
+
+  const hash = Buffer.alloc(8);
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) hash[bit >> 3] |= 1 << (bit & 7);
+  }
+  return hash.toString('hex');
+}
+
+/**
+ * Number of differing bits between two SimHashes
+ */
+function hammingDistance(hashA, hashB) {
+  const a = Buffer.from(hashA, 'hex');
+  const b = Buffer.from(hashB, 'hex');
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = a[i] ^ b[i];
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Closest stored fingerprint within SIMHASH_MAX_DISTANCE
+ * @param {string} simhash
+ * @param {Array<{id: number, simhash: string}>} candidates
+ * @returns {{ id: number, distance: number }|null}
+ */
+function findNearestSimHash(simhash, candidates, maxDistance = SIMHASH_MAX_DISTANCE) {
+  let nearest = null;
+  for (const candidate of candidates) {
+    if (!candidate.simhash) continue;
+    const distance = hammingDistance(simhash, candidate.simhash);
+    if (distance <= maxDistance && (!nearest || distance < nearest.distance)) {
+      nearest = { id: candidate.id, distance };
+    }
+  }
+  return nearest;
+}
+
+module.exports = {
+  SIMHASH_MAX_DISTANCE,
+  computeTextHash,
+  computeSimHash,
+  hammingDistance,
+  findNearestSimHash
+};
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { createHnswIndex, restoreHnswIndex } = require('./hnsw');
+
+// Configuration - Ensure env vars are loaded
+require('dotenv').config();
+
+const VECTOR_INDEX_ENABLED = process.env.VECTOR_INDEX_ENABLED !== 'false';
+const VECTOR_INDEX_PATH = process.env.VECTOR_INDEX_PATH || path.join(__dirname, 'data', 'vector-index.json');
+// Nearest vectors fetched per query vector; their documents are then scored exactly
+const VECTOR_INDEX_CANDIDATES = Number(process.env.VECTOR_INDEX_CANDIDATES || 100);
+// Share of removed vectors (tombstones) above which the graph is rebuilt before being saved
+const VECTOR_INDEX_MAX_DELETED_RATIO = Number(process.env.VECTOR_INDEX_MAX_DELETED_RATIO || 0.2);
+const PERSIST_DELAY_MS = 5000;
+
+// In-memory index shared by the whole process (null until initVectorIndex succeeded)
+let index = null;
+let indexModel = null;
+// Reads the database watermark saved with the index (see initVectorIndex)
+let watermarkSource = null;
+let persistTimer = null;
+// Save in progress, and whether another one was asked for meanwhile
+let persisting = null;
+let persistAgain = false;
+// Changes made while the graph is being compacted, replayed on the compacted graph (null = not compacting)
+let compactionLog = null;
+// Graph insertions per compaction step, graph nodes per saved piece; the event loop runs in between
+const COMPACT_BATCH_SIZE = 200;
+const PERSIST_BATCH_SIZE = 1000;
+
+// Every document embedding and every chunk embedding is indexed, labelled by where it comes from
+function documentLabel(documentId) {
+  return `${documentId}:doc`;
+}
+
+function chunkLabel(documentId, chunkIndex) {
+  return `${documentId}:${chunkIndex}`;
+}
+
+/**
+ * Load the persisted index, or rebuild it from the database when it is missing or out of date.
+ * The file is up to date when the database watermark saved with it is still the current one.
+ * @param {Object} sources
+ * @param {Function} sources.loadVectors - async () => [{ label, documentId, embedding }]
+ * @param {Function} sources.getWatermark - async () => string that changes whenever an indexed vector
+ *   is added, removed or replaced in the database
+ * @param {string} [sources.embeddingModel] - Model of the vectors; a file saved for another model is rebuilt
+ */
+async function initVectorIndex({ loadVectors, getWatermark, embeddingModel = null }) {
+  if (!VECTOR_INDEX_ENABLED) {
+    console.log('📐 Vector index disabled, using brute-force similarity');
+    return false;
+  }
+
+  const startTime = Date.now();
+  const expected = await getWatermark();
+  indexModel = embeddingModel;
+  watermarkSource = getWatermark;
+
+  if (fs.existsSync(VECTOR_INDEX_PATH)) {
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(VECTOR_INDEX_PATH, 'utf8'));
+      const restored = restoreHnswIndex(snapshot);
+      if ((snapshot.embedding_model || null) !== indexModel) {
+        console.log(`📐 Vector index on disk was built for ${snapshot.embedding_model}, rebuilding for ${indexModel}...`);
+      } else if (snapshot.watermark === expected) {
+        index = restored;
+        console.log(`📐 Vector index loaded from disk: ${index.size()} vectors in ${Date.now() - startTime}ms`);
+        return true;
+      } else {
+        console.log(`📐 Vector index on disk is out of date (saved at ${snapshot.watermark}, database at ${expected}), rebuilding...`);
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to load vector index, rebuilding:', error.message);
+    }
+  }
+
+  const rebuilt = createHnswIndex();
+  for (const { label, documentId, embedding } of await loadVectors()) {
+    rebuilt.add(label, embedding, documentId);
+  }
+  index = rebuilt;
+  console.log(`📐 Vector index built: ${index.size()} vectors in ${Date.now() - startTime}ms`);
+  persistVectorIndex();
+  return true;
+}
+
+function isVectorIndexReady() {
+  return index !== null;
+}
+
+/**
+ * Add a vector to the index (no-op until the index is initialized)
+ */
+function addVector(label, documentId, embedding) {
+  if (!index) return;
+  index.add(label, embedding, documentId);
+  if (compactionLog) compactionLog.push(target => target.add(label, embedding, documentId));
+  schedulePersist();
+}
+
+/**
+ * Remove a vector from the index (no-op until the index is initialized)
+ */
+function removeVector(label) {
+  if (!index) return;
+  if (compactionLog) compactionLog.push(target => target.remove(label));
+  if (index.remove(label)) schedulePersist();
+}
+
+/**
+ * Ids of the documents owning the nearest vectors of each query vector
+ * @param {Object} vectorIndex - HNSW index whose items carry their document id
+ * @param {Array<number[]>} queryVectors
+ * @param {number} candidatesPerVector
+ * @param {Set<number>|null} [allowedIds] - Only vectors of these documents are counted (search filters)
+ * @returns {Set<number>}
+ */
+function collectCandidateDocuments(vectorIndex, queryVectors, candidatesPerVector = VECTOR_INDEX_CANDIDATES, allowedIds = null) {
+  const documentIds = new Set();
+  if (allowedIds && allowedIds.size === 0) return documentIds;
+  const accept = allowedIds ? documentId => allowedIds.has(documentId) : null;
+  for (const vector of queryVectors) {
+    for (const hit of vectorIndex.search(vector, candidatesPerVector, undefined, accept)) {
+      documentIds.add(hit.data);
+    }
+  }
+  return documentIds;
+}
+
+/**
+ * Candidate documents for a similarity search, or null when the index is not available
+ * (callers then score every document)
+ * @param {Array<number[]>} queryVectors
+ * @param {Object} [options]
+ * @param {Set<number>|null} [options.allowedIds] - Documents passing the search filters (null = all)
+ */
+function findCandidateDocuments(queryVectors, { allowedIds = null } = {}) {
+  if (!index) return null;
+  return collectCandidateDocuments(index, queryVectors, VECTOR_INDEX_CANDIDATES, allowedIds);
+}
+
+// Let pending I/O and requests run
+function nextTick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Rebuild the graph without its tombstones once they are too many (they slow searches down and are saved).
+// The rebuild runs in steps between requests, which keep searching the current graph meanwhile.
+async function compactVectorIndex() {
+  if (!index || compactionLog) return;
+  const deleted = index.deletedSize();
+  if (deleted === 0 || deleted <= VECTOR_INDEX_MAX_DELETED_RATIO * (index.size() + deleted)) return;
+  const startTime = Date.now();
+  compactionLog = [];
+  try {
+    const steps = index.compactInBatches(COMPACT_BATCH_SIZE);
+    let step = steps.next();
+    while (!step.done) {
+      await nextTick();
+      step = steps.next();
+    }
+    const compacted = step.value;
+    for (const replay of compactionLog) replay(compacted);
+    index = compacted;
+  } finally {
+    compactionLog = null;
+  }
+  console.log(`📐 Vector index compacted: ${deleted} removed vectors dropped in ${Date.now() - startTime}ms`);
+}
+
+// Write the index to disk (temporary file + rename, so a crash never leaves half a file).
+// The graph is serialised and written in pieces, so requests run in between; changes made
+// during the save are saved by a second one, and callers arriving meanwhile wait for it.
+async function persistVectorIndex() {
+  if (!index) return;
+  if (persisting) {
+    persistAgain = true;
+    return persisting;
+  }
+  persisting = (async () => {
+    do {
+      persistAgain = false;
+      try {
+        // Read before serialising: a change racing the save makes the file look older (rebuilt), not newer
+        const watermark = await watermarkSource();
+        await fs.promises.mkdir(path.dirname(VECTOR_INDEX_PATH), { recursive: true });
+        const tempPath = `${VECTOR_INDEX_PATH}.tmp`;
+        const file = await fs.promises.open(tempPath, 'w');
+        try {
+          for (const piece of index.serialize({ embedding_model: indexModel, watermark }, PERSIST_BATCH_SIZE)) {
+            await file.write(piece);
+          }
+        } finally {
+          await file.close();
+        }
+        await fs.promises.rename(tempPath, VECTOR_INDEX_PATH);
+        console.log(`💾 Vector index saved (${index.size()} vectors)`);
+      } catch (error) {
+        console.error('⚠️ Failed to save vector index:', error.message);
+      }
+    } while (persistAgain);
+  })();
+  try {
+    await persisting;
+  } finally {
+    persisting = null;
+  }
+}
+
+// Batch writes: save a few seconds after the last change
+function schedulePersist() {
+  if (persistTimer) clearTimeout(persistTimer);
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    compactVectorIndex()
+      .catch(error => console.error('⚠️ Failed to compact vector index:', error.message))
+      .then(() => persistVectorIndex());
+  }, PERSIST_DELAY_MS);
+  persistTimer.unref();
+}
+
+function getVectorIndexStatus() {
+  return {
+    enabled: VECTOR_INDEX_ENABLED,
+    ready: index !== null,
+    size: index ? index.size() : 0,
+    deleted: index ? index.deletedSize() : 0,
+    embedding_model: indexModel,
+    path: VECTOR_INDEX_PATH
+  };
+}
+
+module.exports = {
+  documentLabel,
+  chunkLabel,
+  initVectorIndex,
+  isVectorIndexReady,
+  addVector,
+  removeVector,
+  collectCandidateDocuments,
+  findCandidateDocuments,
+  compactVectorIndex,
+  persistVectorIndex,
+  getVectorIndexStatus
+};
@@ -7,19 +7,87 @@ USE openbee_rag;
 CREATE TABLE IF NOT EXISTS documents (
     id INT AUTO_INCREMENT PRIMARY KEY,
     filename VARCHAR(255) NOT NULL,
-    file_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 hash of file content
+    file_hash VARCHAR(64) NOT NULL, -- SHA-256 hash of file content
     file_size INT NOT NULL,
     mime_type VARCHAR(100) NOT NULL,
     extracted_text LONGTEXT NOT NULL,
+    text_hash CHAR(64) NULL, -- SHA-256 of extracted_text (same text in different file bytes)
+    simhash CHAR(16) NULL, -- 64-bit SimHash of extracted_text (near-duplicate detection)
     ai_summary LONGTEXT NOT NULL,
-    embedding JSON NOT NULL, -- Store the vector as JSON array
+    embedding BLOB NOT NULL, -- Vector as little-endian Float32 (4 bytes per dimension)
+    embedding_int8 BLOB NULL, -- int8-quantized copy for first-pass scoring
     embedding_model VARCHAR(100) DEFAULT 'nomic-embed-text',
+    embedding_windows INT NOT NULL DEFAULT 1, -- Text windows pooled into the embedding
+    language VARCHAR(8) NOT NULL DEFAULT 'fr', -- Language of ai_summary
+    detected_language VARCHAR(8) NULL, -- Language detected in extracted_text
+    tags JSON NULL, -- User-defined labels (array of strings)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
+    -- One summary per file and output language
+    UNIQUE KEY uniq_file_hash_language (file_hash, language),
+    
     -- Index for faster similarity searches
     INDEX idx_file_hash (file_hash),
+    INDEX idx_text_hash (text_hash),
     INDEX idx_mime_type (mime_type),
+    INDEX idx_created_at (created_at),
+    
+    -- Keyword search (hybrid search mode)
+    FULLTEXT INDEX ft_documents_text (extracted_text, ai_summary)
+);
+
+-- Table to store retrieval chunks (passages) of each document with their page range
+CREATE TABLE IF NOT EXISTS document_chunks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    document_id INT NOT NULL,
+    chunk_index INT NOT NULL, -- Position of the chunk in the document (0-based)
+    page_start INT NOT NULL,
+    page_end INT NOT NULL,
+    chunk_text TEXT NOT NULL,
+    embedding BLOB NOT NULL, -- Vector as little-endian Float32 (4 bytes per dimension)
+    embedding_int8 BLOB NULL, -- int8-quantized copy for first-pass scoring
+    embedding_model VARCHAR(100) DEFAULT 'nomic-embed-text',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_document_chunk (document_id, chunk_index)
+);
+
+-- Chat conversations, optionally attached to a stored document
+CREATE TABLE IF NOT EXISTS conversations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    document_id INT NULL,
+    title VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE SET NULL,
+    INDEX idx_updated_at (updated_at)
+);
+
+-- Messages of a conversation, in order
+CREATE TABLE IF NOT EXISTS messages (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    conversation_id INT NOT NULL,
+    role ENUM('user', 'assistant') NOT NULL,
+    content LONGTEXT NOT NULL,
+    citations JSON NULL, -- Passages cited by an assistant answer
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+    INDEX idx_conversation (conversation_id, id)
+);
+
+-- Parameters of the cached similarity queries (to find the ones a new document would enter)
+CREATE TABLE IF NOT EXISTS similarity_cache_queries (
+    query_hash VARCHAR(64) PRIMARY KEY,
+    query_vectors LONGBLOB NOT NULL, -- Float32 query embedding followed by its chunk embeddings
+    chunk_count INT NOT NULL DEFAULT 0,
+    threshold DECIMAL(10,8) NOT NULL,
+    result_limit INT NOT NULL,
+    filters JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     INDEX idx_created_at (created_at)
 );
 
@@ -29,9 +97,11 @@ CREATE TABLE IF NOT EXISTS similarity_cache (
     query_hash VARCHAR(64) NOT NULL, -- Hash of the query embedding
     document_id INT NOT NULL,
     similarity_score DECIMAL(10,8) NOT NULL,
+    best_chunk JSON NULL, -- Best matching chunk of the document, as returned by the search
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE,
+    FOREIGN KEY (query_hash) REFERENCES similarity_cache_queries(query_hash) ON DELETE CASCADE,
     INDEX idx_query_hash (query_hash),
     INDEX idx_similarity_score (similarity_score DESC)
 );
@@ -52,58 +122,22 @@ INSERT IGNORE INTO rag_settings (setting_key, setting_value, description) VALUES
 ('embedding_dimension', '768', 'Dimension of the embedding vectors'),
 ('cache_expiry_hours', '24', 'Hours after which similarity cache entries expire');
 
--- Function to calculate cosine similarity (stored procedure)
-DELIMITER //
-
-CREATE FUNCTION IF NOT EXISTS cosine_similarity(vec1 JSON, vec2 JSON) 
-RETURNS DECIMAL(10,8)
-DETERMINISTIC
-READS SQL DATA
-BEGIN
-    DECLARE dot_product DECIMAL(20,8) DEFAULT 0;
-    DECLARE magnitude1 DECIMAL(20,8) DEFAULT 0;
-    DECLARE magnitude2 DECIMAL(20,8) DEFAULT 0;
-    DECLARE i INT DEFAULT 0;
-    DECLARE vec1_length INT;
-    DECLARE vec2_length INT;
-    DECLARE val1, val2 DECIMAL(20,8);
-    
-    -- Get vector lengths
-    SET vec1_length = JSON_LENGTH(vec1);
-    SET vec2_length = JSON_LENGTH(vec2);
-    
-    -- Ensure vectors have same dimension
-    IF vec1_length != vec2_length THEN
-        RETURN 0;
-    END IF;
-    
-    -- Calculate dot product and magnitudes
-    WHILE i < vec1_length DO
-        SET val1 = CAST(JSON_UNQUOTE(JSON_EXTRACT(vec1, CONCAT('$[', i, ']'))) AS DECIMAL(20,8));
-        SET val2 = CAST(JSON_UNQUOTE(JSON_EXTRACT(vec2, CONCAT('$[', i, ']'))) AS DECIMAL(20,8));
-        
-        SET dot_product = dot_product + (val1 * val2);
-        SET magnitude1 = magnitude1 + (val1 * val1);
-        SET magnitude2 = magnitude2 + (val2 * val2);
-        
-        SET i = i + 1;
-    END WHILE;
-    
-    -- Calculate cosine similarity
-    IF magnitude1 = 0 OR magnitude2 = 0 THEN
-        RETURN 0;
-    END IF;
-    
-    RETURN dot_product / (SQRT(magnitude1) * SQRT(magnitude2));
-END//
-
-DELIMITER ;
+-- Changes made through PUT /rag/settings
+CREATE TABLE IF NOT EXISTS rag_settings_audit (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    setting_key VARCHAR(100) NOT NULL,
+    old_value TEXT,
+    new_value TEXT NOT NULL,
+    changed_by VARCHAR(100),
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_setting_key (setting_key)
+);
 
--- Clean up old cache entries (older than cache_expiry_hours)
+-- Clean up old cache entries (older than cache_expiry_hours, results go with their query)
 CREATE EVENT IF NOT EXISTS cleanup_similarity_cache
 ON SCHEDULE EVERY 1 HOUR
 DO
-  DELETE FROM similarity_cache 
+  DELETE FROM similarity_cache_queries
   WHERE created_at < DATE_SUB(NOW(), INTERVAL (
     SELECT CAST(setting_value AS UNSIGNED) 
     FROM rag_settings 
@@ -0,0 +1,12 @@
+-- Migration 001: store summaries per output language
+-- For databases created before the `language` column existed (init.sql only runs on a fresh volume).
+-- Existing summaries were all generated in French.
+
+USE openbee_rag;
+
+ALTER TABLE documents
+    ADD COLUMN language VARCHAR(8) NOT NULL DEFAULT 'fr' AFTER embedding_model;
+
+-- The same file can now be stored once per language
+ALTER TABLE documents DROP INDEX file_hash;
+ALTER TABLE documents ADD UNIQUE KEY uniq_file_hash_language (file_hash, language);
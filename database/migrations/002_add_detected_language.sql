@@ -0,0 +1,6 @@
+-- Migration 002: record the language detected in each document's extracted text
+
+USE openbee_rag;
+
+ALTER TABLE documents
+    ADD COLUMN detected_language VARCHAR(8) NULL AFTER language;
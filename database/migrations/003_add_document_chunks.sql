@@ -0,0 +1,19 @@
+-- Migration 003: passage-level retrieval index (one embedding per chunk instead of per document)
+-- Documents stored before this migration have no chunks and keep being matched on documents.embedding.
+
+USE openbee_rag;
+
+CREATE TABLE IF NOT EXISTS document_chunks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    document_id INT NOT NULL,
+    chunk_index INT NOT NULL, -- Position of the chunk in the document (0-based)
+    page_start INT NOT NULL,
+    page_end INT NOT NULL,
+    chunk_text TEXT NOT NULL,
+    embedding JSON NOT NULL, -- Store the vector as JSON array
+    embedding_model VARCHAR(100) DEFAULT 'nomic-embed-text',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_document_chunk (document_id, chunk_index)
+);
@@ -0,0 +1,6 @@
+-- Migration 005: FULLTEXT index used by the keyword side of hybrid search
+
+USE openbee_rag;
+
+ALTER TABLE documents
+    ADD FULLTEXT INDEX ft_documents_text (extracted_text, ai_summary);
@@ -0,0 +1,13 @@
+-- Migration 006: binary embedding columns (Float32 vector + int8-quantized copy)
+-- Step 1 of 3: add the columns. Then run `node migrate-embeddings.js` in the backend
+-- to convert the JSON embeddings, and apply 007 to replace the JSON columns.
+
+USE openbee_rag;
+
+ALTER TABLE documents
+    ADD COLUMN embedding_f32 BLOB NULL AFTER embedding,
+    ADD COLUMN embedding_int8 BLOB NULL AFTER embedding_f32;
+
+ALTER TABLE document_chunks
+    ADD COLUMN embedding_f32 BLOB NULL AFTER embedding,
+    ADD COLUMN embedding_int8 BLOB NULL AFTER embedding_f32;
@@ -0,0 +1,15 @@
+-- Migration 007: replace the JSON embedding columns by the converted Float32 BLOBs
+-- Step 3 of 3: fails on NOT NULL if `node migrate-embeddings.js` left rows unconverted.
+
+USE openbee_rag;
+
+ALTER TABLE documents
+    DROP COLUMN embedding,
+    CHANGE COLUMN embedding_f32 embedding BLOB NOT NULL;
+
+ALTER TABLE document_chunks
+    DROP COLUMN embedding,
+    CHANGE COLUMN embedding_f32 embedding BLOB NOT NULL;
+
+-- Similarity is computed by the backend on the binary vectors
+DROP FUNCTION IF EXISTS cosine_similarity;
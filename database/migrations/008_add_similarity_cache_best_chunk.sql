@@ -0,0 +1,6 @@
+-- Migration 008: keep the best matching chunk with cached similarity results
+
+USE openbee_rag;
+
+ALTER TABLE similarity_cache
+    ADD COLUMN best_chunk JSON NULL AFTER similarity_score;
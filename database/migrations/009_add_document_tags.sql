@@ -0,0 +1,6 @@
+-- Migration 009: user-defined tags on documents (document library API)
+
+USE openbee_rag;
+
+ALTER TABLE documents
+    ADD COLUMN tags JSON NULL AFTER detected_language;
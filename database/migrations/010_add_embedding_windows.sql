@@ -0,0 +1,7 @@
+-- Migration 010: number of text windows pooled into the document embedding
+-- (existing rows were embedded in a single call)
+
+USE openbee_rag;
+
+ALTER TABLE documents
+    ADD COLUMN embedding_windows INT NOT NULL DEFAULT 1 AFTER embedding_model;
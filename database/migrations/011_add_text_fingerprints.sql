@@ -0,0 +1,14 @@
+-- Migration 011: text fingerprints checked before the embedding step
+-- text_hash is backfilled here; run `node backfill-simhash.js` in the backend for simhash.
+
+USE openbee_rag;
+
+ALTER TABLE documents
+    ADD COLUMN text_hash CHAR(64) NULL AFTER extracted_text,
+    ADD COLUMN simhash CHAR(16) NULL AFTER text_hash,
+    ADD INDEX idx_text_hash (text_hash);
+
+-- Same value as computeTextHash() in text-fingerprint.js
+UPDATE documents
+SET text_hash = SHA2(extracted_text, 256)
+WHERE text_hash IS NULL AND TRIM(extracted_text) <> '';
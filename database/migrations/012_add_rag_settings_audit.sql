@@ -0,0 +1,13 @@
+-- Migration 012: history of the settings changed through PUT /rag/settings
+
+USE openbee_rag;
+
+CREATE TABLE IF NOT EXISTS rag_settings_audit (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    setting_key VARCHAR(100) NOT NULL,
+    old_value TEXT,
+    new_value TEXT NOT NULL,
+    changed_by VARCHAR(100),
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_setting_key (setting_key)
+);
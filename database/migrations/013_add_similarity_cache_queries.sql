@@ -0,0 +1,33 @@
+-- Migration 013: keep the parameters of cached similarity queries, so that storing a document only
+-- drops the cached queries it would enter
+
+USE openbee_rag;
+
+-- Cached rows have no query to attach to: start from an empty cache
+DELETE FROM similarity_cache;
+
+CREATE TABLE IF NOT EXISTS similarity_cache_queries (
+    query_hash VARCHAR(64) PRIMARY KEY,
+    query_vectors LONGBLOB NOT NULL, -- Float32 query embedding followed by its chunk embeddings
+    chunk_count INT NOT NULL DEFAULT 0,
+    threshold DECIMAL(10,8) NOT NULL,
+    result_limit INT NOT NULL,
+    filters JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_created_at (created_at)
+);
+
+ALTER TABLE similarity_cache
+    ADD FOREIGN KEY (query_hash) REFERENCES similarity_cache_queries(query_hash) ON DELETE CASCADE;
+
+-- Expired queries take their results with them
+DROP EVENT IF EXISTS cleanup_similarity_cache;
+CREATE EVENT cleanup_similarity_cache
+ON SCHEDULE EVERY 1 HOUR
+DO
+  DELETE FROM similarity_cache_queries
+  WHERE created_at < DATE_SUB(NOW(), INTERVAL (
+    SELECT CAST(setting_value AS UNSIGNED)
+    FROM rag_settings
+    WHERE setting_key = 'cache_expiry_hours'
+  ) HOUR);
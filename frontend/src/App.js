@@ -1,16 +1,90 @@
 import React, { useState } from "react";
-import axios from "axios";
 import DropZone from "./components/DropZone";
 import FilePreview from "./components/FilePreview";
 import ChatPanel from "./components/ChatPanel";
+import config from "./config/config";
+
+// Lit un flux Server-Sent Events (fetch + ReadableStream, EventSource ne gère pas le POST)
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const events = buffer.split("\n\n");
+    buffer = events.pop();
+    for (const rawEvent of events) {
+      let eventName = "message";
+      let data = "";
+      for (const line of rawEvent.split("\n")) {
+        if (line.startsWith("event:")) eventName = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (data) onEvent(eventName, JSON.parse(data));
+    }
+  }
+}
+
+// Conversations déjà ouvertes, par fichier (pour reprendre le fil plus tard)
+const CONVERSATIONS_STORAGE_KEY = "openbee.conversations";
+
+function getFileKey(file) {
+  return `${file.name}:${file.size}`;
+}
+
+function loadStoredConversations() {
+  try {
+    return JSON.parse(localStorage.getItem(CONVERSATIONS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
 
 function App() {
   const [files, setFiles] = useState([]);
   const [selectedFile, setSelectedFile] = useState(null);
   const [downloadLink, setDownloadLink] = useState(null);
   const [downloadName, setDownloadName] = useState("");
+  const [streamingText, setStreamingText] = useState("");
+  const [streamStatus, setStreamStatus] = useState(null);
+  const [conversations, setConversations] = useState(loadStoredConversations);
+
+  const conversationId = selectedFile ? conversations[getFileKey(selectedFile)] || null : null;
+
+  // Ouvre une conversation sur le document analysé, avec le résumé comme premier message
+  const startConversation = async (file, result) => {
+    try {
+      const response = await fetch(`${config.backendUrl}/conversations`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          document_id: result.rag && result.rag.document_id ? result.rag.document_id : null,
+          title: file.name,
+          summary: result.summary,
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(`Erreur ${response.status} du serveur`);
+      }
+      const data = await response.json();
+      setConversations((prev) => {
+        const next = { ...prev, [getFileKey(file)]: data.conversation.id };
+        localStorage.setItem(CONVERSATIONS_STORAGE_KEY, JSON.stringify(next));
+        return next;
+      });
+    } catch (error) {
+      // Le résumé reste disponible, seules les questions de suivi sont indisponibles
+      console.error("Impossible de créer la conversation :", error);
+    }
+  };
 
   const sendToBackend = async (file, action) => {
+    setStreamingText("");
+    setStreamStatus(null);
     try {
       const formData = new FormData();
       formData.append("file", file);
@@ -20,46 +94,60 @@ function App() {
         formData.append("action", "decrire");
       }
 
-      const response = await axios.post(
-        "http://localhost:3001/analyze",
-        formData,
-        {
-          headers: { "Content-Type": "multipart/form-data" },
-          responseType: "blob",
+      const response = await fetch(`${config.backendUrl}/analyze/stream`, {
+        method: "POST",
+        body: formData,
+      });
+
+      if (!response.ok) {
+        if (response.status === 404) {
+          throw new Error("Endpoint non trouvé. Vérifie que le backend est démarré.");
+        }
+        let errorMessage = `Erreur ${response.status} du serveur`;
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error || errorMessage;
+        } catch (parseError) {
+          // Réponse non JSON, on garde le message par défaut
         }
-      );
+        throw new Error(errorMessage);
+      }
 
-      // Success case - create blob URL for download
-      const blob = new Blob([response.data], { type: "text/plain" });
+      let result = null;
+      await readEventStream(response, (event, data) => {
+        if (event === "phase") {
+          // Nouveau morceau, fusion finale ou modèle de secours : on repart d'un texte vide
+          setStreamingText("");
+          setStreamStatus(data.message);
+        } else if (event === "progress") {
+          setStreamStatus(data.message);
+        } else if (event === "token") {
+          setStreamingText((prev) => prev + data.text);
+        } else if (event === "done") {
+          result = data;
+        } else if (event === "error") {
+          throw new Error(data.error);
+        }
+      });
+
+      if (!result) {
+        throw new Error("Flux interrompu avant la fin de l'analyse.");
+      }
+
+      // Résumé final (résultat RAG en cache inclus) + fichier .txt téléchargeable
+      setStreamingText(result.summary);
+      setStreamStatus(null);
+      const blob = new Blob([result.content], { type: "text/plain" });
       const url = URL.createObjectURL(blob);
       const name = `${action}_${file.name}.txt`;
 
       setDownloadLink(url);
       setDownloadName(name);
+      await startConversation(file, result);
     } catch (error) {
       console.error("Erreur lors de l'envoi au backend :", error);
-      
-      // Handle error responses (when server returns 4xx/5xx with JSON error)
-      let errorMessage = "Une erreur est survenue. Vérifie ton backend !";
-      
-      if (error.response) {
-        if (error.response.status === 404) {
-          errorMessage = "Endpoint non trouvé. Vérifie que le backend est démarré.";
-        } else if (error.response.data) {
-          // Error response data is a blob due to responseType: "blob"
-          try {
-            const text = await error.response.data.text();
-            const errorData = JSON.parse(text);
-            errorMessage = errorData.error || `Erreur ${error.response.status}`;
-          } catch (parseError) {
-            errorMessage = `Erreur ${error.response.status} du serveur`;
-          }
-        }
-      } else if (error.message) {
-        errorMessage = error.message;
-      }
-      
-      alert(errorMessage);
+      setStreamStatus(null);
+      alert(error.message || "Une erreur est survenue. Vérifie ton backend !");
     }
   };
 
@@ -93,6 +181,9 @@ function App() {
             onSendRequest={sendToBackend}
             downloadLink={downloadLink}
             downloadName={downloadName}
+            streamingText={streamingText}
+            streamStatus={streamStatus}
+            conversationId={conversationId}
           />
         </div>
       </div>
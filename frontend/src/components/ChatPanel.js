@@ -1,14 +1,50 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
+import config from "../config/config";
 
-function ChatPanel({ selectedFile, onSendRequest, downloadLink, downloadName }) {
+// Message de conversation renvoyé par le backend -> bulle du chat
+function toChatMessage(message) {
+  return {
+    id: `m-${message.id}`,
+    text: message.content,
+    type: message.role === "user" ? "user" : "summary",
+    citations: message.citations || [],
+  };
+}
+
+// "Sources : [1] p. 5 · [2] p. 7-8 · [3]" (les passages cités, sinon tous ceux fournis au modèle ;
+// sans numéro de page, par exemple pour une image, seule la référence est affichée)
+function formatCitations(citations) {
+  const cited = citations.filter((citation) => citation.cited);
+  return (cited.length > 0 ? cited : citations)
+    .map((citation) => {
+      if (citation.page_start == null) return `[${citation.ref}]`;
+      const pages = citation.page_end == null || citation.page_start === citation.page_end
+        ? `p. ${citation.page_start}`
+        : `p. ${citation.page_start}-${citation.page_end}`;
+      return `[${citation.ref}] ${pages}`;
+    })
+    .join(" · ");
+}
+
+function ChatPanel({ selectedFile, onSendRequest, downloadLink, downloadName, streamingText, streamStatus, conversationId }) {
   const [messages, setMessages] = useState([]);
   const [isSending, setIsSending] = useState(false);
+  const [isAnswering, setIsAnswering] = useState(false);
+  const [draft, setDraft] = useState("");
   const [currentDownloadLink, setCurrentDownloadLink] = useState(null);
+  // Dernier texte reçu en streaming (lu quand le téléchargement est prêt)
+  const streamingTextRef = useRef("");
+  streamingTextRef.current = streamingText;
+  // Conversation du fichier sélectionné (lue quand le fichier change)
+  const conversationIdRef = useRef(null);
+  conversationIdRef.current = conversationId;
 
   // Réinitialiser le lien de téléchargement quand le fichier change
   useEffect(() => {
     setCurrentDownloadLink(null);
     setIsSending(false);
+    setIsAnswering(false);
+    setDraft("");
     
     if (!selectedFile) {
       setMessages([
@@ -29,6 +65,22 @@ function ChatPanel({ selectedFile, onSendRequest, downloadLink, downloadName })
         { id: 1, text: "Type de fichier non supporté pour résumé ou description.", type: "bot" },
       ]);
     }
+
+    // Fichier déjà analysé : on reprend la conversation enregistrée
+    const savedConversationId = conversationIdRef.current;
+    if (!selectedFile || !savedConversationId) return undefined;
+    let cancelled = false;
+    fetch(`${config.backendUrl}/conversations/${savedConversationId}`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!cancelled && data && data.messages.length > 0) {
+          setMessages(data.messages.map(toChatMessage));
+        }
+      })
+      .catch((error) => console.error("Impossible de charger la conversation :", error));
+    return () => {
+      cancelled = true;
+    };
   }, [selectedFile]);
 
   // Mettre à jour le lien de téléchargement quand il arrive
@@ -38,6 +90,9 @@ function ChatPanel({ selectedFile, onSendRequest, downloadLink, downloadName })
       setIsSending(false);
       setMessages((prev) => [
         ...prev.filter((msg) => !msg.text.startsWith("Travail en cours")),
+        ...(streamingTextRef.current
+          ? [{ id: prev.length + 2, text: streamingTextRef.current, type: "summary" }]
+          : []),
         { id: prev.length, text: "Votre fichier est prêt ! Vous pouvez le télécharger.", type: "bot" },
         { id: prev.length + 1, text: "Télécharger", isDownload: true, type: "download" }
       ]);
@@ -56,6 +111,41 @@ function ChatPanel({ selectedFile, onSendRequest, downloadLink, downloadName })
     ]);
   };
 
+  const handleSendMessage = async (event) => {
+    event.preventDefault();
+    const content = draft.trim();
+    if (!content || !conversationId || isAnswering) return;
+
+    setDraft("");
+    setIsAnswering(true);
+    setMessages((prev) => [
+      ...prev,
+      { id: `user-${Date.now()}`, text: content, type: "user" },
+      { id: "answering", text: "Travail en cours...", type: "status" },
+    ]);
+
+    try {
+      const response = await fetch(`${config.backendUrl}/conversations/${conversationId}/messages`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ content }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Erreur ${response.status} du serveur`);
+      }
+      setMessages((prev) => [...prev.filter((msg) => msg.id !== "answering"), toChatMessage(data.message)]);
+    } catch (error) {
+      console.error("Erreur lors de l'envoi du message :", error);
+      setMessages((prev) => [
+        ...prev.filter((msg) => msg.id !== "answering"),
+        { id: `error-${Date.now()}`, text: error.message || "Une erreur est survenue.", type: "bot" },
+      ]);
+    } finally {
+      setIsAnswering(false);
+    }
+  };
+
   return (
     <div
       style={{
@@ -98,23 +188,27 @@ function ChatPanel({ selectedFile, onSendRequest, downloadLink, downloadName })
               margin: "8px 0",
               padding: "12px 16px",
               borderRadius: "18px",
-              fontWeight: "bold",
+              fontWeight: msg.type === "summary" || msg.type === "user" ? "normal" : "bold",
               boxShadow: "0 2px 4px rgba(0,0,0,0.08)",
               maxWidth: "80%",
-              // Seul le bouton "Oui" reste à gauche, tous les autres messages à droite
-              alignSelf: msg.isButton ? "flex-start" : "flex-end",
+              // Le bouton "Oui" et les messages de l'utilisateur à gauche, les réponses à droite
+              alignSelf: msg.isButton || msg.type === "user" ? "flex-start" : "flex-end",
               backgroundColor: 
                 msg.type === "bot" ? "#e8f4e8" : 
                 msg.type === "status" ? "#fff9e6" : 
                 msg.type === "download" ? "#e8f4e8" :
+                msg.type === "summary" ? "#ffffff" :
+                msg.type === "user" ? "#4a8c5f" :
                 "transparent",
               color: 
                 msg.type === "bot" ? "#2e6e41" : 
                 msg.type === "status" ? "#8c6d1f" : 
                 msg.type === "download" ? "#2e6e41" :
+                msg.type === "user" ? "white" :
                 "inherit",
-              border: msg.type === "bot" || msg.type === "download" ? "1px solid #cce2cc" : "none",
+              border: msg.type === "bot" || msg.type === "download" || msg.type === "summary" ? "1px solid #cce2cc" : "none",
               textAlign: "left",
+              whiteSpace: msg.type === "summary" || msg.type === "user" ? "pre-wrap" : "normal",
             }}
           >
             {msg.isButton ? (
@@ -163,11 +257,78 @@ function ChatPanel({ selectedFile, onSendRequest, downloadLink, downloadName })
                 Télécharger le fichier .txt
               </a>
             ) : (
-              msg.text
+              <>
+                {msg.text}
+                {msg.citations && msg.citations.length > 0 && (
+                  <div style={{ fontSize: "12px", color: "#8c6d1f", marginTop: "6px" }}>
+                    Sources : {formatCitations(msg.citations)}
+                  </div>
+                )}
+              </>
             )}
           </div>
         ))}
+
+        {/* Texte généré en cours de streaming */}
+        {isSending && (streamStatus || streamingText) && (
+          <div
+            style={{
+              margin: "8px 0",
+              padding: "12px 16px",
+              borderRadius: "18px",
+              boxShadow: "0 2px 4px rgba(0,0,0,0.08)",
+              maxWidth: "80%",
+              alignSelf: "flex-end",
+              backgroundColor: "#ffffff",
+              color: "#2e6e41",
+              border: "1px solid #cce2cc",
+              textAlign: "left",
+              whiteSpace: "pre-wrap",
+            }}
+          >
+            {streamStatus && (
+              <div style={{ fontSize: "12px", color: "#8c6d1f", marginBottom: streamingText ? "6px" : 0 }}>
+                {streamStatus}
+              </div>
+            )}
+            {streamingText}
+          </div>
+        )}
       </div>
+
+      {/* Questions de suivi sur le document */}
+      <form onSubmit={handleSendMessage} style={{ display: "flex", gap: "8px", marginTop: "10px" }}>
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          disabled={!conversationId || isAnswering}
+          placeholder={conversationId ? "Posez une question sur ce document..." : "Demandez d'abord le résumé ou la description"}
+          style={{
+            flex: 1,
+            padding: "10px 14px",
+            border: "1px solid #cce2cc",
+            borderRadius: "25px",
+            outline: "none",
+            userSelect: "text",
+          }}
+        />
+        <button
+          type="submit"
+          disabled={!conversationId || isAnswering || !draft.trim()}
+          style={{
+            padding: "10px 18px",
+            backgroundColor: !conversationId || isAnswering || !draft.trim() ? "#a0a0a0" : "#4a8c5f",
+            color: "white",
+            border: "none",
+            borderRadius: "25px",
+            cursor: !conversationId || isAnswering || !draft.trim() ? "not-allowed" : "pointer",
+            fontWeight: "bold",
+          }}
+        >
+          Envoyer
+        </button>
+      </form>
     </div>
   );
 }
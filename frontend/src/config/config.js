@@ -2,8 +2,10 @@
 // Simple config file to centralize env vars
 const MAX_FILES_PER_DROP = Number(process.env.REACT_APP_MAX_FILES_PER_DROP) || 6;
 const MAX_FILE_SIZE_MB = Number(process.env.REACT_APP_MAX_FILE_SIZE_MB) || 3;
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || "http://localhost:3001";
 
 export default {
   maxFilesPerDrop: MAX_FILES_PER_DROP,
   maxFileSizeMB: MAX_FILE_SIZE_MB,
+  backendUrl: BACKEND_URL,
 };